@@ -0,0 +1,470 @@
+/* eslint-disable new-cap */
+const express = require('express');
+
+/**
+ * Rotas administrativas (autenticadas via ADMIN_API_TOKEN)
+ */
+const { alwaysLog } = require('../utils/logger');
+const { formatErrorResponse } = require('../utils/formatters');
+const {
+  validateAuthentication,
+  validateChannelMapping,
+} = require('../utils/validators');
+const { outboundQueue } = require('../services/outboundQueue');
+const { channelRegistry } = require('../services/channelRegistry');
+const { messageLedger, LEDGER_STATUS } = require('../utils/messageLedger');
+
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+
+const router = express.Router();
+
+/**
+ * Middleware de autenticação das rotas administrativas
+ * Sem ADMIN_API_TOKEN configurado, as rotas ficam desabilitadas
+ */
+router.use((req, res, next) => {
+  if (!ADMIN_API_TOKEN) {
+    return res
+      .status(503)
+      .json(
+        formatErrorResponse(
+          'API administrativa desabilitada - configure ADMIN_API_TOKEN',
+          null,
+          503
+        )
+      );
+  }
+
+  const authResult = validateAuthentication(req, ADMIN_API_TOKEN, 'admin');
+  if (!authResult.success) {
+    return res
+      .status(authResult.error.status)
+      .json(
+        formatErrorResponse(
+          authResult.error.message,
+          null,
+          authResult.error.status
+        )
+      );
+  }
+
+  next();
+});
+
+/**
+ * Remover dados pesados (base64 etc.) da visualização de um job
+ * @param {Object} job - Job da fila
+ * @returns {Object} - Job resumido
+ */
+function summarizeJob(job) {
+  return {
+    id: job.id,
+    channelId: job.channelId,
+    channelDesc: job.channelDesc,
+    phoneNumber: job.phoneNumber,
+    type: job.messageData?.type,
+    status: job.status,
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    nextAttemptAt: job.nextAttemptAt,
+    deadAt: job.deadAt,
+    lastError: job.lastError,
+    failureReportedAt: job.failureReportedAt,
+  };
+}
+
+/**
+ * Estado da fila outbound
+ * Endpoint: GET /admin/queue
+ */
+router.get('/queue', (req, res) => {
+  res.json({
+    stats: outboundQueue.getStats(),
+    pending: outboundQueue.listPending().map(summarizeJob),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Listar mensagens na dead-letter
+ * Endpoint: GET /admin/dead-letter?code=MEDIA_TOO_LARGE
+ */
+router.get('/dead-letter', (req, res) => {
+  const { code } = req.query;
+  const items = outboundQueue
+    .listDeadLetters()
+    .filter((job) => !code || job.lastError?.code === code);
+
+  res.json({
+    total: items.length,
+    items: items.map(summarizeJob),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Detalhar mensagem da dead-letter
+ * Endpoint: GET /admin/dead-letter/:id
+ */
+router.get('/dead-letter/:id', (req, res) => {
+  const job = outboundQueue.getDeadLetter(req.params.id);
+
+  if (!job) {
+    return res
+      .status(404)
+      .json(formatErrorResponse('Mensagem não encontrada', null, 404));
+  }
+
+  res.json(job);
+});
+
+/**
+ * Reenviar mensagem da dead-letter
+ * Endpoint: POST /admin/dead-letter/:id/replay
+ */
+router.post('/dead-letter/:id/replay', (req, res) => {
+  const job = outboundQueue.replayDeadLetter(req.params.id);
+
+  if (!job) {
+    return res
+      .status(404)
+      .json(formatErrorResponse('Mensagem não encontrada', null, 404));
+  }
+
+  alwaysLog(`🔁 [ADMIN] Replay solicitado para ${job.id}`);
+
+  res.json({
+    message: 'Mensagem reenfileirada',
+    job: summarizeJob(job),
+  });
+});
+
+/**
+ * Descartar mensagem da dead-letter
+ * Endpoint: DELETE /admin/dead-letter/:id
+ */
+router.delete('/dead-letter/:id', (req, res) => {
+  const removed = outboundQueue.deleteDeadLetter(req.params.id);
+
+  if (!removed) {
+    return res
+      .status(404)
+      .json(formatErrorResponse('Mensagem não encontrada', null, 404));
+  }
+
+  alwaysLog(`🗑️ [ADMIN] Mensagem ${req.params.id} removida da dead-letter`);
+
+  res.json({
+    message: 'Mensagem removida da dead-letter',
+    id: req.params.id,
+  });
+});
+
+/**
+ * Mascarar token do canal nas respostas da API
+ * @param {Object} channel - Canal do registro
+ * @returns {Object} - Canal com token mascarado
+ */
+function summarizeChannel(channel) {
+  const token = channel.custom_channel_token || '';
+
+  return {
+    ...channel,
+    custom_channel_token: token.length > 8 ? `***${token.slice(-4)}` : '***',
+  };
+}
+
+/**
+ * Responder 404 para canal inexistente
+ * @param {Object} res - Response object
+ * @returns {Object} - Resposta
+ */
+function channelNotFound(res) {
+  return res
+    .status(404)
+    .json(formatErrorResponse('Canal não encontrado', null, 404));
+}
+
+/**
+ * Listar canais do registro
+ * Endpoint: GET /admin/channels?serviceId=...&includeDisabled=false
+ */
+router.get('/channels', async (req, res) => {
+  const includeDisabled = req.query.includeDisabled !== 'false';
+  let channels = await channelRegistry.getAll(includeDisabled);
+
+  if (req.query.serviceId) {
+    channels = channels.filter(
+      (channel) => channel.digisac_service_id === req.query.serviceId
+    );
+  }
+
+  res.json({
+    total: channels.length,
+    stats: channelRegistry.getStats(),
+    items: channels.map(summarizeChannel),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Forçar sincronização com a Refera (modo mirror)
+ * Endpoint: POST /admin/channels/sync
+ */
+router.post('/channels/sync', async (req, res) => {
+  if (!channelRegistry.isMirror()) {
+    return res
+      .status(409)
+      .json(
+        formatErrorResponse(
+          'Registro em modo local - sincronização com a Refera desativada',
+          null,
+          409
+        )
+      );
+  }
+
+  const result = await channelRegistry.sync();
+
+  if (!result.success) {
+    return res
+      .status(502)
+      .json(
+        formatErrorResponse('Falha ao sincronizar com a Refera', result, 502)
+      );
+  }
+
+  alwaysLog(`📇 [ADMIN] Sincronização manual: ${result.count} canal(is)`);
+
+  res.json({
+    message: 'Registro sincronizado com a Refera',
+    count: result.count,
+    stats: channelRegistry.getStats(),
+  });
+});
+
+/**
+ * Detalhar canal
+ * Endpoint: GET /admin/channels/:channelId
+ */
+router.get('/channels/:channelId', (req, res) => {
+  const channel = channelRegistry.get(req.params.channelId);
+
+  if (!channel) {
+    return channelNotFound(res);
+  }
+
+  res.json(summarizeChannel(channel));
+});
+
+/**
+ * Criar canal local
+ * Endpoint: POST /admin/channels
+ */
+router.post('/channels', (req, res) => {
+  const validation = validateChannelMapping(req.body);
+  if (!validation.success) {
+    return res
+      .status(validation.error.status)
+      .json(
+        formatErrorResponse(
+          validation.error.message,
+          null,
+          validation.error.status
+        )
+      );
+  }
+
+  if (channelRegistry.get(req.body.custom_channel_id)) {
+    return res
+      .status(409)
+      .json(formatErrorResponse('Canal já existe', null, 409));
+  }
+
+  const channel = channelRegistry.create(req.body);
+
+  alwaysLog(`📇 [ADMIN] Canal ${channel.custom_channel_id} criado`, {
+    serviceId: channel.digisac_service_id,
+    userId: channel.digisac_user_id,
+  });
+
+  res.status(201).json({
+    message: 'Canal criado',
+    channel: summarizeChannel(channel),
+  });
+});
+
+/**
+ * Atualizar canal (parcial)
+ * Endpoint: PATCH /admin/channels/:channelId
+ */
+router.patch('/channels/:channelId', (req, res) => {
+  const changes = { ...req.body };
+  delete changes.custom_channel_id;
+
+  const validation = validateChannelMapping(changes, true);
+  if (!validation.success) {
+    return res
+      .status(validation.error.status)
+      .json(
+        formatErrorResponse(
+          validation.error.message,
+          null,
+          validation.error.status
+        )
+      );
+  }
+
+  const channel = channelRegistry.update(req.params.channelId, changes);
+  if (!channel) {
+    return channelNotFound(res);
+  }
+
+  alwaysLog(`📇 [ADMIN] Canal ${req.params.channelId} atualizado`, {
+    fields: Object.keys(changes),
+  });
+
+  res.json({
+    message: 'Canal atualizado',
+    channel: summarizeChannel(channel),
+  });
+});
+
+/**
+ * Desativar canal (deixa de receber e enviar mensagens)
+ * Endpoint: POST /admin/channels/:channelId/disable
+ */
+router.post('/channels/:channelId/disable', (req, res) => {
+  const channel = channelRegistry.update(req.params.channelId, {
+    disabled: true,
+  });
+  if (!channel) {
+    return channelNotFound(res);
+  }
+
+  alwaysLog(`📇 [ADMIN] Canal ${req.params.channelId} desativado`);
+
+  res.json({
+    message: 'Canal desativado',
+    channel: summarizeChannel(channel),
+  });
+});
+
+/**
+ * Reativar canal
+ * Endpoint: POST /admin/channels/:channelId/enable
+ */
+router.post('/channels/:channelId/enable', (req, res) => {
+  const channel = channelRegistry.update(req.params.channelId, {
+    disabled: false,
+  });
+  if (!channel) {
+    return channelNotFound(res);
+  }
+
+  alwaysLog(`📇 [ADMIN] Canal ${req.params.channelId} reativado`);
+
+  res.json({
+    message: 'Canal reativado',
+    channel: summarizeChannel(channel),
+  });
+});
+
+/**
+ * Remover canal
+ * Endpoint: DELETE /admin/channels/:channelId
+ */
+router.delete('/channels/:channelId', (req, res) => {
+  const channel = channelRegistry.remove(req.params.channelId);
+  if (!channel) {
+    return channelNotFound(res);
+  }
+
+  alwaysLog(`🗑️ [ADMIN] Canal ${req.params.channelId} removido`);
+
+  res.json({
+    message: 'Canal removido',
+    id: req.params.channelId,
+    source: channel.source,
+  });
+});
+
+/**
+ * Converter filtro de data (ISO 8601 ou epoch em ms)
+ * Datas sem horário no fim do período incluem o dia inteiro (UTC)
+ * @param {string} value - Valor do query param
+ * @param {boolean} endOfPeriod - Se é o fim do período (to)
+ * @returns {number|undefined|null} - Epoch ms, undefined (ausente) ou null (inválido)
+ */
+function parseDateFilter(value, endOfPeriod = false) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    return null;
+  }
+
+  return endOfPeriod && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? time + 24 * 60 * 60 * 1000 - 1
+    : time;
+}
+
+/**
+ * Buscar mensagens no ledger
+ * Endpoint: GET /admin/messages?contactId=...&channelId=...&status=...
+ *   &direction=...&from=2026-01-01&to=2026-01-31&limit=50&offset=0
+ */
+router.get('/messages', (req, res) => {
+  const { contactId, channelId, status, direction } = req.query;
+  const from = parseDateFilter(req.query.from);
+  const to = parseDateFilter(req.query.to, true);
+
+  if (from === null || to === null) {
+    return res
+      .status(400)
+      .json(
+        formatErrorResponse(
+          'Data inválida - use ISO 8601 (ex: 2026-01-31) ou epoch em ms',
+          null,
+          400
+        )
+      );
+  }
+
+  if (status && !Object.values(LEDGER_STATUS).includes(status)) {
+    return res
+      .status(400)
+      .json(
+        formatErrorResponse(
+          `Status inválido - use ${Object.values(LEDGER_STATUS).join(', ')}`,
+          null,
+          400
+        )
+      );
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const result = messageLedger.search({
+    contactId,
+    channelId,
+    status,
+    direction,
+    from,
+    to,
+    limit,
+    offset,
+  });
+
+  res.json({
+    total: result.total,
+    limit,
+    offset,
+    items: result.items,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = router;
@@ -4,11 +4,19 @@ const express = require('express');
 /**
  * Importar módulos organizados
  */
-const { conditionalLog, alwaysLog, errorLog } = require('../utils/logger');
+const {
+  conditionalLog,
+  alwaysLog,
+  errorLog,
+  debugLog,
+} = require('../utils/logger');
 
 const {
   formatErrorResponse,
   formatSuccessResponse,
+  mapDigiSacAckToStatus,
+  parseDigiSacMessageStatus,
+  formatMessageChangeText,
 } = require('../utils/formatters');
 
 const {
@@ -18,7 +26,10 @@ const {
 } = require('../utils/validators');
 
 const { referaApiService } = require('../services/refera');
-const { digiSacApiService } = require('../services/digisac');
+const {
+  digiSacApiService,
+  SUPPORTED_MESSAGE_TYPES,
+} = require('../services/digisac');
 const {
   respondIoApiService,
   CHANNEL_API_TOKEN,
@@ -26,9 +37,40 @@ const {
 const { cache } = require('../utils/cache');
 // const messageCache = require('../utils/messageCache'); // REMOVIDO - causava erros
 const retryManager = require('../utils/retryManager');
+const { messageIdMap } = require('../utils/messageIdMap');
+const { messageStatusHistory } = require('../utils/messageStatusHistory');
+const { messageLedger } = require('../utils/messageLedger');
+const { interactiveMenus } = require('../utils/interactiveMenus');
+const { webhookDedup } = require('../utils/webhookDedup');
+const {
+  verifyWebhookRequest,
+  getWebhookAuthStats,
+  resetWebhookAuthStats,
+} = require('../utils/webhookAuth');
+const { outboundQueue } = require('../services/outboundQueue');
+const { channelRegistry } = require('../services/channelRegistry');
+const { channelRouter } = require('../services/channelRouter');
+const { mediaPipeline } = require('../services/mediaPipeline');
+const { mediaStore } = require('../services/mediaStore');
+const { mediaResolver } = require('../services/mediaResolver');
+const { mediaTranscoder } = require('../services/mediaTranscoder');
+const { mediaSecurity } = require('../services/mediaSecurity');
+const { INBOUND_MEDIA_TYPES, hasMediaUrl } = require('../utils/mediaTypes');
+const adminRoutes = require('./admin');
+const mediaRoutes = require('./media');
 
 const router = express.Router();
 
+/**
+ * Rotas administrativas (fila outbound, dead-letter)
+ */
+router.use('/admin', adminRoutes);
+
+/**
+ * Mídias re-hospedadas (URLs assinadas entregues ao respond.io)
+ */
+router.use('/media', mediaRoutes);
+
 /**
  * Função para processar envio de mensagem
  * @param {Object} req - Request object
@@ -135,13 +177,7 @@ async function processMessageSending(
       service_id: digiSacMessage.service_id,
       user_id: digiSacMessage.user_id,
       hasFile: !!digiSacMessage.file,
-      fileDetails: digiSacMessage.file
-        ? {
-            name: digiSacMessage.file.name,
-            mimetype: digiSacMessage.file.mimetype,
-            base64Length: digiSacMessage.file.base64.length,
-          }
-        : null,
+      fileDetails: mediaPipeline.describe(digiSacMessage.file),
     });
 
     // Enviar mensagem via DigiSac
@@ -176,11 +212,24 @@ async function processMessageSending(
   } catch (error) {
     errorLog(`❌ Erro no endpoint ${routeName}:`, error);
 
+    // Falha no anexo: o respond.io marca a mensagem como não enviada
+    if (error.isAttachmentError) {
+      return res
+        .status(422)
+        .json(
+          formatErrorResponse(
+            error.message,
+            { code: error.code, ...error.details },
+            422
+          )
+        );
+    }
+
     // Verificar se é erro de tipo não suportado
     if (error.message.includes('Tipo de mensagem não suportado')) {
       return res.status(400).json(
         formatErrorResponse(error.message, {
-          supportedTypes: ['text', 'attachment', 'location', 'quick_reply'],
+          supportedTypes: SUPPORTED_MESSAGE_TYPES,
         })
       );
     }
@@ -209,17 +258,8 @@ async function processMessageSending(
  */
 async function getChannelConfig(channelID) {
   try {
-    const result = await referaApiService.callMessageTool(channelID);
-
-    if (result.success && result.data && result.data.results) {
-      // Buscar o canal específico na resposta da API
-      const channel = result.data.results.find(
-        (item) => item.custom_channel_id === channelID
-      );
-      return channel || null;
-    }
-
-    return null;
+    // Registro local (espelho da Refera ou fonte única)
+    return await channelRegistry.getByChannelId(channelID);
   } catch (error) {
     errorLog('❌ Erro ao buscar configuração do canal:', error);
     return null;
@@ -234,19 +274,8 @@ async function getChannelConfig(channelID) {
  */
 async function getChannelByServiceAndUser(serviceId, userId) {
   try {
-    // Buscar todos os canais e filtrar por service_id e user_id
-    const result = await referaApiService.callMessageTool();
-
-    if (result.success && result.data && result.data.results) {
-      const channel = result.data.results.find(
-        (item) =>
-          item.digisac_service_id === serviceId &&
-          item.digisac_user_id === userId
-      );
-      return channel || null;
-    }
-
-    return null;
+    // Buscar no registro local e filtrar por service_id e user_id
+    return await channelRegistry.getByServiceAndUser(serviceId, userId);
   } catch (error) {
     errorLog('❌ Erro ao buscar canal por service_id e user_id:', error);
     return null;
@@ -272,24 +301,16 @@ async function getChannelsByServiceId(serviceId) {
   }
 
   try {
-    // Buscar todos os canais e filtrar por service_id
-    const result = await referaApiService.callMessageTool();
-
-    if (result.success && result.data && result.data.results) {
-      const channels = result.data.results.filter(
-        (item) => item.digisac_service_id === serviceId
-      );
-
-      // Cachear por 10 minutos
-      cache.set(cacheKey, channels, 600000);
-      alwaysLog(
-        `📦 Cache set para serviceId: ${serviceId} - ${channels.length} canais`
-      );
+    // Buscar no registro local e filtrar por service_id
+    const channels = await channelRegistry.getByServiceId(serviceId);
 
-      return channels || [];
-    }
+    // Cachear por 10 minutos
+    cache.set(cacheKey, channels, 600000);
+    alwaysLog(
+      `📦 Cache set para serviceId: ${serviceId} - ${channels.length} canais`
+    );
 
-    return [];
+    return channels;
   } catch (error) {
     errorLog('❌ Erro ao buscar canais por service_id:', error);
     return [];
@@ -549,76 +570,83 @@ router.post('/:channelID/message', async (req, res) => {
         );
     }
 
-    // Criar mensagem DigiSac com os dados específicos do canal
-    conditionalLog(
-      phoneNumber,
-      `🔧 [CANAL ${channelID}] Valores que serão passados para createMessage:`,
-      {
-        service_id: channelConfig.digisac_service_id,
-        user_id: channelConfig.digisac_user_id,
+    // Validar tipo da mensagem antes de enfileirar (lança erro se não suportado)
+    try {
+      digiSacApiService.createMessage(
+        phoneNumber,
+        messageData,
+        channelConfig.digisac_service_id,
+        channelConfig.digisac_user_id
+      );
+    } catch (error) {
+      return res.status(400).json(
+        formatErrorResponse(error.message, {
+          supportedTypes: SUPPORTED_MESSAGE_TYPES,
+        })
+      );
+    }
+
+    // Templates (HSM) só podem ser enviados por conexões da API oficial
+    if (messageData.type === 'template') {
+      const serviceCheck = await digiSacApiService.isOfficialApiService(
+        channelConfig.digisac_service_id
+      );
+
+      if (serviceCheck.success && !serviceCheck.official) {
+        return res.status(422).json(
+          formatErrorResponse(
+            'Templates (HSM) exigem uma conexão DigiSac da API oficial do WhatsApp',
+            {
+              serviceId: channelConfig.digisac_service_id,
+              serviceType: serviceCheck.type,
+            },
+            422
+          )
+        );
       }
-    );
 
-    const digiSacMessage = digiSacApiService.createMessage(
+      // Sem a verificação o template não é enviado (o DigiSac pode rejeitá-lo)
+      if (!serviceCheck.success) {
+        errorLog(
+          `[CANAL ${channelID}] Não foi possível verificar o tipo do serviço DigiSac - template não enviado`,
+          serviceCheck.error
+        );
+        return res.status(502).json(
+          formatErrorResponse(
+            'Não foi possível verificar se a conexão DigiSac aceita templates (HSM)',
+            {
+              serviceId: channelConfig.digisac_service_id,
+              reason: serviceCheck.error?.message,
+            },
+            502
+          )
+        );
+      }
+    }
+
+    // Enfileirar envio para o DigiSac - a entrega acontece em background
+    const job = outboundQueue.enqueue({
+      channelId: channelID,
+      channelDesc: channelConfig.desc,
       phoneNumber,
       messageData,
-      channelConfig.digisac_service_id,
-      channelConfig.digisac_user_id
-    );
-
-    // Processar anexo se existir
-    if (messageData.type === 'attachment' && messageData.attachment) {
-      await digiSacApiService.processAttachment(
-        digiSacMessage,
-        messageData.attachment,
-        phoneNumber
-      );
-    }
+      serviceId: channelConfig.digisac_service_id,
+      userId: channelConfig.digisac_user_id,
+    });
 
     conditionalLog(
       phoneNumber,
-      `📤 [CANAL ${channelID}] Enviando para DigiSac:`,
+      `📬 [CANAL ${channelID}] Mensagem aceita na fila do vendedor ${channelConfig.desc}:`,
       {
-        vendedor: channelConfig.desc,
-        to: digiSacMessage.to,
-        type: digiSacMessage.type,
-        text: digiSacMessage.text,
-        service_id: digiSacMessage.service_id,
-        user_id: digiSacMessage.user_id,
-        hasFile: !!digiSacMessage.file,
+        mId: job.id,
+        to: phoneNumber,
+        type: messageData.type,
       }
     );
 
-    // Enviar mensagem via DigiSac
-    const result = await digiSacApiService.sendMessage(digiSacMessage);
-
-    if (result.success) {
-      conditionalLog(
-        phoneNumber,
-        `✅ [CANAL ${channelID}] Mensagem enviada pelo vendedor ${channelConfig.desc}:`,
-        {
-          messageId: result.data.message_id,
-          to: phoneNumber,
-          vendedor: channelConfig.desc,
-        }
-      );
-
-      res.json({
-        mId: result.data.message_id,
-      });
-    } else {
-      errorLog(`❌ [CANAL ${channelID}] Erro do DigiSac:`, result.error);
-      const statusCode = result.error.code === 401 ? 401 : 400;
-      res
-        .status(statusCode)
-        .json(
-          formatErrorResponse(
-            result.error.message,
-            result.error.details,
-            statusCode
-          )
-        );
-    }
+    res.json({
+      mId: job.id,
+    });
   } catch (error) {
     errorLog(`❌ [CANAL ${channelID}] Erro na rota:`, error);
     res
@@ -630,939 +658,1360 @@ router.post('/:channelID/message', async (req, res) => {
 });
 
 /**
- * Rota para recebimento de mensagens: FROM DigiSac TO respond.io
- * Endpoint: POST /digisac/webhook
+ * Verificar se o evento do webhook é uma atualização de status (ack)
+ * @param {string} eventType - Tipo do evento do webhook
+ * @param {Object} messageData - Dados da mensagem do DigiSac
+ * @returns {boolean} - Se é evento de status
  */
-router.post('/digisac/webhook', async (req, res) => {
-  const startTime = Date.now();
-  const webhookId = `webhook_${Date.now()}_${Math.random()
-    .toString(36)
-    .substr(2, 9)}`;
-
-  try {
-    // ===== LOG COMPLETO DO WEBHOOK RECEBIDO =====
-    console.log('\n' + '='.repeat(100));
-    console.log(`🔔 WEBHOOK DIGISAC RECEBIDO - ${new Date().toISOString()}`);
-    console.log(`🆔 Webhook ID: ${webhookId}`);
-    console.log('='.repeat(100));
-
-    // Log dos headers importantes
-    console.log('📋 HEADERS IMPORTANTES:');
-    console.log(`Content-Type: ${req.headers['content-type']}`);
-    console.log(`Content-Length: ${req.headers['content-length']}`);
-    console.log(`User-Agent: ${req.headers['user-agent']}`);
-    console.log(`X-Forwarded-For: ${req.headers['x-forwarded-for'] || 'N/A'}`);
-    console.log(
-      `Authorization: ${req.headers['authorization'] ? 'Present' : 'Missing'}`
-    );
+function isMessageStatusEvent(eventType, messageData) {
+  return (
+    ['message.updated', 'message.ack'].includes(eventType) &&
+    (messageData.ack !== undefined || messageData.isFailed === true)
+  );
+}
 
-    // Log do body completo
-    console.log('\n📦 BODY COMPLETO:');
-    console.log(JSON.stringify(req.body, null, 2));
+/**
+ * Repassar status (ack) de uma mensagem do DigiSac para o respond.io
+ * O status é enviado para cada canal que conhece a mensagem pelo seu mId
+ * (mensagens enviadas pela fila ou echoes já repassados)
+ * @param {Object} messageData - Dados da mensagem do DigiSac
+ * @param {Object} context - Contexto do webhook ({ webhookId })
+ * @returns {Promise<Object>} - Resultado do processamento do status
+ */
+async function processMessageStatusEvent(messageData, context) {
+  const messageId = messageData.id || messageData.messageId || messageData._id;
+  const serviceId = messageData.service_id || messageData.serviceId;
+  const status = mapDigiSacAckToStatus(
+    messageData.ack,
+    messageData.isFailed === true
+  );
 
-    // Verificar se é um evento de mensagem relevante
-    const eventType = req.body.event;
-    let messageData = req.body.data;
-
-    // Log resumido para facilitar análise
-    console.log('\n📋 RESUMO DO WEBHOOK:');
-    console.log(`🎯 Event Type: ${eventType}`);
-    console.log(
-      `📱 Message ID: ${
-        messageData?.id || messageData?.messageId || messageData?._id || 'N/A'
-      }`
-    );
-    console.log(
-      `📞 From: ${
-        messageData?.from ||
-        messageData?.fromId ||
-        messageData?.contactId ||
-        messageData?.number ||
-        'N/A'
-      }`
-    );
-    console.log(
-      `💬 Message: ${
-        messageData?.message ||
-        messageData?.text ||
-        messageData?.content ||
-        'N/A'
-      }`
-    );
-    console.log(
-      `👤 User ID: ${messageData?.user_id || messageData?.userId || 'N/A'}`
-    );
-    console.log(
-      `🏢 Service ID: ${
-        messageData?.service_id || messageData?.serviceId || 'N/A'
-      }`
-    );
-    console.log(
-      `📝 Message Type: ${
-        messageData?.type || messageData?.messageType || 'N/A'
-      }`
-    );
-    console.log(`🔄 Is From Me: ${messageData?.isFromMe || false}`);
-    console.log(`⏰ Timestamp: ${messageData?.timestamp || 'N/A'}`);
+  if (!messageId || !status) {
+    return {
+      status: 'ignored',
+      message: 'Status sem correspondência no respond.io',
+      ack: messageData.ack,
+    };
+  }
 
-    // Log adicional para debug de estrutura
-    if (Array.isArray(messageData)) {
-      console.log(`📊 Message Data é array com ${messageData.length} itens`);
-    } else if (typeof messageData === 'object') {
-      console.log(
-        `📊 Message Data é objeto com ${
-          Object.keys(messageData || {}).length
-        } propriedades`
-      );
-      console.log(
-        `📊 Propriedades: ${Object.keys(messageData || {}).join(', ')}`
-      );
-    }
+  const timestamp = messageData.updatedAt
+    ? new Date(messageData.updatedAt).getTime()
+    : Date.now();
+  const errorMessage =
+    messageData.error?.message ||
+    (typeof messageData.error === 'string' ? messageData.error : null);
 
-    // Validar dados do webhook
-    const webhookValidation = validateDigiSacWebhook(req.body);
-    if (!webhookValidation.success) {
-      return res
-        .status(400)
-        .json(formatErrorResponse(webhookValidation.error.message, null, 400));
-    }
+  const channelConfigs = serviceId
+    ? await getChannelsByServiceId(serviceId)
+    : [];
+  const results = [];
 
-    // ===== PROCESSAMENTO DIRETO - SEM VERIFICAÇÃO DE DUPLICATAS =====
-    console.log('\n✅ Prosseguindo com processamento da mensagem');
+  for (const channelConfig of channelConfigs) {
+    const channelId = channelConfig.custom_channel_id;
+    const link = messageIdMap.getByDigiSacId(channelId, messageId);
 
-    // Se messageData for um array, pegar apenas a primeira mensagem
-    if (Array.isArray(messageData)) {
-      conditionalLog(
-        'system',
-        '📋 Webhook contém array de mensagens, processando apenas a primeira'
-      );
-      messageData = messageData[0];
+    if (!link || !['outbound', 'echo'].includes(link.direction)) {
+      continue;
     }
 
-    // Extrair dados da mensagem recebida com mais flexibilidade
-    const messageId =
-      messageData.id || messageData.messageId || messageData._id;
-    const from =
-      messageData.from ||
-      messageData.fromId ||
-      messageData.contactId ||
-      messageData.number;
-    const messageType = messageData.type || messageData.messageType || 'text';
-    const timestamp = messageData.timestamp
-      ? new Date(messageData.timestamp).getTime()
-      : Date.now();
-
-    // Ignorar mensagens do tipo "ticket" - não enviar para respond.io
-    if (messageType === 'ticket') {
-      conditionalLog(
-        from,
-        '🚫 Mensagem do tipo "ticket" ignorada - não enviando para respond.io'
-      );
-      return res.status(200).json({
-        status: 'ignored',
-        message: 'Mensagem do tipo "ticket" ignorada',
-        messageType: 'ticket',
-      });
-    }
+    messageStatusHistory.record(
+      channelId,
+      link.mId,
+      {
+        status,
+        ack: parseDigiSacMessageStatus(messageData)?.ack ?? null,
+        error: errorMessage,
+        at: timestamp,
+        source: 'digisac',
+      },
+      {
+        digisacId: messageId,
+        contactId: link.contactId,
+        direction: link.direction,
+      }
+    );
 
-    // Extrair service_id e user_id da mensagem para identificar os canais
-    const serviceId = messageData.service_id || messageData.serviceId;
-    const userId = messageData.user_id || messageData.userId;
+    const result = await webhookDedup.run(
+      `${messageId}:status:${status}`,
+      channelId,
+      async () => {
+        const sendResult = await respondIoApiService.sendMessageStatus(
+          { channelId, token: channelConfig.custom_channel_token },
+          link.mId,
+          link.contactId,
+          status,
+          timestamp,
+          errorMessage
+        );
+        return {
+          channelId,
+          mId: link.mId,
+          success: sendResult.success,
+          error: sendResult.error || null,
+        };
+      }
+    );
+    results.push(result);
+  }
 
-    // Log detalhado para debug de user_id
-    conditionalLog(from, '🔍 [DEBUG] Dados extraídos do webhook:', {
-      serviceId,
-      userId,
+  if (results.length === 0) {
+    conditionalLog('system', '⚠️ Status ignorado: mensagem sem mId conhecido', {
       messageId,
-      from,
-      messageType,
-      eventType,
-      isFromMe: messageData.isFromMe,
-      hasUserData: !!messageData.user,
-      userData: messageData.user
-        ? {
-            id: messageData.user.id,
-            name: messageData.user.name,
-            username: messageData.user.username,
-          }
-        : null,
+      serviceId,
+      status,
     });
+    return {
+      status: 'ignored',
+      message: 'Mensagem sem mId correspondente no respond.io',
+      messageId,
+      ack: messageData.ack,
+    };
+  }
 
-    // Buscar TODOS os canais que usam este service_id
-    let channelConfigs = [];
-    if (serviceId) {
-      channelConfigs = await getChannelsByServiceId(serviceId);
-    }
+  alwaysLog(`📬 [STATUS] ${status} repassado ao respond.io`, {
+    messageId,
+    canais: results.map((result) => result.channelId),
+  });
 
-    if (!channelConfigs || channelConfigs.length === 0) {
-      conditionalLog(from, '⚠️ Nenhum canal encontrado para este service_id:', {
-        serviceId,
-      });
-      return res.status(200).json({
-        status: 'ignored',
-        message: 'Nenhum canal configurado para este service_id',
-      });
-    }
+  return formatSuccessResponse(
+    {
+      webhookId: context.webhookId,
+      messageId,
+      messageStatus: status,
+      results,
+    },
+    'Status repassado ao respond.io'
+  );
+}
 
-    // Log dos canais identificados
-    alwaysLog(
-      `📨 [SERVICE ${serviceId}] Mensagem recebida - ${channelConfigs.length} canal(is) encontrado(s):`,
-      channelConfigs.map((config) => ({
-        channelId: config.custom_channel_id,
-        vendedor: config.desc,
-        userId: config.digisac_user_id,
-      }))
-    );
+/**
+ * Identificar reação, edição ou exclusão de mensagem no webhook do DigiSac
+ * @param {string} eventType - Tipo do evento do webhook
+ * @param {Object} messageData - Dados da mensagem do DigiSac
+ * @returns {Object|null} - { kind, targetId, emoji?, removed?, text? } ou null
+ */
+function getMessageChangeEvent(eventType, messageData) {
+  const messageId = messageData.id || messageData.messageId || messageData._id;
+  const messageType = messageData.type || messageData.messageType;
+  const event = eventType || '';
+
+  if (event.startsWith('reaction.') || messageType === 'reaction') {
+    const emoji =
+      messageData.reaction || messageData.emoji || messageData.text || '';
+    return {
+      kind: 'reaction',
+      targetId:
+        messageData.reactionParentMessageId ||
+        messageData.data?.reactionParentMessageId ||
+        messageData.quotedMessageId ||
+        messageData.parentMessageId,
+      emoji,
+      removed: /\.(removed|deleted)$/.test(event) || !emoji,
+    };
+  }
 
-    // Log específico para debug de user_id vs canais configurados
-    conditionalLog(
-      from,
-      '🔍 [DEBUG] Comparação user_id da mensagem vs canais configurados:',
-      {
-        messageUserId: userId,
-        configuredUserIds: channelConfigs.map(
-          (config) => config.digisac_user_id
-        ),
-        isMessageFromConfiguredUser: userId
-          ? channelConfigs.some((config) => config.digisac_user_id === userId)
-          : 'N/A',
-        willProcessAllChannels: true, // Sempre processar todos os canais do service_id
-      }
-    );
+  // Exclusão pelo evento explícito ou pela marcação da mensagem; a marcação
+  // se repete nos message.updated seguintes (só a primeira é exclusão)
+  const explicitDelete = ['message.deleted', 'message.revoked'].includes(event);
+  if (
+    explicitDelete ||
+    messageType === 'revoked' ||
+    messageData.isDeleted === true ||
+    messageData.revoked === true
+  ) {
+    return {
+      kind: 'delete',
+      targetId: messageData.revokedMessageId || messageId,
+      flagOnly: !explicitDelete,
+    };
+  }
 
-    // Buscar o número de telefone do contato - otimizado para evitar getContactProfile desnecessário
-    let contactPhoneNumber = null;
-    let contactData = null; // Dados completos do contato
-    let contactIdToUse = from; // ID padrão para buscar dados do contato
+  // Só o evento explícito de edição: os message.updated de uma mensagem já
+  // editada (acks) mantêm isEdited/editedAt e seguem como status
+  if (event === 'message.edited') {
+    return {
+      kind: 'edit',
+      targetId: messageId,
+      text: messageData.text || messageData.body,
+    };
+  }
 
-    // Para Messaging Echoes, usar o contactId em vez do fromId
-    const isFromMe = messageData.isFromMe === true;
-    if (isFromMe && messageData.contactId) {
-      contactIdToUse = messageData.contactId;
-      conditionalLog(
-        from,
-        '🔄 Messaging Echo detectado - usando contactId em vez de fromId:',
-        contactIdToUse
-      );
-    }
+  return null;
+}
 
-    // Log adicional para debug do Messaging Echo
-    if (isFromMe) {
-      conditionalLog(from, '🔍 [DEBUG] Messaging Echo detalhado:', {
-        fromId: messageData.fromId,
-        contactId: messageData.contactId,
-        contactIdToUse: contactIdToUse,
-        isFromMe: messageData.isFromMe,
-        messageUserId: userId,
-        serviceId: serviceId,
-        willProcessForAllChannels: true, // Confirmar que processará para todos os canais
-      });
-    }
+/**
+ * Verificar se a marcação de exclusão é de uma mensagem já apagada
+ * (message.updated/acks seguintes repetem isDeleted/revoked)
+ * @param {Object} change - Evento identificado por getMessageChangeEvent
+ * @param {Object} messageData - Dados da mensagem do DigiSac
+ * @returns {Promise<boolean>} - Se a exclusão já foi repassada
+ */
+async function isRepeatedDelete(change, messageData) {
+  if (change.kind !== 'delete' || !change.flagOnly) {
+    return false;
+  }
 
-    // Função helper para validar se um número parece ser um telefone brasileiro válido
-    const isValidBrazilianPhone = (phone) => {
-      if (!phone) return false;
-      const cleaned = phone.replace(/\D/g, '');
-      return cleaned.length >= 10 && cleaned.length <= 13;
-    };
+  const serviceId = messageData.service_id || messageData.serviceId;
+  const channelConfigs = serviceId
+    ? await getChannelsByServiceId(serviceId)
+    : [];
+  const links = channelConfigs
+    .map((channelConfig) =>
+      messageIdMap.getByDigiSacId(
+        channelConfig.custom_channel_id,
+        change.targetId
+      )
+    )
+    .filter(Boolean);
 
-    // Função helper para normalizar número de telefone
-    const normalizePhoneNumber = (phone) => {
-      if (!phone) return phone;
-      let normalized = phone.replace(/\D/g, '');
-      if (normalized.startsWith('55')) {
-        return '+' + normalized;
-      } else if (normalized.length >= 10) {
-        return '+55' + normalized;
-      }
-      return phone;
+  return links.length > 0 && links.every((link) => link.deletedAt);
+}
+
+/**
+ * Repassar reação, edição ou exclusão para o respond.io como anotação
+ * citando a mensagem original, em cada canal que conhece a mensagem
+ * @param {Object} change - Evento identificado por getMessageChangeEvent
+ * @param {Object} messageData - Dados da mensagem do DigiSac
+ * @param {Object} context - Contexto do webhook ({ webhookId })
+ * @returns {Promise<Object>} - Resultado do processamento
+ */
+async function processMessageChangeEvent(change, messageData, context) {
+  const messageId = messageData.id || messageData.messageId || messageData._id;
+  const serviceId = messageData.service_id || messageData.serviceId;
+  const isFromMe = messageData.isFromMe === true;
+  const eventTime =
+    messageData.editedAt ||
+    messageData.deletedAt ||
+    messageData.updatedAt ||
+    messageData.timestamp;
+  const timestamp = eventTime ? new Date(eventTime).getTime() : Date.now();
+
+  if (!change.targetId) {
+    return {
+      status: 'ignored',
+      message: 'Evento sem referência à mensagem original',
+      kind: change.kind,
     };
+  }
 
-    // Estratégia 1: Tentar extrair número diretamente do webhook (para mensagens normais)
-    if (!isFromMe) {
-      // Tentar extrair número de diferentes campos do webhook
-      const possibleNumbers = [
-        messageData.number,
-        messageData.phone,
-        messageData.contactPhone,
-        messageData.from,
-        messageData.fromId,
-        messageData.contactId,
-      ].filter(Boolean);
-
-      for (const num of possibleNumbers) {
-        if (isValidBrazilianPhone(num)) {
-          contactPhoneNumber = normalizePhoneNumber(num);
-          conditionalLog(
-            from,
-            '📱 Número extraído diretamente do webhook:',
-            contactPhoneNumber
-          );
-          break;
-        }
-      }
+  // Reações têm ID próprio, a exclusão é única por mensagem e as edições
+  // usam o momento do evento
+  const annotationId =
+    change.kind === 'reaction' && messageId && messageId !== change.targetId
+      ? `${change.targetId}:reaction:${messageId}`
+      : change.kind === 'delete'
+      ? `${change.targetId}:deleted`
+      : `${change.targetId}:${change.kind}:${timestamp}`;
+  const text = formatMessageChangeText(change);
+
+  const channelConfigs = serviceId
+    ? await getChannelsByServiceId(serviceId)
+    : [];
+  const results = [];
+
+  for (const channelConfig of channelConfigs) {
+    const channelId = channelConfig.custom_channel_id;
+    const link = messageIdMap.getByDigiSacId(channelId, change.targetId);
+
+    if (!link) {
+      continue;
     }
 
-    // Estratégia 2: Se não conseguiu extrair número válido OU é Messaging Echo, buscar no cache/perfil
-    const needsContactProfile =
-      isFromMe ||
-      !contactPhoneNumber ||
-      !isValidBrazilianPhone(contactPhoneNumber);
-
-    if (needsContactProfile) {
-      conditionalLog(
-        from,
-        `🔍 ${
-          isFromMe ? 'Messaging Echo' : 'Número inválido'
-        } - buscando perfil do contato:`,
-        contactIdToUse
+    const result = await webhookDedup.run(annotationId, channelId, async () => {
+      const sendResult = await respondIoApiService.sendMessageAnnotation(
+        { channelId, token: channelConfig.custom_channel_token },
+        link.contactId,
+        annotationId,
+        link.mId,
+        text,
+        timestamp,
+        isFromMe
       );
+      if (sendResult.success && change.kind === 'delete') {
+        messageIdMap.markDeleted(channelId, change.targetId);
+      }
+      return {
+        channelId,
+        mId: link.mId,
+        success: sendResult.success,
+        error: sendResult.error || null,
+      };
+    });
+    results.push(result);
+  }
 
-      // Verificar cache de contato primeiro
-      const contactCacheKey = `contact:${contactIdToUse}`;
-      contactData = cache.get(contactCacheKey);
-
-      if (contactData) {
-        conditionalLog(from, '📦 Cache hit para contato:', contactIdToUse);
-        // Extrair número do telefone dos dados em cache
-        contactPhoneNumber =
-          contactData.data?.number ||
-          contactData.number ||
-          contactData.phone ||
-          contactData.contactId ||
-          contactIdToUse;
-      } else {
-        try {
-          conditionalLog(
-            from,
-            '🔍 Buscando dados do contato na API:',
-            contactIdToUse
-          );
+  if (results.length === 0) {
+    conditionalLog('system', '⚠️ Evento ignorado: mensagem original sem mId', {
+      kind: change.kind,
+      targetId: change.targetId,
+      serviceId,
+    });
+    return {
+      status: 'ignored',
+      message: 'Mensagem original sem mId correspondente no respond.io',
+      kind: change.kind,
+      targetId: change.targetId,
+    };
+  }
 
-          // Usar retry para busca de contato
-          const contactResult = await retryManager.executeHttpWithRetry(
-            () => digiSacApiService.getContactProfile(contactIdToUse),
-            {
-              operation: 'Buscar dados do contato DigiSac',
-              webhookId: webhookId,
-              contactId: contactIdToUse,
-            }
-          );
-          if (contactResult.success && contactResult.data) {
-            // Armazenar dados completos do contato
-            contactData = contactResult.data;
-
-            // Cachear por 15 minutos
-            cache.set(contactCacheKey, contactData, 900000);
-            conditionalLog(from, '📦 Cache set para contato:', contactIdToUse);
-
-            // Extrair número do telefone da estrutura correta do DigiSac
-            contactPhoneNumber =
-              contactResult.data.data?.number ||
-              contactResult.data.number ||
-              contactResult.data.phone ||
-              contactResult.data.contactId ||
-              contactIdToUse;
-            conditionalLog(
-              from,
-              '📱 Número do contato encontrado via API:',
-              contactPhoneNumber
-            );
-            conditionalLog(
-              from,
-              '👤 Dados completos do contato:',
-              process.env.LOG_LEVEL === 'debug'
-                ? JSON.stringify(contactData, null, 2)
-                : 'Dados do contato'
-            );
+  alwaysLog(`📝 [EVENTO] ${change.kind} repassado ao respond.io`, {
+    targetId: change.targetId,
+    canais: results.map((result) => result.channelId),
+  });
 
-            // Log específico para verificar o nome
-            if (contactData.name) {
-              conditionalLog(
-                from,
-                '👤 Nome do contato encontrado:',
-                contactData.name
-              );
-            }
-          } else {
-            conditionalLog(
-              from,
-              '⚠️ Não foi possível obter dados do contato, usando ID como fallback'
-            );
-            contactPhoneNumber = contactIdToUse;
-          }
-        } catch (error) {
-          conditionalLog(
-            from,
-            '⚠️ Erro ao buscar dados do contato, usando ID como fallback:',
-            error.message
-          );
-          contactPhoneNumber = contactIdToUse;
-        }
-      }
-    } else {
-      conditionalLog(
-        from,
-        '✅ Usando número extraído do webhook - sem necessidade de buscar perfil'
-      );
-    }
-
-    if (contactPhoneNumber && !contactPhoneNumber.startsWith('+')) {
-      if (contactPhoneNumber.startsWith('55')) {
-        contactPhoneNumber = '+' + contactPhoneNumber;
-      } else if (contactPhoneNumber.length >= 10) {
-        contactPhoneNumber = '+55' + contactPhoneNumber;
-      }
-    }
+  return formatSuccessResponse(
+    {
+      webhookId: context.webhookId,
+      kind: change.kind,
+      targetId: change.targetId,
+      results,
+    },
+    'Evento repassado ao respond.io'
+  );
+}
 
-    // EARLY RETURNS OTIMIZADOS - Validações rápidas antes de processar logs pesados
+/**
+ * Processar uma mensagem de webhook do DigiSac
+ * (mídia, dados do contato e entrega para os canais do service_id)
+ * @param {string} eventType - Tipo do evento do webhook
+ * @param {Object} messageData - Dados da mensagem do DigiSac
+ * @param {Object} context - Contexto do webhook ({ webhookId, headers, body };
+ *   mediaResolution quando vem do resolvedor de mídias)
+ * @returns {Promise<Object>} - Resultado do processamento da mensagem
+ */
+async function processWebhookMessage(eventType, messageData, context) {
+  const { webhookId } = context;
+  const startTime = Date.now();
 
-    // Validação 1: Dados essenciais
-    if (!eventType || !messageData) {
-      conditionalLog(
-        contactPhoneNumber,
-        '⚠️ Webhook ignorado: sem dados relevantes'
-      );
-      return res.status(200).json({ status: 'ignored' });
-    }
+  // Reações, edições e exclusões viram anotações na mensagem original
+  const change = getMessageChangeEvent(eventType, messageData);
+  if (change && !(await isRepeatedDelete(change, messageData))) {
+    return processMessageChangeEvent(change, messageData, context);
+  }
 
-    // Validação 2: Tipo de evento
-    if (!eventType.includes('message.')) {
-      conditionalLog(
-        contactPhoneNumber,
-        '⚠️ Webhook ignorado: não é evento de mensagem'
-      );
-      return res.status(200).json({ status: 'ignored' });
-    }
+  // Atualizações de ack viram eventos de status no respond.io
+  if (isMessageStatusEvent(eventType, messageData)) {
+    return processMessageStatusEvent(messageData, context);
+  }
 
-    // Logs otimizados - só executar se passar pelas validações
+  // Extrair dados da mensagem recebida com mais flexibilidade
+  const messageId = messageData.id || messageData.messageId || messageData._id;
+  const from =
+    messageData.from ||
+    messageData.fromId ||
+    messageData.contactId ||
+    messageData.number;
+  const messageType = messageData.type || messageData.messageType || 'text';
+  const timestamp = messageData.timestamp
+    ? new Date(messageData.timestamp).getTime()
+    : Date.now();
+
+  // Ignorar mensagens do tipo "ticket" - não enviar para respond.io
+  if (messageType === 'ticket') {
     conditionalLog(
-      contactPhoneNumber,
-      '📱 ContactId final para respond.io:',
-      contactPhoneNumber
+      from,
+      '🚫 Mensagem do tipo "ticket" ignorada - não enviando para respond.io'
     );
+    return {
+      status: 'ignored',
+      message: 'Mensagem do tipo "ticket" ignorada',
+      messageType: 'ticket',
+    };
+  }
 
-    // Logs detalhados apenas em modo debug
-    if (process.env.LOG_LEVEL === 'debug') {
-      conditionalLog(
-        contactPhoneNumber,
-        '📥 Webhook DigiSac recebido - Estrutura completa:'
-      );
-      conditionalLog(
-        contactPhoneNumber,
-        '📋 Headers:',
-        JSON.stringify(req.headers, null, 2)
-      );
-      conditionalLog(
-        contactPhoneNumber,
-        '📦 Body completo:',
-        JSON.stringify(req.body, null, 2)
-      );
-      conditionalLog(contactPhoneNumber, '🔍 Event Type:', eventType);
-      conditionalLog(
-        contactPhoneNumber,
-        '🔍 Message Data:',
-        JSON.stringify(messageData, null, 2)
-      );
-    }
+  // Extrair service_id e user_id da mensagem para identificar os canais
+  const serviceId = messageData.service_id || messageData.serviceId;
+  const userId = messageData.user_id || messageData.userId;
+
+  // Log detalhado para debug de user_id
+  conditionalLog(from, '🔍 [DEBUG] Dados extraídos do webhook:', {
+    serviceId,
+    userId,
+    messageId,
+    from,
+    messageType,
+    eventType,
+    isFromMe: messageData.isFromMe,
+    hasUserData: !!messageData.user,
+    userData: messageData.user
+      ? {
+          id: messageData.user.id,
+          name: messageData.user.name,
+          username: messageData.user.username,
+        }
+      : null,
+  });
 
-    // Log de Messaging Echo (sempre importante)
-    if (isFromMe) {
-      conditionalLog(
-        contactPhoneNumber,
-        '🔄 Processando mensagem do agente como Messaging Echo'
-      );
-    }
+  // Buscar TODOS os canais que usam este service_id
+  let channelConfigs = [];
+  if (serviceId) {
+    channelConfigs = await getChannelsByServiceId(serviceId);
+  }
 
-    // Para mensagens de mídia, verificar se o arquivo está disponível
-    // DigiSac usa AMBAS as estruturas: 'files' (array) E 'file' (objeto)
-    if (['image', 'audio', 'ptt', 'document'].includes(messageType)) {
-      // Log detalhado para debug de mídia
-      console.log(`📸 DEBUG MÍDIA - Tipo: ${messageType}`);
-      console.log(`📁 DEBUG MÍDIA - Tem files:`, !!messageData.files);
-      console.log(`📁 DEBUG MÍDIA - Tem file:`, !!messageData.file);
-      console.log(
-        `📊 DEBUG MÍDIA - Files length:`,
-        messageData.files?.length || 0
-      );
-      console.log(
-        `🔗 DEBUG MÍDIA - Files[0] URL:`,
-        messageData.files?.[0]?.url
-      );
-      console.log(`🔗 DEBUG MÍDIA - File URL:`, messageData.file?.url);
-      console.log(
-        `📋 DEBUG MÍDIA - Estrutura files:`,
-        JSON.stringify(messageData.files, null, 2)
-      );
-      console.log(
-        `📋 DEBUG MÍDIA - Estrutura file:`,
-        JSON.stringify(messageData.file, null, 2)
-      );
+  if (!channelConfigs || channelConfigs.length === 0) {
+    conditionalLog(from, '⚠️ Nenhum canal encontrado para este service_id:', {
+      serviceId,
+    });
+    return {
+      status: 'ignored',
+      message: 'Nenhum canal configurado para este service_id',
+    };
+  }
 
-      // Verificar AMBAS as estruturas (files[] OU file.url)
-      const hasFiles =
-        messageData.files &&
-        Array.isArray(messageData.files) &&
-        messageData.files.length > 0;
-      const hasFilesUrl = hasFiles && messageData.files[0]?.url;
-      const hasFileUrl = messageData.file && messageData.file.url;
-
-      // Arquivo disponível se QUALQUER uma das estruturas tiver URL
-      const hasUrl = hasFilesUrl || hasFileUrl;
-
-      if (!hasUrl) {
-        console.log('⚠️ MÍDIA SEM ARQUIVO: tentando buscar via API DigiSac');
-        console.log(
-          `📊 DEBUG - hasFiles: ${hasFiles}, hasFilesUrl: ${hasFilesUrl}, hasFileUrl: ${hasFileUrl}`
-        );
+  // Mídia ainda sem arquivo (DigiSac processando): responder na hora e
+  // resolver em background - a mensagem é entregue quando o arquivo ficar
+  // pronto ou com texto de fallback após o prazo
+  if (
+    INBOUND_MEDIA_TYPES.includes(messageType) &&
+    !hasMediaUrl(messageData) &&
+    !context.mediaResolution &&
+    messageId
+  ) {
+    const pendingJob = mediaResolver.enqueue({
+      messageId,
+      eventType,
+      messageData,
+      webhookId,
+    });
+    return {
+      status: 'pending',
+      message: 'Mídia aguardando processamento do arquivo no DigiSac',
+      messageId,
+      messageType,
+      deadlineAt: new Date(pendingJob.deadlineAt).toISOString(),
+    };
+  }
 
-        // Tentar buscar arquivo via API DigiSac
-        try {
-          console.log(
-            `🔍 Buscando arquivo via API para messageId: ${messageId}`
-          );
+  // Log dos canais identificados
+  alwaysLog(
+    `📨 [SERVICE ${serviceId}] Mensagem recebida - ${channelConfigs.length} canal(is) encontrado(s):`,
+    channelConfigs.map((config) => ({
+      channelId: config.custom_channel_id,
+      vendedor: config.desc,
+      userId: config.digisac_user_id,
+    }))
+  );
 
-          // Aguardar um pouco para o DigiSac processar
-          await new Promise((resolve) => setTimeout(resolve, 2000)); // 2 segundos
+  // Log específico para debug de user_id vs canais configurados
+  conditionalLog(
+    from,
+    '🔍 [DEBUG] Comparação user_id da mensagem vs canais configurados:',
+    {
+      messageUserId: userId,
+      configuredUserIds: channelConfigs.map((config) => config.digisac_user_id),
+      isMessageFromConfiguredUser: userId
+        ? channelConfigs.some((config) => config.digisac_user_id === userId)
+        : 'N/A',
+      routingMode: channelRouter.getConfig(serviceId).mode,
+    }
+  );
 
-          const result = await retryManager.executeHttpWithRetry(
-            () => digiSacApiService.getMessageWithFile(messageId),
-            {
-              operation: 'Buscar arquivo de mídia DigiSac',
-              webhookId: webhookId,
-              messageId: messageId,
-            }
-          );
+  // Buscar o número de telefone do contato - otimizado para evitar getContactProfile desnecessário
+  let contactPhoneNumber = null;
+  let contactData = null; // Dados completos do contato
+  let contactIdToUse = from; // ID padrão para buscar dados do contato
 
-          if (result.success && result.data) {
-            // Verificar se agora tem arquivo
-            const newHasFilesUrl =
-              result.data.files && result.data.files[0]?.url;
-            const newHasFileUrl = result.data.file && result.data.file.url;
-
-            if (newHasFilesUrl || newHasFileUrl) {
-              console.log(`✅ ARQUIVO ENCONTRADO VIA API!`);
-              messageData = result.data; // Atualizar dados da mensagem
-            } else {
-              console.log(`⚠️ ARQUIVO AINDA NÃO DISPONÍVEL VIA API`);
-              conditionalLog(
-                contactPhoneNumber,
-                '⚠️ Webhook ignorado: arquivo ainda não processado após API'
-              );
-              return res.status(200).json({
-                status: 'ignored',
-                reason: 'Arquivo de mídia ainda não processado após API',
-                messageType: messageType,
-                hasFiles: hasFiles,
-                hasFilesUrl: hasFilesUrl,
-                hasFileUrl: hasFileUrl,
-                filesCount: messageData.files?.length || 0,
-              });
-            }
-          } else {
-            console.log(`❌ ERRO AO BUSCAR VIA API:`, result.error);
-            conditionalLog(
-              contactPhoneNumber,
-              '⚠️ Webhook ignorado: erro ao buscar arquivo via API'
-            );
-            return res.status(200).json({
-              status: 'ignored',
-              reason: 'Erro ao buscar arquivo via API',
-              messageType: messageType,
-              error: result.error,
-            });
-          }
-        } catch (error) {
-          console.log(`❌ EXCEÇÃO AO BUSCAR VIA API:`, error.message);
-          conditionalLog(
-            contactPhoneNumber,
-            '⚠️ Webhook ignorado: exceção ao buscar arquivo via API'
-          );
-          return res.status(200).json({
-            status: 'ignored',
-            reason: 'Exceção ao buscar arquivo via API',
-            messageType: messageType,
-            error: error.message,
-          });
-        }
-      }
+  // Para Messaging Echoes, usar o contactId em vez do fromId
+  const isFromMe = messageData.isFromMe === true;
+  if (isFromMe && messageData.contactId) {
+    contactIdToUse = messageData.contactId;
+    conditionalLog(
+      from,
+      '🔄 Messaging Echo detectado - usando contactId em vez de fromId:',
+      contactIdToUse
+    );
+  }
 
-      const fileUrl = hasFilesUrl
-        ? messageData.files[0].url
-        : messageData.file.url;
-      console.log(`✅ MÍDIA OK: arquivo disponível - ${fileUrl}`);
+  // Log adicional para debug do Messaging Echo
+  if (isFromMe) {
+    conditionalLog(from, '🔍 [DEBUG] Messaging Echo detalhado:', {
+      fromId: messageData.fromId,
+      contactId: messageData.contactId,
+      contactIdToUse: contactIdToUse,
+      isFromMe: messageData.isFromMe,
+      messageUserId: userId,
+      serviceId: serviceId,
+    });
+  }
+
+  // Função helper para validar se um número parece ser um telefone brasileiro válido
+  const isValidBrazilianPhone = (phone) => {
+    if (!phone) return false;
+    const cleaned = phone.replace(/\D/g, '');
+    return cleaned.length >= 10 && cleaned.length <= 13;
+  };
+
+  // Função helper para normalizar número de telefone
+  const normalizePhoneNumber = (phone) => {
+    if (!phone) return phone;
+    let normalized = phone.replace(/\D/g, '');
+    if (normalized.startsWith('55')) {
+      return '+' + normalized;
+    } else if (normalized.length >= 10) {
+      return '+55' + normalized;
+    }
+    return phone;
+  };
+
+  // Estratégia 1: Tentar extrair número diretamente do webhook (para mensagens normais)
+  if (!isFromMe) {
+    // Tentar extrair número de diferentes campos do webhook
+    const possibleNumbers = [
+      messageData.number,
+      messageData.phone,
+      messageData.contactPhone,
+      messageData.from,
+      messageData.fromId,
+      messageData.contactId,
+    ].filter(Boolean);
+
+    for (const num of possibleNumbers) {
+      if (isValidBrazilianPhone(num)) {
+        contactPhoneNumber = normalizePhoneNumber(num);
+        conditionalLog(
+          from,
+          '📱 Número extraído diretamente do webhook:',
+          contactPhoneNumber
+        );
+        break;
+      }
     }
+  }
 
-    // VÍDEOS: Processamento otimizado - timeout reduzido e fallback mais rápido
-    if (
-      messageType === 'video' &&
-      (!messageData.files || !messageData.files[0]?.url) &&
-      (!messageData.file || !messageData.file.url)
-    ) {
-      conditionalLog(
-        contactPhoneNumber,
-        '🎥 Vídeo detectado sem arquivo - processamento otimizado iniciado...'
-      );
+  // Estratégia 2: Se não conseguiu extrair número válido OU é Messaging Echo, buscar no cache/perfil
+  const needsContactProfile =
+    isFromMe ||
+    !contactPhoneNumber ||
+    !isValidBrazilianPhone(contactPhoneNumber);
 
-      // Timeout reduzido: 1 segundo em vez de 3
-      await new Promise((resolve) => setTimeout(resolve, 1000));
+  if (needsContactProfile) {
+    conditionalLog(
+      from,
+      `🔍 ${
+        isFromMe ? 'Messaging Echo' : 'Número inválido'
+      } - buscando perfil do contato:`,
+      contactIdToUse
+    );
 
+    // Verificar cache de contato primeiro
+    const contactCacheKey = `contact:${contactIdToUse}`;
+    contactData = cache.get(contactCacheKey);
+
+    if (contactData) {
+      conditionalLog(from, '📦 Cache hit para contato:', contactIdToUse);
+      // Extrair número do telefone dos dados em cache
+      contactPhoneNumber =
+        contactData.data?.number ||
+        contactData.number ||
+        contactData.phone ||
+        contactData.contactId ||
+        contactIdToUse;
+    } else {
       try {
-        // Buscar mensagem com arquivo incluído usando retry
-        const result = await retryManager.executeHttpWithRetry(
-          () => digiSacApiService.getMessageWithFile(messageId),
+        conditionalLog(
+          from,
+          '🔍 Buscando dados do contato na API:',
+          contactIdToUse
+        );
+
+        // Usar retry para busca de contato
+        const contactResult = await retryManager.executeHttpWithRetry(
+          () => digiSacApiService.getContactProfile(contactIdToUse),
           {
-            operation: 'Buscar arquivo de vídeo DigiSac (tentativa 1)',
+            operation: 'Buscar dados do contato DigiSac',
             webhookId: webhookId,
-            messageId: messageId,
+            contactId: contactIdToUse,
           }
         );
-
-        if (result.success && result.data) {
+        if (contactResult.success && contactResult.data) {
+          // Armazenar dados completos do contato
+          contactData = contactResult.data;
+
+          // Cachear por 15 minutos
+          cache.set(contactCacheKey, contactData, 900000);
+          conditionalLog(from, '📦 Cache set para contato:', contactIdToUse);
+
+          // Extrair número do telefone da estrutura correta do DigiSac
+          contactPhoneNumber =
+            contactResult.data.data?.number ||
+            contactResult.data.number ||
+            contactResult.data.phone ||
+            contactResult.data.contactId ||
+            contactIdToUse;
           conditionalLog(
-            contactPhoneNumber,
-            '📋 Resposta da API para vídeo (tentativa 1):',
+            from,
+            '📱 Número do contato encontrado via API:',
+            contactPhoneNumber
+          );
+          conditionalLog(
+            from,
+            '👤 Dados completos do contato:',
             process.env.LOG_LEVEL === 'debug'
-              ? JSON.stringify(result.data, null, 2)
-              : {
-                  hasFiles: !!result.data.files,
-                  hasUrl: !!result.data.files?.[0]?.url,
-                }
+              ? JSON.stringify(contactData, null, 2)
+              : 'Dados do contato'
           );
 
-          // Verificar se o arquivo está disponível na resposta da API (ambas estruturas)
-          if (
-            (result.data.files && result.data.files[0]?.url) ||
-            (result.data.file && result.data.file.url)
-          ) {
-            conditionalLog(
-              contactPhoneNumber,
-              '✅ Arquivo de vídeo encontrado na primeira tentativa!'
-            );
-            // Atualizar dados da mensagem com os dados da API
-            messageData = result.data;
-          } else {
+          // Log específico para verificar o nome
+          if (contactData.name) {
             conditionalLog(
-              contactPhoneNumber,
-              '⚠️ Arquivo de vídeo ainda não disponível - tentativa 2...'
-            );
-            // Segunda tentativa com timeout reduzido: 1 segundo em vez de 5
-            await new Promise((resolve) => setTimeout(resolve, 1000));
-
-            const retryResult = await retryManager.executeHttpWithRetry(
-              () => digiSacApiService.getMessageWithFile(messageId),
-              {
-                operation: 'Buscar arquivo de vídeo DigiSac (tentativa 2)',
-                webhookId: webhookId,
-                messageId: messageId,
-              }
+              from,
+              '👤 Nome do contato encontrado:',
+              contactData.name
             );
-            if (retryResult.success && retryResult.data) {
-              conditionalLog(
-                contactPhoneNumber,
-                '📋 Resposta da API para vídeo (tentativa 2):',
-                process.env.LOG_LEVEL === 'debug'
-                  ? JSON.stringify(retryResult.data, null, 2)
-                  : {
-                      hasFiles: !!retryResult.data.files,
-                      hasUrl: !!retryResult.data.files?.[0]?.url,
-                    }
-              );
-
-              if (
-                (retryResult.data.files && retryResult.data.files[0]?.url) ||
-                (retryResult.data.file && retryResult.data.file.url)
-              ) {
-                conditionalLog(
-                  contactPhoneNumber,
-                  '✅ Arquivo de vídeo encontrado na segunda tentativa!'
-                );
-                messageData = retryResult.data;
-              } else {
-                conditionalLog(
-                  contactPhoneNumber,
-                  '❌ Arquivo de vídeo não disponível após 2 tentativas - continuando com fallback'
-                );
-                // Continuar com processamento normal (enviará mensagem de texto)
-              }
-            }
           }
         } else {
           conditionalLog(
-            contactPhoneNumber,
-            '❌ Erro ao buscar vídeo via API:',
-            result.error
+            from,
+            '⚠️ Não foi possível obter dados do contato, usando ID como fallback'
           );
+          contactPhoneNumber = contactIdToUse;
         }
       } catch (error) {
         conditionalLog(
-          contactPhoneNumber,
-          '❌ Erro ao tentar buscar vídeo via API:',
+          from,
+          '⚠️ Erro ao buscar dados do contato, usando ID como fallback:',
           error.message
         );
+        contactPhoneNumber = contactIdToUse;
       }
     }
+  } else {
+    conditionalLog(
+      from,
+      '✅ Usando número extraído do webhook - sem necessidade de buscar perfil'
+    );
+  }
+
+  if (contactPhoneNumber && !contactPhoneNumber.startsWith('+')) {
+    if (contactPhoneNumber.startsWith('55')) {
+      contactPhoneNumber = '+' + contactPhoneNumber;
+    } else if (contactPhoneNumber.length >= 10) {
+      contactPhoneNumber = '+55' + contactPhoneNumber;
+    }
+  }
+
+  // EARLY RETURNS OTIMIZADOS - Validações rápidas antes de processar logs pesados
 
-    conditionalLog(contactPhoneNumber, '🔍 Dados extraídos:', {
+  // Validação 1: Dados essenciais
+  if (!eventType || !messageData) {
+    conditionalLog(
+      contactPhoneNumber,
+      '⚠️ Webhook ignorado: sem dados relevantes'
+    );
+    return { status: 'ignored' };
+  }
+
+  // Validação 2: Tipo de evento
+  if (!eventType.includes('message.')) {
+    conditionalLog(
+      contactPhoneNumber,
+      '⚠️ Webhook ignorado: não é evento de mensagem'
+    );
+    return { status: 'ignored' };
+  }
+
+  // Logs otimizados - só executar se passar pelas validações
+  conditionalLog(
+    contactPhoneNumber,
+    '📱 ContactId final para respond.io:',
+    contactPhoneNumber
+  );
+
+  // Logs detalhados apenas em modo debug
+  if (process.env.LOG_LEVEL === 'debug') {
+    conditionalLog(
+      contactPhoneNumber,
+      '📥 Webhook DigiSac recebido - Estrutura completa:'
+    );
+    conditionalLog(
+      contactPhoneNumber,
+      '📋 Headers:',
+      JSON.stringify(context.headers, null, 2)
+    );
+    conditionalLog(
+      contactPhoneNumber,
+      '📦 Body completo:',
+      JSON.stringify(context.body, null, 2)
+    );
+    conditionalLog(contactPhoneNumber, '🔍 Event Type:', eventType);
+    conditionalLog(
+      contactPhoneNumber,
+      '🔍 Message Data:',
+      JSON.stringify(messageData, null, 2)
+    );
+  }
+
+  // Log de Messaging Echo (sempre importante)
+  if (isFromMe) {
+    conditionalLog(
+      contactPhoneNumber,
+      '🔄 Processando mensagem do agente como Messaging Echo'
+    );
+  }
+
+  conditionalLog(contactPhoneNumber, '🔍 Dados extraídos:', {
+    messageId,
+    from,
+    messageType,
+    eventType,
+    timestamp,
+  });
+
+  // Processar mensagem usando o serviço do Respond.io
+  const processResult = respondIoApiService.processDigiSacMessage(
+    messageData,
+    messageType,
+    contactPhoneNumber
+  );
+
+  // Verificar se a mensagem foi ignorada (ex: tipo "ticket")
+  if (processResult.ignored) {
+    conditionalLog(
+      contactPhoneNumber,
+      `🚫 Mensagem ignorada: ${processResult.reason}`
+    );
+    return {
+      status: 'ignored',
+      message: 'Mensagem ignorada pelo processamento',
+      reason: processResult.reason,
+    };
+  }
+
+  let { messageBody, processedMessage, albumMessages = [] } = processResult;
+
+  // Validar dados essenciais
+  if (!messageId || !from) {
+    errorLog('❌ Webhook DigiSac: dados incompletos', {
       messageId,
       from,
       messageType,
       eventType,
-      timestamp,
+      rawData: messageData,
     });
+    return {
+      status: 'error',
+      message: 'Dados incompletos no webhook',
+    };
+  }
 
-    // Processar mensagem usando o serviço do Respond.io
-    const processResult = respondIoApiService.processDigiSacMessage(
-      messageData,
-      messageType,
-      contactPhoneNumber
-    );
+  // Se não há conteúdo de texto, usar descrição do tipo
+  if (!messageBody || messageBody.trim() === '') {
+    messageBody = `📎 Mídia (${messageType})`;
+  }
 
-    // Verificar se a mensagem foi ignorada (ex: tipo "ticket")
-    if (processResult.ignored) {
-      conditionalLog(
+  // Echo enviado pelo próprio vendedor no DigiSac conta como resposta do
+  // canal dele (roteamento sticky)
+  if (isFromMe && userId) {
+    const replyingChannel = channelConfigs.find(
+      (config) => config.digisac_user_id === userId
+    );
+    if (replyingChannel) {
+      channelRouter.recordReply(
+        serviceId,
         contactPhoneNumber,
-        `🚫 Mensagem ignorada: ${processResult.reason}`
+        replyingChannel.custom_channel_id
       );
-      return res.status(200).json({
-        status: 'ignored',
-        message: 'Mensagem ignorada pelo processamento',
-        reason: processResult.reason,
-      });
     }
+  }
 
-    const { messageBody, processedMessage } = processResult;
+  // Decidir os canais de destino conforme o modo de roteamento do serviço
+  const routing = channelRouter.route(channelConfigs, {
+    serviceId,
+    userId,
+    contactId: contactPhoneNumber,
+  });
+  const { channels: routedChannels, ...routingDecision } = routing;
 
-    // Validar dados essenciais
-    if (!messageId || !from) {
-      errorLog('❌ Webhook DigiSac: dados incompletos', {
-        messageId,
-        from,
-        messageType,
-        eventType,
-        rawData: messageData,
+  if (routedChannels.length === 0) {
+    conditionalLog(
+      contactPhoneNumber,
+      '⚠️ Nenhum canal selecionado pelo roteamento:',
+      routingDecision
+    );
+    return {
+      status: 'ignored',
+      message: 'Nenhum canal selecionado pelo roteamento',
+      routing: routingDecision,
+    };
+  }
+
+  // Verificar e re-hospedar as mídias para o respond.io receber URLs
+  // estáveis (baixadas uma vez e compartilhadas entre os canais). Mídias
+  // bloqueadas pela política de segurança viram um aviso em texto.
+  // Sem re-hospedagem a mídia segue pela URL original: conteúdo e antivírus
+  // são verificados em um download à parte. Falhas de download (fora da
+  // política) não bloqueiam a mídia, como na re-hospedagem
+  const inspectInboundMedia = async (attachment) => {
+    try {
+      await mediaPipeline.inspect(attachment.url, {
+        serviceId,
+        attachmentType: attachment.type,
+        phoneNumber: contactPhoneNumber,
+        declaredMimeType: attachment.mimeType,
       });
-      return res.status(200).json({
-        status: 'error',
-        message: 'Dados incompletos no webhook',
+    } catch (error) {
+      if (error.isSecurityError) {
+        throw error;
+      }
+      errorLog('❌ [WEBHOOK] Falha ao verificar mídia - usando URL original', {
+        messageId,
+        error: error.message,
       });
     }
+  };
+  const secureMessage = async (message) => {
+    if (!message?.attachment?.url) {
+      return message;
+    }
 
-    // Se não há conteúdo de texto, usar descrição do tipo
-    if (!messageBody || messageBody.trim() === '') {
-      messageBody = `📎 Mídia (${messageType})`;
+    try {
+      mediaSecurity.checkType(message.attachment, serviceId);
+      if (mediaStore.isEnabled(serviceId)) {
+        message.attachment = await mediaStore.resolveAttachment(
+          message.attachment,
+          { serviceId, phoneNumber: contactPhoneNumber }
+        );
+      } else {
+        await inspectInboundMedia(message.attachment);
+      }
+      return message;
+    } catch (error) {
+      if (!error.isSecurityError) {
+        throw error;
+      }
+
+      errorLog('🚫 [WEBHOOK] Mídia bloqueada pela política de segurança', {
+        messageId,
+        fileName: message.attachment.fileName,
+        code: error.code,
+        reason: error.message,
+      });
+      return {
+        type: 'text',
+        text: `🚫 Arquivo bloqueado pela política de segurança: ${message.attachment.fileName}`,
+      };
     }
+  };
+
+  // Mídias verificadas uma única vez por webhook e só dentro da entrega
+  // deduplicada: reenvios já entregues em todos os canais não baixam o arquivo
+  let preparedMedia = null;
+  const prepareMedia = () => {
+    preparedMedia =
+      preparedMedia ||
+      (async () => {
+        let message = await secureMessage(processedMessage);
+        const album = [];
+        for (const albumMessage of albumMessages) {
+          album.push(await secureMessage(albumMessage));
+        }
 
-    // Enviar para TODOS os canais que usam este service_id - PROCESSAMENTO PARALELO
-    alwaysLog(
-      `[WEBHOOK][PARALLEL] Iniciando processamento paralelo para ${channelConfigs.length} canais`
-    );
+        // Legenda como evento de texto separado (media.captionMode = "text")
+        const captionText =
+          message?.type === 'attachment' &&
+          message.attachment.description &&
+          digiSacApiService.getCaptionMode(serviceId) === 'text'
+            ? message.attachment.description
+            : null;
+        if (captionText) {
+          const { description, ...attachment } = message.attachment;
+          message = { ...message, attachment };
+        }
 
-    // Criar array de promises para processamento paralelo
-    const channelPromises = channelConfigs.map(async (channelConfig) => {
-      try {
-        // Criar instância temporária do serviço Respond.io com token do canal
-        const channelRespondService = {
-          baseURL: 'https://app.respond.io/custom/channel/webhook/',
-          token: channelConfig.custom_channel_token,
+        return { message, album, captionText };
+      })();
+    return preparedMedia;
+  };
+
+  // Enviar para os canais selecionados - PROCESSAMENTO PARALELO
+  alwaysLog(
+    `[WEBHOOK][PARALLEL] Iniciando processamento paralelo para ${routedChannels.length} canais (roteamento: ${routingDecision.matchedBy})`
+  );
+
+  // ID DigiSac da mensagem citada (resposta a uma mensagem anterior)
+  const quotedMessageId =
+    messageData.quotedMessageId || messageData.quotedMessage?.id || null;
+
+  // Entrega para um canal (executada no máximo uma vez por mensagem/canal)
+  const deliverToChannel = async (channelConfig) => {
+    try {
+      const {
+        message: securedMessage,
+        album: albumMessages,
+        captionText,
+      } = await prepareMedia();
+
+      // Criar instância temporária do serviço Respond.io com token do canal
+      const channelRespondService = {
+        baseURL: 'https://app.respond.io/custom/channel/webhook/',
+        token: channelConfig.custom_channel_token,
+        channelId: channelConfig.custom_channel_id,
+        headers: {
+          authorization: `Bearer ${channelConfig.custom_channel_token}`,
+          'content-type': 'application/json',
+          'cache-control': 'no-cache',
+        },
+      };
+
+      let respondResult;
+
+      // Resposta citada: traduzir o ID DigiSac citado para o mId deste canal
+      const quotedLink = quotedMessageId
+        ? messageIdMap.getByDigiSacId(
+            channelConfig.custom_channel_id,
+            quotedMessageId
+          )
+        : null;
+      let channelMessage = quotedLink
+        ? { ...securedMessage, replyTo: { mId: quotedLink.mId } }
+        : securedMessage;
+
+      // Resposta numérica a um menu enviado por este canal vira postback
+      const menuOption =
+        !isFromMe && securedMessage.type === 'text' && !securedMessage.postback
+          ? interactiveMenus.matchNumberedReply(
+              channelConfig.custom_channel_id,
+              contactPhoneNumber,
+              securedMessage.text
+            )
+          : null;
+      if (menuOption) {
+        channelMessage = {
+          ...channelMessage,
+          text: menuOption.title,
+          postback: { payload: menuOption.id, title: menuOption.title },
+        };
+      }
+
+      // Echo de mensagem que saiu deste canal pela fila: o respond.io já a conhece
+      const outboundLink = isFromMe
+        ? messageIdMap.getByDigiSacId(
+            channelConfig.custom_channel_id,
+            messageId
+          )
+        : null;
+      if (outboundLink && outboundLink.direction === 'outbound') {
+        conditionalLog(
+          contactPhoneNumber,
+          `[WEBHOOK][ECHO] Echo ignorado - mensagem enviada por este canal`,
+          {
+            canal: channelConfig.custom_channel_id,
+            mId: outboundLink.mId,
+          }
+        );
+        return {
           channelId: channelConfig.custom_channel_id,
-          headers: {
-            authorization: `Bearer ${channelConfig.custom_channel_token}`,
-            'content-type': 'application/json',
-            'cache-control': 'no-cache',
-          },
+          vendedor: channelConfig.desc,
+          success: true,
+          skipped: 'echo_of_outbound',
+          error: null,
+          respondResult: null,
         };
+      }
 
-        let respondResult;
+      if (isFromMe) {
+        conditionalLog(
+          contactPhoneNumber,
+          `[WEBHOOK][ECHO] Enviando echo do vendedor para canal Respond.io`,
+          {
+            canal: channelConfig.custom_channel_id,
+            vendedor: channelConfig.desc,
+            contactId: contactPhoneNumber,
+            texto: securedMessage.text,
+            messageUserId: userId,
+            channelUserId: channelConfig.digisac_user_id,
+            isFromDifferentUser: userId !== channelConfig.digisac_user_id,
+          }
+        );
 
-        if (isFromMe) {
-          conditionalLog(
-            contactPhoneNumber,
-            `[WEBHOOK][ECHO] Enviando echo do vendedor para canal Respond.io`,
-            {
-              canal: channelConfig.custom_channel_id,
-              vendedor: channelConfig.desc,
-              contactId: contactPhoneNumber,
-              texto: processedMessage.text,
-              messageUserId: userId,
-              channelUserId: channelConfig.digisac_user_id,
-              isFromDifferentUser: userId !== channelConfig.digisac_user_id,
-              willSendAnyway: true, // Sempre enviar independente do user_id
-            }
-          );
+        // Para Messaging Echoes, usar os dados do contato que já foram buscados anteriormente
+        respondResult = await retryManager.executeHttpWithRetry(
+          () =>
+            sendMessageWithChannelToken(
+              channelRespondService,
+              channelMessage,
+              messageId,
+              contactPhoneNumber,
+              timestamp,
+              contactData, // Incluir dados completos do contato
+              true
+            ),
+          {
+            operation: 'Enviar Messaging Echo para respond.io',
+            webhookId: webhookId,
+            channelId: channelConfig.custom_channel_id,
+            vendedor: channelConfig.desc,
+          }
+        );
+      } else {
+        conditionalLog(
+          contactPhoneNumber,
+          `[WEBHOOK] Enviando mensagem do DigiSac para canal Respond.io`,
+          {
+            canal: channelConfig.custom_channel_id,
+            vendedor: channelConfig.desc,
+            contactId: contactPhoneNumber,
+            texto: securedMessage.text,
+            messageUserId: userId,
+            channelUserId: channelConfig.digisac_user_id,
+            isFromDifferentUser: userId !== channelConfig.digisac_user_id,
+          }
+        );
 
-          // Para Messaging Echoes, usar os dados do contato que já foram buscados anteriormente
-          respondResult = await retryManager.executeHttpWithRetry(
-            () =>
-              sendMessageWithChannelToken(
-                channelRespondService,
-                processedMessage,
-                messageId,
-                contactPhoneNumber,
-                timestamp,
-                contactData, // Incluir dados completos do contato
-                true
-              ),
-            {
-              operation: 'Enviar Messaging Echo para respond.io',
-              webhookId: webhookId,
-              channelId: channelConfig.custom_channel_id,
-              vendedor: channelConfig.desc,
-            }
-          );
-        } else {
-          conditionalLog(
-            contactPhoneNumber,
-            `[WEBHOOK] Enviando mensagem do DigiSac para canal Respond.io`,
-            {
+        respondResult = await retryManager.executeHttpWithRetry(
+          () =>
+            sendMessageWithChannelToken(
+              channelRespondService,
+              channelMessage,
+              messageId,
+              contactPhoneNumber,
+              timestamp,
+              contactData, // Incluir dados completos do contato
+              false
+            ),
+          {
+            operation: 'Enviar mensagem DigiSac para respond.io',
+            webhookId: webhookId,
+            channelId: channelConfig.custom_channel_id,
+            vendedor: channelConfig.desc,
+          }
+        );
+      }
+
+      // Demais arquivos do álbum, na ordem, com mId derivado do ID da mensagem
+      if (albumMessages.length > 0 && respondResult?.success) {
+        for (const [index, albumMessage] of albumMessages.entries()) {
+          try {
+            await retryManager.executeHttpWithRetry(
+              () =>
+                sendMessageWithChannelToken(
+                  channelRespondService,
+                  albumMessage,
+                  `${messageId}_${index + 1}`,
+                  contactPhoneNumber,
+                  timestamp,
+                  contactData,
+                  isFromMe
+                ),
+              {
+                operation: 'Enviar arquivo do álbum para respond.io',
+                webhookId: webhookId,
+                channelId: channelConfig.custom_channel_id,
+                vendedor: channelConfig.desc,
+              }
+            );
+          } catch (error) {
+            errorLog('[WEBHOOK] Erro ao enviar arquivo do álbum', {
               canal: channelConfig.custom_channel_id,
-              vendedor: channelConfig.desc,
-              contactId: contactPhoneNumber,
-              texto: processedMessage.text,
-              messageUserId: userId,
-              channelUserId: channelConfig.digisac_user_id,
-              isFromDifferentUser: userId !== channelConfig.digisac_user_id,
-              willSendAnyway: true, // Sempre enviar independente do user_id
-            }
-          );
+              messageId,
+              arquivo: index + 1,
+              error: error.message,
+            });
+          }
+        }
+      }
 
-          respondResult = await retryManager.executeHttpWithRetry(
+      // Legenda após a mídia, com mId derivado do ID da mensagem
+      if (captionText && respondResult?.success) {
+        try {
+          await retryManager.executeHttpWithRetry(
             () =>
               sendMessageWithChannelToken(
                 channelRespondService,
-                processedMessage,
-                messageId,
+                { type: 'text', text: captionText },
+                `${messageId}_caption`,
                 contactPhoneNumber,
                 timestamp,
-                contactData, // Incluir dados completos do contato
-                false
+                contactData,
+                isFromMe
               ),
             {
-              operation: 'Enviar mensagem DigiSac para respond.io',
+              operation: 'Enviar legenda da mídia para respond.io',
               webhookId: webhookId,
               channelId: channelConfig.custom_channel_id,
               vendedor: channelConfig.desc,
             }
           );
+        } catch (error) {
+          errorLog('[WEBHOOK] Erro ao enviar legenda da mídia', {
+            canal: channelConfig.custom_channel_id,
+            messageId,
+            error: error.message,
+          });
         }
-
-        // Retornar resultado para este canal
-        return {
-          channelId: channelConfig.custom_channel_id,
-          vendedor: channelConfig.desc,
-          success: respondResult?.success || false,
-          error: respondResult?.error || null,
-          respondResult: respondResult,
-        };
-      } catch (error) {
-        errorLog(`[WEBHOOK] Erro crítico ao processar canal/vendedor`, {
-          canal: channelConfig.custom_channel_id,
-          vendedor: channelConfig.desc,
-          contactId: contactPhoneNumber,
-          isEcho: isFromMe,
-          messageId,
-          error: error.message,
-        });
-
-        return {
-          channelId: channelConfig.custom_channel_id,
-          vendedor: channelConfig.desc,
-          success: false,
-          error: error.message,
-          respondResult: null,
-        };
       }
-    });
 
-    // Executar todas as promises em paralelo
-    const startTime = Date.now();
-    const allResults = await Promise.all(channelPromises);
-    const endTime = Date.now();
-    const processingTime = endTime - startTime;
-
-    // Processar resultados
-    let successCount = 0;
-    let errorCount = 0;
-
-    for (const result of allResults) {
-      if (result.success) {
-        alwaysLog(`[WEBHOOK] Mensagem entregue para canal/vendedor`, {
-          canal: result.channelId,
-          vendedor: result.vendedor,
-          contactId: contactPhoneNumber,
-          isEcho: isFromMe,
+      // Registrar mId no respond.io para status e referências futuras
+      if (respondResult?.success) {
+        messageIdMap.link(
+          channelConfig.custom_channel_id,
           messageId,
-        });
-        successCount++;
-      } else {
-        errorLog(`[WEBHOOK] Erro ao entregar mensagem para canal/vendedor`, {
-          canal: result.channelId,
-          vendedor: result.vendedor,
-          contactId: contactPhoneNumber,
-          isEcho: isFromMe,
           messageId,
-          error: result.error,
-        });
-        errorCount++;
+          {
+            direction: isFromMe ? 'echo' : 'inbound',
+            contactId: contactPhoneNumber,
+          }
+        );
       }
+
+      // Retornar resultado para este canal
+      return {
+        channelId: channelConfig.custom_channel_id,
+        vendedor: channelConfig.desc,
+        success: respondResult?.success || false,
+        error: respondResult?.error || null,
+        respondResult: respondResult,
+      };
+    } catch (error) {
+      errorLog(`[WEBHOOK] Erro crítico ao processar canal/vendedor`, {
+        canal: channelConfig.custom_channel_id,
+        vendedor: channelConfig.desc,
+        contactId: contactPhoneNumber,
+        isEcho: isFromMe,
+        messageId,
+        error: error.message,
+      });
+
+      return {
+        channelId: channelConfig.custom_channel_id,
+        vendedor: channelConfig.desc,
+        success: false,
+        error: error.message,
+        respondResult: null,
+      };
     }
+  };
+
+  // Criar array de promises para processamento paralelo - reenvios do
+  // mesmo webhook devolvem o resultado anterior em vez de reenviar
+  const channelPromises = routedChannels.map((channelConfig) =>
+    webhookDedup.run(messageId, channelConfig.custom_channel_id, () =>
+      deliverToChannel(channelConfig)
+    )
+  );
 
-    // Log do resumo final com tempo de processamento
-    alwaysLog(
-      `[WEBHOOK][SERVICE ${serviceId}] Resumo do processamento paralelo:`,
-      {
-        totalCanais: channelConfigs.length,
-        sucessos: successCount,
-        erros: errorCount,
-        tempoProcessamento: `${processingTime}ms`,
-        messageId: messageId,
-        isFromMe: isFromMe,
+  // Executar todas as promises em paralelo
+  const parallelStartTime = Date.now();
+  const allResults = await Promise.all(channelPromises);
+  const processingTime = Date.now() - parallelStartTime;
+
+  // Processar resultados
+  let successCount = 0;
+  let errorCount = 0;
+  let duplicateCount = 0;
+
+  // Registrar no ledger a entrega de cada canal (reenvios já registrados)
+  const forwardedAt = Date.now();
+  const digiSacStatus = parseDigiSacMessageStatus(messageData);
+
+  for (const result of allResults) {
+    if (result.duplicate) {
+      duplicateCount++;
+    } else {
+      messageLedger.record({
+        direction: isFromMe ? 'echo' : 'inbound',
+        channelId: result.channelId,
+        serviceId,
+        digisacId: messageId,
+        mId: messageId,
+        contactId: contactPhoneNumber,
+        type: messageType,
+        status: !result.success
+          ? 'failed'
+          : isFromMe
+          ? digiSacStatus?.status || 'sent'
+          : 'received',
+        error: result.success ? null : String(result.error),
+        createdAt: startTime,
+        forwardedAt: result.success ? forwardedAt : undefined,
+        durationMs: forwardedAt - startTime,
+      });
+    }
+    if (result.success) {
+      alwaysLog(`[WEBHOOK] Mensagem entregue para canal/vendedor`, {
+        canal: result.channelId,
+        vendedor: result.vendedor,
+        contactId: contactPhoneNumber,
+        isEcho: isFromMe,
+        messageId,
+      });
+      successCount++;
+    } else {
+      errorLog(`[WEBHOOK] Erro ao entregar mensagem para canal/vendedor`, {
+        canal: result.channelId,
+        vendedor: result.vendedor,
+        contactId: contactPhoneNumber,
+        isEcho: isFromMe,
+        messageId,
+        error: result.error,
+      });
+      errorCount++;
+    }
+  }
+
+  // Log do resumo final com tempo de processamento
+  alwaysLog(
+    `[WEBHOOK][SERVICE ${serviceId}] Resumo do processamento paralelo:`,
+    {
+      totalCanais: routedChannels.length,
+      roteamento: routingDecision.matchedBy,
+      sucessos: successCount,
+      erros: errorCount,
+      duplicados: duplicateCount,
+      tempoProcessamento: `${processingTime}ms`,
+      messageId: messageId,
+      isFromMe: isFromMe,
+    }
+  );
+
+  // Mensagem processada com sucesso
+
+  // Log de sucesso completo
+  const totalProcessingTime = Date.now() - startTime;
+  console.log('\n✅ WEBHOOK PROCESSADO COM SUCESSO');
+  console.log(`🆔 Webhook ID: ${webhookId}`);
+  console.log(`⏱️ Tempo de processamento: ${totalProcessingTime}ms`);
+  console.log(
+    `📨 Canais processados: ${successCount}/${routedChannels.length}`
+  );
+  console.log(`✅ Sucessos: ${successCount}`);
+  console.log(`❌ Erros: ${errorCount}`);
+  console.log('='.repeat(100) + '\n');
+
+  // Resultado do processamento desta mensagem
+  return formatSuccessResponse(
+    {
+      webhookId: webhookId,
+      processingTime: totalProcessingTime,
+      channelsProcessed: routedChannels.length,
+      routing: routingDecision,
+      successCount: successCount,
+      errorCount: errorCount,
+      duplicateCount: duplicateCount,
+      results: allResults.map((result) => ({
+        channelId: result.channelId,
+        vendedor: result.vendedor,
+        success: result.success,
+        duplicate: !!result.duplicate,
+        skipped: result.skipped,
+        error: result.error,
+      })),
+    },
+    'Webhook processado com sucesso'
+  );
+}
+
+// Mídias resolvidas em background seguem o mesmo fluxo do webhook
+mediaResolver.setHandler(processWebhookMessage);
+
+/**
+ * Rota para recebimento de mensagens: FROM DigiSac TO respond.io
+ * Endpoint: POST /digisac/webhook
+ */
+router.post('/digisac/webhook', async (req, res) => {
+  const startTime = Date.now();
+  const webhookId = `webhook_${Date.now()}_${Math.random()
+    .toString(36)
+    .substr(2, 9)}`;
+
+  try {
+    // Verificar se é um evento de mensagem relevante
+    const eventType = req.body.event;
+    const messageData = req.body.data;
+
+    // Validar dados do webhook
+    const webhookValidation = validateDigiSacWebhook(req.body);
+    if (!webhookValidation.success) {
+      return res
+        .status(400)
+        .json(formatErrorResponse(webhookValidation.error.message, null, 400));
+    }
+
+    // Autenticar webhook conforme configuração de cada service_id do payload
+    const payloadServiceIds = (
+      Array.isArray(messageData) ? messageData : [messageData]
+    )
+      .map((item) => item?.service_id || item?.serviceId)
+      .filter(Boolean);
+    const authResult = verifyWebhookRequest(req, payloadServiceIds);
+    if (!authResult.success) {
+      return res.status(authResult.status).json(
+        formatErrorResponse('Webhook não autorizado', {
+          reason: authResult.reason,
+        })
+      );
+    }
+
+    // Log do webhook só depois da autenticação (o corpo só em debug)
+    const summaryItem = Array.isArray(messageData)
+      ? messageData[0]
+      : messageData;
+    alwaysLog(`🔔 [WEBHOOK] Webhook DigiSac recebido - ${webhookId}`, {
+      event: eventType,
+      messageId: summaryItem?.id || summaryItem?.messageId || null,
+      serviceId: summaryItem?.service_id || summaryItem?.serviceId || null,
+      type: summaryItem?.type || null,
+      isFromMe: summaryItem?.isFromMe || false,
+      messages: Array.isArray(messageData) ? messageData.length : 1,
+    });
+    debugLog('system', `[WEBHOOK] Body ${webhookId}:`, req.body);
+
+    // ===== DUPLICATAS VERIFICADAS POR CANAL NA ENTREGA (webhookDedup) =====
+    const context = {
+      webhookId,
+      headers: req.headers,
+      body: req.body,
+    };
+
+    // Payload em lote: processar todas as mensagens em sequência (mantém a ordem)
+    if (Array.isArray(messageData)) {
+      alwaysLog(
+        `📋 Webhook contém array com ${messageData.length} mensagens, processando todas`
+      );
+
+      const results = [];
+      for (const [index, item] of messageData.entries()) {
+        const itemMessageId = item?.id || item?.messageId || item?._id || null;
+
+        try {
+          const result = await processWebhookMessage(eventType, item, context);
+          results.push({ index, messageId: itemMessageId, ...result });
+        } catch (error) {
+          errorLog(`❌ Erro ao processar mensagem ${index} do lote:`, error);
+          results.push({
+            index,
+            messageId: itemMessageId,
+            status: 'error',
+            message: error.message,
+          });
+        }
       }
-    );
 
-    // Sistema de cache de duplicatas removido - causava erros
-    // Mensagem processada com sucesso
+      return res.status(200).json(
+        formatSuccessResponse(
+          {
+            webhookId: webhookId,
+            processingTime: Date.now() - startTime,
+            messagesReceived: messageData.length,
+            results: results,
+          },
+          'Webhook em lote processado'
+        )
+      );
+    }
 
-    // Log de sucesso completo
-    const totalProcessingTime = Date.now() - startTime;
-    console.log('\n✅ WEBHOOK PROCESSADO COM SUCESSO');
-    console.log(`🆔 Webhook ID: ${webhookId}`);
-    console.log(`⏱️ Tempo de processamento: ${totalProcessingTime}ms`);
-    console.log(
-      `📨 Canais processados: ${successCount}/${channelConfigs.length}`
-    );
-    console.log(`✅ Sucessos: ${successCount}`);
-    console.log(`❌ Erros: ${errorCount}`);
-    console.log('='.repeat(100) + '\n');
+    const result = await processWebhookMessage(eventType, messageData, context);
 
     // Responder ao DigiSac que recebemos o webhook
-    res.status(200).json(
-      formatSuccessResponse(
-        {
-          webhookId: webhookId,
-          processingTime: totalProcessingTime,
-          channelsProcessed: channelConfigs.length,
-          successCount: successCount,
-          errorCount: errorCount,
-        },
-        'Webhook processado com sucesso'
-      )
-    );
+    res.status(200).json(result);
   } catch (error) {
     const errorProcessingTime = Date.now() - startTime;
 
-    // Log de erro completo
-    console.error('\n❌ ERRO CRÍTICO NO WEBHOOK');
-    console.error(`🆔 Webhook ID: ${webhookId}`);
-    console.error(`⏱️ Tempo até erro: ${errorProcessingTime}ms`);
-    console.error(`🔥 Erro: ${error.message}`);
-    console.error(`📍 Stack trace:`);
-    console.error(error.stack);
-    console.error(`📦 Body recebido:`);
-    console.error(JSON.stringify(req.body, null, 2));
-    console.error('='.repeat(100) + '\n');
-
-    errorLog('❌ Erro no webhook DigiSac:', error);
+    errorLog(`Erro no webhook DigiSac ${webhookId}`, {
+      tempoAteErro: `${errorProcessingTime}ms`,
+      erro: error.message,
+      stack: error.stack,
+    });
 
     // Mesmo com erro, responder 200 ao DigiSac para evitar reenvios
     res
@@ -1573,17 +2022,53 @@ router.post('/digisac/webhook', async (req, res) => {
   }
 });
 
+/**
+ * Formatar histórico de status para a resposta da consulta
+ * @param {Object} entry - Histórico (messageStatusHistory) ou status avulso
+ * @param {string} source - history | digisac
+ * @returns {Object} - Status atual com as transições
+ */
+function formatMessageStatusResponse(entry, source) {
+  const last = entry.transitions[entry.transitions.length - 1] || null;
+
+  return {
+    channelId: entry.channelId,
+    mId: entry.mId || null,
+    digisacMessageId: entry.digisacId || null,
+    contactId: entry.contactId || null,
+    direction: entry.direction || null,
+    status: entry.status,
+    error: entry.error || null,
+    updatedAt: last ? last.at : null,
+    transitions: entry.transitions,
+    source,
+  };
+}
+
 /**
  * Rota para verificação de status da mensagem
- * Endpoint: GET /message/:messageId/status
+ * Aceita o mId do respond.io ou o ID da mensagem no DigiSac; responde pelo
+ * histórico local e, sem histórico, consulta a mensagem no DigiSac
+ * Endpoint: GET /:channelID/message/:messageId/status
  */
-router.get('/message/:messageId/status', async (req, res) => {
+router.get('/:channelID/message/:messageId/status', async (req, res) => {
+  const { channelID, messageId } = req.params;
+
   try {
-    const { messageId } = req.params;
+    const channelConfig = await getChannelConfig(channelID);
+
+    if (!channelConfig) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Channel ID não encontrado',
+        channelID: channelID,
+      });
+    }
 
-    // Verificar autenticação
-    const authResult = respondIoApiService.validateAuthentication(
+    // Validar autenticação com o token específico do canal
+    const authResult = validateAuthentication(
       req,
+      channelConfig.custom_channel_token,
       'system'
     );
     if (!authResult.success) {
@@ -1598,26 +2083,72 @@ router.get('/message/:messageId/status', async (req, res) => {
         );
     }
 
-    // Consultar status na API DigiSac
-    const result = await digiSacApiService.getMessageStatus(messageId);
+    const link =
+      messageIdMap.getByRespondId(channelID, messageId) ||
+      messageIdMap.getByDigiSacId(channelID, messageId);
+    const history =
+      messageStatusHistory.get(channelID, messageId) ||
+      messageStatusHistory.getByDigiSacId(channelID, messageId) ||
+      (link ? messageStatusHistory.get(channelID, link.mId) : null);
 
-    if (result.success) {
-      res.json({
-        messageId: messageId,
-        status: result.data.status,
-        timestamp: result.data.timestamp,
-      });
-    } else {
-      res
-        .status(404)
+    if (history) {
+      return res.json(formatMessageStatusResponse(history, 'history'));
+    }
+
+    // Sem histórico local: consultar a mensagem na API DigiSac
+    const digisacId = link ? link.digisacId : messageId;
+    const result = await digiSacApiService.getMessageStatus(digisacId);
+    const message = result.success ? result.data : null;
+    const messageServiceId = message?.serviceId || message?.service_id;
+
+    // Mensagens de outro serviço não são expostas pelo token deste canal
+    if (!message || messageServiceId !== channelConfig.digisac_service_id) {
+      const statusCode =
+        !result.success && result.error.code >= 500 ? 502 : 404;
+      return res
+        .status(statusCode)
         .json(
           formatErrorResponse(
-            'Mensagem não encontrada',
-            result.error.message,
-            404
+            statusCode === 502
+              ? 'Erro ao consultar a mensagem no DigiSac'
+              : 'Mensagem não encontrada',
+            result.success ? null : result.error.message,
+            statusCode
           )
         );
     }
+
+    const current = parseDigiSacMessageStatus(message);
+    const transition = current ? { ...current, source: 'digisac' } : null;
+
+    // Mensagem conhecida pelo respond.io: guardar no histórico
+    if (link && transition) {
+      const entry = messageStatusHistory.record(
+        channelID,
+        link.mId,
+        transition,
+        {
+          digisacId,
+          contactId: link.contactId,
+          direction: link.direction,
+        }
+      );
+      return res.json(formatMessageStatusResponse(entry, 'digisac'));
+    }
+
+    res.json(
+      formatMessageStatusResponse(
+        {
+          channelId: channelID,
+          mId: link ? link.mId : null,
+          digisacId,
+          status: transition ? transition.status : null,
+          error: transition ? transition.error : null,
+          transitions: transition ? [transition] : [],
+        },
+        'digisac'
+      )
+    );
   } catch (error) {
     errorLog('❌ Erro ao verificar status:', error);
     res
@@ -1657,10 +2188,12 @@ router.get('/health', (req, res) => {
         : 'N/A',
       respondIo: respondIoApiService.getConfigInfo(),
       refera: referaApiService.getConfigInfo(),
+      channelRegistry: channelRegistry.getStats(),
     },
     metrics: {
       cache: cache.getStats(),
       retryManager: retryManager.getStats(),
+      outboundQueue: outboundQueue.getStats(),
     },
     environment: {
       node: process.version,
@@ -1682,6 +2215,18 @@ router.get('/metrics', (req, res) => {
       standard: cache.getStats(),
     },
     retry: retryManager.getStats(),
+    outboundQueue: outboundQueue.getStats(),
+    messageIdMap: messageIdMap.getStats(),
+    messageStatusHistory: messageStatusHistory.getStats(),
+    messageLedger: messageLedger.getStats(),
+    webhookDedup: webhookDedup.getStats(),
+    channelRouter: channelRouter.getStats(),
+    mediaPipeline: mediaPipeline.getStats(),
+    mediaStore: mediaStore.getStats(),
+    mediaResolver: mediaResolver.getStats(),
+    mediaTranscoder: mediaTranscoder.getStats(),
+    mediaSecurity: mediaSecurity.getStats(),
+    webhookAuth: getWebhookAuthStats(),
     system: {
       uptime: process.uptime(),
       memory: process.memoryUsage(),
@@ -1700,6 +2245,7 @@ router.get('/metrics', (req, res) => {
  */
 router.post('/metrics/reset', (req, res) => {
   retryManager.resetStats();
+  resetWebhookAuthStats();
 
   res.json({
     message: 'Métricas resetadas com sucesso',
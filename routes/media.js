@@ -0,0 +1,66 @@
+/* eslint-disable new-cap */
+const express = require('express');
+
+/**
+ * Rotas das mídias re-hospedadas (URLs assinadas com expiração)
+ */
+const { pipeline } = require('stream/promises');
+const { errorLog } = require('../utils/logger');
+const { formatErrorResponse } = require('../utils/formatters');
+const { mediaStore } = require('../services/mediaStore');
+
+const router = express.Router();
+
+/**
+ * Servir mídia re-hospedada
+ * Endpoint: GET /media/:id?expires=...&signature=...
+ */
+router.get('/:id', async (req, res) => {
+  const { id } = req.params;
+  const { expires, signature } = req.query;
+
+  if (
+    !/^[a-f0-9]{64}$/.test(id) ||
+    !mediaStore.verify(id, expires, signature)
+  ) {
+    return res
+      .status(403)
+      .json(
+        formatErrorResponse('Link de mídia inválido ou expirado', null, 403)
+      );
+  }
+
+  const media = await mediaStore.open(id);
+  if (!media) {
+    return res
+      .status(404)
+      .json(formatErrorResponse('Mídia não encontrada', null, 404));
+  }
+
+  const maxAge = Math.max(
+    0,
+    parseInt(expires, 10) - Math.floor(Date.now() / 1000)
+  );
+  res.set({
+    'Content-Type': media.entry.mimeType || 'application/octet-stream',
+    'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(
+      media.entry.fileName || id
+    )}`,
+    'Cache-Control': `private, max-age=${maxAge}`,
+    ETag: `"${id}"`,
+  });
+  if (media.size) {
+    res.set('Content-Length', String(media.size));
+  }
+
+  try {
+    await pipeline(media.stream, res);
+  } catch (error) {
+    errorLog('❌ Erro ao servir mídia re-hospedada', {
+      id,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -3,11 +3,24 @@ const appPort = process.env.PORT || process.env.APP_PORT || 3030;
 const express = require('express');
 const cors = require('cors');
 const routes = require('./routes');
+const { outboundQueue } = require('./services/outboundQueue');
+const { channelRegistry } = require('./services/channelRegistry');
+const { mediaStore } = require('./services/mediaStore');
+const { mediaResolver } = require('./services/mediaResolver');
+const { mediaTranscoder } = require('./services/mediaTranscoder');
 
 const app = express();
 
 app.use(cors());
-app.use(express.json({ extended: true }));
+app.use(
+  express.json({
+    extended: true,
+    // Guardar corpo bruto para verificação de assinatura HMAC dos webhooks
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: false }));
 
 app.use('/', routes);
@@ -23,7 +36,23 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
+// Encerramento (docker stop, Ctrl+C): process.exit grava os stores pendentes
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    console.log(`🛑 ${signal} recebido - encerrando`);
+    process.exit(0);
+  });
+}
+
 app.listen(appPort, '0.0.0.0', () => {
   console.log(`✅ Server running on port ${appPort}`);
   console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Iniciar sincronização do registro de canais, entregas em background,
+  // limpeza das mídias re-hospedadas e verificação do ffmpeg
+  channelRegistry.start();
+  outboundQueue.start();
+  mediaResolver.start();
+  mediaStore.start();
+  mediaTranscoder.probe();
 });
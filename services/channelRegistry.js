@@ -0,0 +1,343 @@
+/**
+ * Channel Registry Service
+ * Registro local dos canais (custom_channel_id → service_id/user_id/token DigiSac)
+ *
+ * Modos (CHANNEL_REGISTRY_MODE):
+ * - mirror (padrão): espelho "last-known-good" da API da Refera, sincronizado
+ *   periodicamente. Se a Refera ficar indisponível, o último espelho continua
+ *   sendo usado
+ * - local: o arquivo local é a única fonte (a Refera não é consultada)
+ *
+ * Canais com source 'local' nunca são sobrescritos pela sincronização.
+ */
+
+const { alwaysLog, errorLog } = require('../utils/logger');
+const { FileStore } = require('../utils/fileStore');
+const { cache } = require('../utils/cache');
+const { referaApiService } = require('./refera');
+
+// Configurações do registro de canais
+const CHANNEL_REGISTRY_MODE = process.env.CHANNEL_REGISTRY_MODE || 'mirror';
+const CHANNEL_REGISTRY_FILE =
+  process.env.CHANNEL_REGISTRY_FILE || 'channels.json';
+const CHANNEL_REGISTRY_SYNC_INTERVAL_MS = parseInt(
+  process.env.CHANNEL_REGISTRY_SYNC_INTERVAL_MS || '300000',
+  10
+);
+
+/**
+ * Registro de canais com Refera como upstream opcional
+ */
+class ChannelRegistry {
+  constructor() {
+    this.mode = CHANNEL_REGISTRY_MODE === 'local' ? 'local' : 'mirror';
+    this.store = new FileStore(CHANNEL_REGISTRY_FILE);
+    this.timer = null;
+    this.syncing = null;
+    this.lastSync = null;
+  }
+
+  /**
+   * Verificar se a Refera é usada como upstream
+   * @returns {boolean} - Se está em modo espelho
+   */
+  isMirror() {
+    return this.mode === 'mirror';
+  }
+
+  /**
+   * Iniciar sincronização periódica com a Refera (apenas modo mirror)
+   */
+  start() {
+    alwaysLog(
+      `📇 Registro de canais iniciado (modo ${
+        this.mode
+      }) - ${this.store.size()} canal(is) em disco`
+    );
+
+    if (!this.isMirror() || this.timer) {
+      return;
+    }
+
+    this.sync();
+    this.timer = setInterval(
+      () => this.sync(),
+      CHANNEL_REGISTRY_SYNC_INTERVAL_MS
+    );
+    this.timer.unref();
+  }
+
+  /**
+   * Parar sincronização periódica
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Sincronizar canais com a API da Refera
+   * Chamadas concorrentes compartilham a mesma sincronização
+   * @returns {Promise<Object>} - { success: boolean, count?: number, error?: Object }
+   */
+  async sync() {
+    if (!this.isMirror()) {
+      return { success: false, error: { message: 'Registro em modo local' } };
+    }
+
+    if (!this.syncing) {
+      this.syncing = this.runSync().finally(() => {
+        this.syncing = null;
+      });
+    }
+
+    return this.syncing;
+  }
+
+  /**
+   * Executar a sincronização com a Refera
+   * @returns {Promise<Object>} - Resultado da sincronização
+   */
+  async runSync() {
+    try {
+      const result = await referaApiService.callMessageTool();
+
+      if (!result.success || !result.data || !result.data.results) {
+        throw new Error(
+          result.error?.message || 'Resposta inválida da API da Refera'
+        );
+      }
+
+      const now = Date.now();
+      const previous = this.store.values();
+      const localEntries = this.store
+        .entries()
+        .filter(([, channel]) => channel.source === 'local');
+      const localIds = new Set(localEntries.map(([id]) => id));
+
+      const referaEntries = result.data.results
+        .filter(
+          (item) =>
+            item.custom_channel_id && !localIds.has(item.custom_channel_id)
+        )
+        .map((item) => [
+          item.custom_channel_id,
+          { ...item, source: 'refera', syncedAt: now },
+        ]);
+
+      this.store.replace([...localEntries, ...referaEntries]);
+      this.invalidateServiceCache([...previous, ...this.store.values()]);
+
+      this.lastSync = {
+        success: true,
+        at: new Date(now).toISOString(),
+        count: referaEntries.length,
+      };
+      alwaysLog(
+        `📇 Registro de canais sincronizado com a Refera: ${referaEntries.length} canal(is)`
+      );
+
+      return { success: true, count: referaEntries.length };
+    } catch (error) {
+      this.lastSync = {
+        success: false,
+        at: new Date().toISOString(),
+        error: error.message,
+      };
+      errorLog(
+        'Falha ao sincronizar canais com a Refera - usando último registro local',
+        error.message
+      );
+
+      return { success: false, error: { message: error.message } };
+    }
+  }
+
+  /**
+   * Invalidar cache de canais por service_id
+   * @param {Array} channels - Canais cujos service_ids devem ser invalidados
+   */
+  invalidateServiceCache(channels) {
+    const serviceIds = new Set(
+      channels.map((channel) => channel.digisac_service_id).filter(Boolean)
+    );
+    for (const serviceId of serviceIds) {
+      cache.delete(`channels:${serviceId}`);
+    }
+  }
+
+  /**
+   * Garantir que o registro tem dados (primeira execução em modo mirror)
+   */
+  async ensureLoaded() {
+    if (this.isMirror() && this.store.size() === 0 && !this.lastSync) {
+      await this.sync();
+    }
+  }
+
+  /**
+   * Listar canais ativos
+   * @param {boolean} includeDisabled - Incluir canais desativados
+   * @returns {Promise<Array>} - Canais
+   */
+  async getAll(includeDisabled = false) {
+    await this.ensureLoaded();
+    return this.store
+      .values()
+      .filter((channel) => includeDisabled || channel.disabled !== true);
+  }
+
+  /**
+   * Buscar canal pelo custom_channel_id
+   * @param {string} channelId - ID do canal
+   * @returns {Promise<Object|null>} - Canal ou null
+   */
+  async getByChannelId(channelId) {
+    const channels = await this.getAll();
+    return (
+      channels.find((channel) => channel.custom_channel_id === channelId) ||
+      null
+    );
+  }
+
+  /**
+   * Buscar canais por service_id DigiSac
+   * @param {string} serviceId - ID do serviço DigiSac
+   * @returns {Promise<Array>} - Canais
+   */
+  async getByServiceId(serviceId) {
+    const channels = await this.getAll();
+    return channels.filter(
+      (channel) => channel.digisac_service_id === serviceId
+    );
+  }
+
+  /**
+   * Buscar canal por service_id e user_id DigiSac
+   * @param {string} serviceId - ID do serviço DigiSac
+   * @param {string} userId - ID do usuário DigiSac
+   * @returns {Promise<Object|null>} - Canal ou null
+   */
+  async getByServiceAndUser(serviceId, userId) {
+    const channels = await this.getByServiceId(serviceId);
+    return (
+      channels.find((channel) => channel.digisac_user_id === userId) || null
+    );
+  }
+
+  /**
+   * Obter canal pelo custom_channel_id (inclusive desativado)
+   * @param {string} channelId - ID do canal
+   * @returns {Object|null} - Canal ou null
+   */
+  get(channelId) {
+    return this.store.get(channelId);
+  }
+
+  /**
+   * Criar canal local
+   * @param {Object} channelData - Dados do mapeamento
+   * @returns {Object} - Canal criado
+   */
+  create(channelData) {
+    const now = new Date().toISOString();
+    const channel = {
+      custom_channel_id: channelData.custom_channel_id,
+      custom_channel_token: channelData.custom_channel_token,
+      digisac_service_id: channelData.digisac_service_id,
+      digisac_user_id: channelData.digisac_user_id,
+      desc: channelData.desc || '',
+      disabled: channelData.disabled === true,
+      source: 'local',
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.store.set(channel.custom_channel_id, channel);
+    this.invalidateServiceCache([channel]);
+
+    return channel;
+  }
+
+  /**
+   * Atualizar canal existente
+   * Canais vindos da Refera passam a ser locais (a sincronização não
+   * sobrescreve a edição)
+   * @param {string} channelId - ID do canal
+   * @param {Object} changes - Campos a alterar
+   * @returns {Object|null} - Canal atualizado ou null se não encontrado
+   */
+  update(channelId, changes) {
+    const current = this.store.get(channelId);
+    if (!current) {
+      return null;
+    }
+
+    const editableFields = [
+      'custom_channel_token',
+      'digisac_service_id',
+      'digisac_user_id',
+      'desc',
+      'disabled',
+    ];
+    const updated = { ...current };
+    for (const field of editableFields) {
+      if (changes[field] !== undefined) {
+        updated[field] = changes[field];
+      }
+    }
+    updated.source = 'local';
+    updated.updatedAt = new Date().toISOString();
+
+    this.store.set(channelId, updated);
+    this.invalidateServiceCache([current, updated]);
+
+    return updated;
+  }
+
+  /**
+   * Remover canal
+   * Em modo mirror, canais da Refera voltam na próxima sincronização
+   * (para bloqueá-los, desative em vez de remover)
+   * @param {string} channelId - ID do canal
+   * @returns {Object|null} - Canal removido ou null se não encontrado
+   */
+  remove(channelId) {
+    const current = this.store.get(channelId);
+    if (!current) {
+      return null;
+    }
+
+    this.store.delete(channelId);
+    this.invalidateServiceCache([current]);
+
+    return current;
+  }
+
+  /**
+   * Obter estatísticas do registro
+   * @returns {Object} - Estatísticas
+   */
+  getStats() {
+    const channels = this.store.values();
+
+    return {
+      mode: this.mode,
+      total: channels.length,
+      local: channels.filter((channel) => channel.source === 'local').length,
+      refera: channels.filter((channel) => channel.source === 'refera').length,
+      disabled: channels.filter((channel) => channel.disabled === true).length,
+      syncIntervalMs: this.isMirror()
+        ? CHANNEL_REGISTRY_SYNC_INTERVAL_MS
+        : null,
+      lastSync: this.lastSync,
+    };
+  }
+}
+
+// Instância singleton do registro de canais
+const channelRegistry = new ChannelRegistry();
+
+module.exports = { ChannelRegistry, channelRegistry };
@@ -0,0 +1,200 @@
+/**
+ * Channel Router Service
+ * Decide para quais canais do respond.io uma mensagem inbound do DigiSac é
+ * entregue. Configurado por serviço DigiSac (seção "routing" do arquivo
+ * DIGISAC_SERVICES_CONFIG):
+ *
+ * {
+ *   "mode": "fanout" | "user" | "sticky" | "default",
+ *   "defaultChannelId": "custom_channel_id usado como fallback",
+ *   "fallback": "default" | "fanout" | "none",
+ *   "stickyTtlHours": 720
+ * }
+ *
+ * - fanout (padrão): todos os canais do service_id
+ * - user: canal cujo digisac_user_id é o user_id do ticket
+ * - sticky: último canal que respondeu ao contato
+ * - default: sempre o canal defaultChannelId
+ *
+ * Quando o modo não encontra canal, aplica o fallback (padrão: "default" se
+ * houver defaultChannelId, senão "fanout").
+ */
+
+const { conditionalLog } = require('../utils/logger');
+const { FileStore } = require('../utils/fileStore');
+const { getServiceConfig } = require('../utils/serviceConfig');
+
+const ROUTING_MODES = ['fanout', 'user', 'sticky', 'default'];
+const DEFAULT_STICKY_TTL_HOURS = 720;
+
+/**
+ * Roteador de mensagens inbound entre os canais de um service_id
+ */
+class ChannelRouter {
+  constructor() {
+    this.sticky = new FileStore('sticky-routing.json');
+    this.stats = {
+      decisions: {},
+      fallbacks: 0,
+      stickyUpdates: 0,
+    };
+  }
+
+  /**
+   * Obter configuração de roteamento de um serviço
+   * @param {string} serviceId - ID do serviço DigiSac
+   * @returns {Object} - Configuração normalizada
+   */
+  getConfig(serviceId) {
+    const config = getServiceConfig(serviceId, 'routing');
+    const mode = ROUTING_MODES.includes(config.mode) ? config.mode : 'fanout';
+
+    return {
+      mode,
+      defaultChannelId: config.defaultChannelId || null,
+      fallback:
+        config.fallback || (config.defaultChannelId ? 'default' : 'fanout'),
+      stickyTtlHours: config.stickyTtlHours || DEFAULT_STICKY_TTL_HOURS,
+    };
+  }
+
+  /**
+   * Montar chave do roteamento sticky (contato normalizado em dígitos)
+   * @param {string} serviceId - ID do serviço DigiSac
+   * @param {string} contactId - Telefone/ID do contato
+   * @returns {string} - Chave
+   */
+  buildStickyKey(serviceId, contactId) {
+    return `${serviceId}:${String(contactId || '').replace(/\D/g, '')}`;
+  }
+
+  /**
+   * Registrar o canal que respondeu ao contato (roteamento sticky)
+   * @param {string} serviceId - ID do serviço DigiSac
+   * @param {string} contactId - Telefone/ID do contato
+   * @param {string} channelId - custom_channel_id que respondeu
+   */
+  recordReply(serviceId, contactId, channelId) {
+    if (!serviceId || !contactId || !channelId) {
+      return;
+    }
+
+    this.sticky.set(this.buildStickyKey(serviceId, contactId), {
+      channelId,
+      updatedAt: Date.now(),
+    });
+    this.stats.stickyUpdates++;
+  }
+
+  /**
+   * Obter o último canal que respondeu ao contato
+   * @param {string} serviceId - ID do serviço DigiSac
+   * @param {string} contactId - Telefone/ID do contato
+   * @param {number} ttlHours - Validade do vínculo em horas
+   * @returns {string|null} - custom_channel_id ou null
+   */
+  getStickyChannel(serviceId, contactId, ttlHours) {
+    const entry = this.sticky.get(this.buildStickyKey(serviceId, contactId));
+    if (!entry || entry.updatedAt < Date.now() - ttlHours * 60 * 60 * 1000) {
+      return null;
+    }
+    return entry.channelId;
+  }
+
+  /**
+   * Selecionar canais conforme uma estratégia
+   * @param {string} strategy - fanout | user | sticky | default
+   * @param {Array} channels - Canais ativos do service_id
+   * @param {Object} config - Configuração de roteamento
+   * @param {Object} message - { serviceId, userId, contactId }
+   * @returns {Array} - Canais selecionados (vazio se a estratégia não se aplica)
+   */
+  selectChannels(strategy, channels, config, message) {
+    switch (strategy) {
+      case 'fanout':
+        return channels;
+      case 'user':
+        return message.userId
+          ? channels.filter(
+              (channel) => channel.digisac_user_id === message.userId
+            )
+          : [];
+      case 'sticky': {
+        const channelId = this.getStickyChannel(
+          message.serviceId,
+          message.contactId,
+          config.stickyTtlHours
+        );
+        return channels.filter(
+          (channel) => channel.custom_channel_id === channelId
+        );
+      }
+      case 'default':
+        return channels.filter(
+          (channel) => channel.custom_channel_id === config.defaultChannelId
+        );
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Decidir os canais de destino de uma mensagem inbound
+   * @param {Array} channels - Canais ativos do service_id
+   * @param {Object} message - { serviceId, userId, contactId }
+   * @returns {Object} - { mode, matchedBy, fallback, channels, channelIds }
+   */
+  route(channels, message) {
+    const config = this.getConfig(message.serviceId);
+
+    let matchedBy = config.mode;
+    let selected = this.selectChannels(config.mode, channels, config, message);
+    let fallback = false;
+
+    if (selected.length === 0 && config.mode !== 'fanout') {
+      fallback = true;
+      matchedBy = config.fallback;
+      selected =
+        config.fallback === 'none'
+          ? []
+          : this.selectChannels(config.fallback, channels, config, message);
+      this.stats.fallbacks++;
+    }
+
+    this.stats.decisions[matchedBy] =
+      (this.stats.decisions[matchedBy] || 0) + 1;
+
+    const decision = {
+      mode: config.mode,
+      matchedBy,
+      fallback,
+      channelIds: selected.map((channel) => channel.custom_channel_id),
+    };
+
+    conditionalLog(message.contactId, '🧭 Roteamento da mensagem inbound:', {
+      serviceId: message.serviceId,
+      userId: message.userId,
+      ...decision,
+    });
+
+    return { ...decision, channels: selected };
+  }
+
+  /**
+   * Obter estatísticas do roteamento
+   * @returns {Object} - Estatísticas
+   */
+  getStats() {
+    return {
+      decisions: { ...this.stats.decisions },
+      fallbacks: this.stats.fallbacks,
+      stickyUpdates: this.stats.stickyUpdates,
+      stickyContacts: this.sticky.size(),
+    };
+  }
+}
+
+// Instância singleton do roteador de canais
+const channelRouter = new ChannelRouter();
+
+module.exports = { ChannelRouter, channelRouter, ROUTING_MODES };
@@ -7,12 +7,62 @@
 const axios = require('axios');
 const https = require('https');
 const { conditionalLog, apiLog, errorLog } = require('../utils/logger');
-const { formatBrazilianPhoneNumber } = require('../utils/formatters');
+const {
+  formatBrazilianPhoneNumber,
+  formatLocationText,
+} = require('../utils/formatters');
+const { getServiceConfig } = require('../utils/serviceConfig');
+const { cache } = require('../utils/cache');
+const retryManager = require('../utils/retryManager');
+const {
+  getMimeTypeFromName,
+  getAttachmentTypeFromMime,
+  resolveMimeType,
+} = require('../utils/mediaTypes');
+const {
+  normalizeContact,
+  buildVCard,
+  formatVCardText,
+} = require('../utils/vcard');
+const {
+  buildMenu,
+  toInteractive,
+  formatNumberedMenu,
+} = require('../utils/interactiveMenus');
+const { mediaPipeline } = require('./mediaPipeline');
+const { mediaTranscoder } = require('./mediaTranscoder');
+const { mediaSecurity } = require('./mediaSecurity');
 
 // Configurações da API DigiSac
 const DIGISAC_API_BASE_URL =
   process.env.DIGISAC_API_URL || 'https://api.sac.digital/v1';
 const DIGISAC_API_TOKEN = process.env.DIGISAC_API_TOKEN || 'YOUR_DIGISAC_TOKEN';
+const MEDIA_UPLOAD_TIMEOUT_MS = parseInt(
+  process.env.MEDIA_UPLOAD_TIMEOUT_MS || '120000',
+  10
+);
+// Legenda das mídias recebidas: description (no anexo) | text (evento separado)
+const MEDIA_CAPTION_MODE = process.env.MEDIA_CAPTION_MODE || 'description';
+
+// Tipos de mensagem do respond.io aceitos para envio ao DigiSac
+const SUPPORTED_MESSAGE_TYPES = [
+  'text',
+  'attachment',
+  'location',
+  'quick_reply',
+  'list',
+  'contact',
+  'template',
+];
+
+// Tipos de serviço DigiSac conectados à API oficial do WhatsApp (aceitam
+// templates). Confira o campo "type" de GET /services/:id da sua conta
+const OFFICIAL_API_SERVICE_TYPES = (
+  process.env.DIGISAC_OFFICIAL_API_TYPES || 'whatsapp-business,whatsapp-cloud'
+)
+  .split(',')
+  .map((type) => type.trim())
+  .filter(Boolean);
 
 /**
  * Classe para representar uma mensagem do DigiSac
@@ -23,6 +73,13 @@ class DigiSacMessage {
     this.type = 'text'; // Tipo da mensagem (text, image, document, audio)
     this.text = ''; // Texto da mensagem (opcional para áudio)
     this.file = null; // Arquivo (base64, mimetype, name)
+    this.isPtt = false; // Áudio OGG/Opus enviado como mensagem de voz
+    this.location = null; // Localização nativa (lat, lng, address)
+    this.vcard = null; // Cartão de contato (texto vCard)
+    this.quotedMessageId = null; // ID DigiSac da mensagem citada (resposta)
+    this.interactive = null; // Botões/lista interativos do WhatsApp
+    this.template = null; // Template (HSM) do WhatsApp
+    this.menuOptions = null; // Opções do menu numerado (não enviado ao DigiSac)
     this.service_id = null; // Será definido dinamicamente
     this.user_id = null; // Será definido dinamicamente
   }
@@ -86,14 +143,52 @@ class DigiSacApiService {
         payload.text = message.text;
       }
 
-      // Adicionar arquivo se existir
+      // Áudio OGG/Opus como mensagem de voz (PTT)
+      if (message.type === 'audio' && message.isPtt) {
+        payload.isPtt = true;
+      }
+
+      // Resposta citada
+      if (message.quotedMessageId) {
+        payload.quotedMessageId = message.quotedMessageId;
+      }
+
+      // Localização nativa
+      if (message.type === 'location' && message.location) {
+        payload.type = 'location';
+        payload.location = message.location;
+      }
+
+      // Botões ou lista interativos
+      if (message.type === 'interactive' && message.interactive) {
+        payload.type = 'interactive';
+        payload.interactive = message.interactive;
+      }
+
+      // Template (HSM) - apenas conexões da API oficial
+      if (message.type === 'template' && message.template) {
+        payload.type = 'template';
+        payload.template = message.template;
+      }
+
+      // Cartão de contato (vCard)
+      if (message.type === 'vcard' && message.vcard) {
+        payload.type = 'vcard';
+        payload.vcard = message.vcard;
+      }
+
+      // Adicionar arquivo se existir (base64 ou URL vão no JSON;
+      // arquivos grandes vão em upload multipart)
       if (message.file) {
-        payload.file = message.file;
-        conditionalLog(message.to, '📎 Arquivo incluído no payload:', {
-          fileName: message.file.name,
-          mimeType: message.file.mimetype,
-          base64Length: message.file.base64.length,
-        });
+        if (!message.file.path) {
+          const { base64, url, mimetype, name } = message.file;
+          payload.file = { base64, url, mimetype, name };
+        }
+        conditionalLog(
+          message.to,
+          '📎 Arquivo incluído no payload:',
+          mediaPipeline.describe(message.file)
+        );
       } else {
         conditionalLog(message.to, '⚠️ Nenhum arquivo encontrado na mensagem');
       }
@@ -104,7 +199,17 @@ class DigiSacApiService {
         user_id: message.user_id,
       });
 
-      const response = await this.http.post('/messages', payload);
+      const response = message.file?.path
+        ? await this.http.post(
+            '/messages',
+            await mediaPipeline.createFormData(payload, message.file),
+            {
+              headers: { 'Content-Type': 'multipart/form-data' },
+              timeout: MEDIA_UPLOAD_TIMEOUT_MS,
+              maxBodyLength: Infinity,
+            }
+          )
+        : await this.http.post('/messages', payload);
 
       return {
         success: true,
@@ -129,6 +234,9 @@ class DigiSacApiService {
           details: error.response?.data || error.message,
         },
       };
+    } finally {
+      // Remover arquivo temporário do upload multipart
+      await mediaPipeline.release(message.file);
     }
   }
 
@@ -246,6 +354,74 @@ class DigiSacApiService {
     }
   }
 
+  /**
+   * Obter dados de um serviço (conexão) do DigiSac
+   * @param {string} serviceId - ID do serviço
+   * @returns {Promise<Object>}
+   */
+  async getService(serviceId) {
+    try {
+      const response = await this.http.get(`/services/${serviceId}`);
+
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      errorLog(
+        '❌ Erro ao buscar serviço DigiSac:',
+        error.response?.data || error.message
+      );
+
+      return {
+        success: false,
+        error: {
+          code: error.response?.status || 500,
+          message: error.response?.data?.message || 'Erro ao buscar serviço',
+        },
+      };
+    }
+  }
+
+  /**
+   * Verificar se o serviço DigiSac é uma conexão da API oficial do WhatsApp
+   * A seção "outbound.officialApi" do DIGISAC_SERVICES_CONFIG tem prioridade
+   * sobre a consulta à API (resultado em cache por 10 minutos), cujo tipo é
+   * comparado com "outbound.officialApiTypes" ou DIGISAC_OFFICIAL_API_TYPES
+   * @param {string} serviceId - ID do serviço
+   * @returns {Promise<Object>} - { success: boolean, official?: boolean, type?: string, error?: Object }
+   */
+  async isOfficialApiService(serviceId) {
+    const { officialApi, officialApiTypes } = getServiceConfig(
+      serviceId,
+      'outbound'
+    );
+    if (typeof officialApi === 'boolean') {
+      return { success: true, official: officialApi, type: null };
+    }
+
+    const cacheKey = `service:${serviceId}`;
+    let service = cache.get(cacheKey);
+
+    if (!service) {
+      const result = await this.getService(serviceId);
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+      service = result.data;
+      cache.set(cacheKey, service, 600000);
+    }
+
+    return {
+      success: true,
+      official: (Array.isArray(officialApiTypes)
+        ? officialApiTypes
+        : OFFICIAL_API_SERVICE_TYPES
+      ).includes(service.type),
+      type: service.type,
+    };
+  }
+
   /**
    * Obter perfil de um contato
    * @param {string} phoneNumber - Número do telefone
@@ -350,22 +526,109 @@ class DigiSacApiService {
         digiSacMessage.text = messageData.text || '';
         break;
 
-      case 'location':
-        digiSacMessage.type = 'text';
-        digiSacMessage.text = `📍 Localização: ${
-          messageData.address || 'Localização enviada'
-        }\nLatitude: ${messageData.latitude}\nLongitude: ${
-          messageData.longitude
-        }`;
+      case 'location': {
+        // Modo configurável por serviço: native (padrão) ou text
+        const { location: locationMode = 'native' } = getServiceConfig(
+          serviceId,
+          'outbound'
+        );
+        const latitude = parseFloat(messageData.latitude);
+        const longitude = parseFloat(messageData.longitude);
+
+        if (
+          locationMode === 'native' &&
+          !isNaN(latitude) &&
+          !isNaN(longitude)
+        ) {
+          digiSacMessage.type = 'location';
+          digiSacMessage.location = {
+            lat: latitude,
+            lng: longitude,
+            address: messageData.address || undefined,
+          };
+        } else {
+          digiSacMessage.type = 'text';
+          digiSacMessage.text = formatLocationText(messageData);
+        }
         break;
+      }
 
       case 'quick_reply':
-        digiSacMessage.type = 'text';
-        const replies = messageData.replies?.join(', ') || 'Opções disponíveis';
-        digiSacMessage.text = `${
-          messageData.title || 'Selecione uma opção'
-        }\n\n${replies}`;
+      case 'list': {
+        const menu = buildMenu(messageData);
+        if (menu.options.length === 0) {
+          throw new Error('Mensagem interativa sem opções');
+        }
+
+        // Modo configurável por serviço: native (WhatsApp com suporte a
+        // botões/listas) ou text (padrão, menu numerado)
+        const { interactive: interactiveMode = 'text' } = getServiceConfig(
+          serviceId,
+          'outbound'
+        );
+        const interactive =
+          interactiveMode === 'native'
+            ? toInteractive(menu, messageData.type === 'list')
+            : null;
+
+        if (interactive) {
+          digiSacMessage.type = 'interactive';
+          digiSacMessage.text = menu.title;
+          digiSacMessage.interactive = interactive;
+        } else {
+          digiSacMessage.type = 'text';
+          digiSacMessage.text = formatNumberedMenu(menu);
+          digiSacMessage.menuOptions = menu.options;
+        }
         break;
+      }
+
+      case 'contact': {
+        const contact = normalizeContact(messageData.contact || messageData);
+        if (contact.phones.length === 0) {
+          throw new Error('Contato sem telefone: informe phone ou phones');
+        }
+
+        // Modo configurável por serviço: native (padrão) ou text
+        const { contact: contactMode = 'native' } = getServiceConfig(
+          serviceId,
+          'outbound'
+        );
+
+        if (contactMode === 'native') {
+          digiSacMessage.type = 'vcard';
+          digiSacMessage.vcard = buildVCard(contact);
+        } else {
+          digiSacMessage.type = 'text';
+          digiSacMessage.text = formatVCardText([contact]);
+        }
+        break;
+      }
+
+      case 'template': {
+        const { template } = messageData;
+        const parameters = template.parameters || [];
+
+        digiSacMessage.type = 'template';
+        digiSacMessage.template = {
+          name: template.name,
+          language: { code: template.language },
+          components:
+            template.components ||
+            (parameters.length > 0
+              ? [
+                  {
+                    type: 'body',
+                    parameters: parameters.map((value) => ({
+                      type: 'text',
+                      text: String(value),
+                    })),
+                  },
+                ]
+              : []),
+        };
+        break;
+      }
 
       default:
         throw new Error(`Tipo de mensagem não suportado: ${messageData.type}`);
@@ -379,26 +642,84 @@ class DigiSacApiService {
    * @param {DigiSacMessage} digiSacMessage - Mensagem DigiSac
    * @param {Object} attachment - Dados do anexo
    * @param {string} phoneNumber - Número de telefone
-   * @returns {Promise<void>}
+   * @returns {Promise<void>} - Rejeita com erro estruturado (isAttachmentError)
+   *   se o anexo não puder ser baixado ou enviado
    */
   async processAttachment(digiSacMessage, attachment, phoneNumber) {
     try {
       conditionalLog(phoneNumber, '📎 Processando anexo:', attachment);
 
-      // Baixar o arquivo da URL (usar axios separado para URLs externas)
-      const fileResponse = await axios.get(attachment.url, {
-        responseType: 'arraybuffer',
-        timeout: parseInt(process.env.HTTP_TIMEOUT_MS || '8000', 10),
+      // MIME type informado ou pela extensão (o conteúdo confirma depois)
+      const declaredMimeType =
+        attachment.mimeType ||
+        getMimeTypeFromName(attachment.fileName || attachment.url);
+      let fileName = attachment.fileName || 'arquivo';
+
+      // Tipo usado para o limite de tamanho
+      let sizeType = attachment.type;
+      if (!['image', 'video', 'audio', 'file'].includes(sizeType)) {
+        sizeType = declaredMimeType
+          ? getAttachmentTypeFromMime(declaredMimeType)
+          : ['sticker', 'gif'].includes(sizeType)
+          ? 'image'
+          : 'file';
+      }
+
+      // Áudio que não é OGG/Opus: converter para chegar como mensagem de voz
+      const transcode =
+        sizeType === 'audio'
+          ? mediaTranscoder.getOutboundFormat(
+              digiSacMessage.service_id,
+              declaredMimeType || 'audio/mpeg'
+            )
+          : null;
+
+      // Política de tipos antes de qualquer download
+      mediaSecurity.checkType(
+        {
+          mimeType: declaredMimeType,
+          fileName: attachment.fileName || attachment.url,
+        },
+        digiSacMessage.service_id
+      );
+
+      // Baixar o arquivo em stream (base64, multipart ou URL conforme o tamanho)
+      const prepared = await mediaPipeline.prepare(attachment.url, {
+        serviceId: digiSacMessage.service_id,
+        attachmentType: sizeType,
+        phoneNumber,
+        declaredMimeType,
+        transcode,
       });
 
-      // Converter para base64
-      const base64 = Buffer.from(fileResponse.data).toString('base64');
+      // Determinar o MIME type: conversão, conteúdo do arquivo, informado,
+      // pela extensão ou pelo header da resposta
+      let mimeType =
+        prepared.transcodedMimeType ||
+        resolveMimeType(
+          declaredMimeType || prepared.headerMimeType,
+          prepared.sniffedMimeType
+        ) ||
+        'application/octet-stream';
+      if (prepared.transcodedMimeType) {
+        fileName = mediaTranscoder.renameFile(fileName, transcode);
+      }
 
-      // Determinar o tipo de arquivo baseado no attachment.type
-      let mimeType = attachment.mimeType || 'application/octet-stream';
-      let fileName = attachment.fileName || 'arquivo';
+      // Stickers e GIFs são imagens (ou vídeo, no caso de GIF em MP4);
+      // tipos desconhecidos seguem o MIME type
+      let attachmentType = attachment.type;
+      if (['sticker', 'gif'].includes(attachmentType)) {
+        if (!mimeType.startsWith('image/') && !mimeType.startsWith('video/')) {
+          mimeType = attachmentType === 'gif' ? 'image/gif' : 'image/webp';
+        }
+        attachmentType = getAttachmentTypeFromMime(mimeType);
+      } else if (
+        !['image', 'video', 'audio', 'file'].includes(attachmentType)
+      ) {
+        attachmentType = getAttachmentTypeFromMime(mimeType);
+      }
 
-      switch (attachment.type) {
+      switch (attachmentType) {
         case 'image':
           digiSacMessage.type = 'image';
           if (!mimeType.startsWith('image/')) {
@@ -418,6 +739,8 @@ class DigiSacApiService {
           if (!mimeType.startsWith('audio/')) {
             mimeType = 'audio/mpeg'; // fallback
           }
+          // OGG/Opus (original ou convertido) chega como nota de voz
+          digiSacMessage.isPtt = mediaTranscoder.isVoiceNote(mimeType);
           break;
 
         case 'file':
@@ -427,76 +750,153 @@ class DigiSacApiService {
           }
           break;
 
-        default:
-          digiSacMessage.type = 'text';
-          digiSacMessage.text = `📎 Arquivo: ${
-            attachment.description || 'Arquivo enviado'
-          }`;
-          return;
+        default: {
+          await mediaPipeline.release(prepared);
+          const error = new Error(
+            `Tipo de anexo não suportado: ${attachmentType}`
+          );
+          error.code = 'MEDIA_UNSUPPORTED';
+          throw error;
+        }
       }
 
-      // Configurar o arquivo
+      // Configurar o arquivo (path = upload multipart a partir do temporário)
       digiSacMessage.file = {
-        base64: base64,
         mimetype: mimeType,
         name: fileName,
+        size: prepared.size,
       };
-
-      // Adicionar texto - usar descrição se existir, senão usar nome do arquivo
-      if (attachment.description && attachment.description.trim() !== '') {
-        digiSacMessage.text = attachment.description;
+      if (prepared.mode === 'base64') {
+        digiSacMessage.file.base64 = prepared.base64;
+      } else if (prepared.mode === 'multipart') {
+        digiSacMessage.file.path = prepared.path;
       } else {
-        digiSacMessage.text = fileName;
+        digiSacMessage.file.url = prepared.url;
       }
 
+      // Legenda do respond.io vira o texto da mídia (nunca o nome do arquivo)
+      digiSacMessage.text = (
+        attachment.description ||
+        attachment.caption ||
+        digiSacMessage.text ||
+        ''
+      ).trim();
+
       conditionalLog(phoneNumber, '✅ Anexo processado com sucesso');
       conditionalLog(phoneNumber, '📎 Arquivo configurado:', {
         type: digiSacMessage.type,
-        hasFile: !!digiSacMessage.file,
-        fileName: fileName,
-        mimeType: mimeType,
-        base64Length: base64.length,
+        ...mediaPipeline.describe(digiSacMessage.file),
       });
 
       // Verificar se o arquivo foi configurado corretamente
-      if (!digiSacMessage.file || !digiSacMessage.file.base64) {
+      if (
+        !digiSacMessage.file.base64 &&
+        !digiSacMessage.file.path &&
+        !digiSacMessage.file.url
+      ) {
         conditionalLog(
           phoneNumber,
           '❌ Erro: Arquivo não foi configurado corretamente'
         );
-        throw new Error('Arquivo não foi configurado corretamente');
+        const error = new Error('Arquivo não foi configurado corretamente');
+        error.code = 'MEDIA_INVALID';
+        throw error;
       }
     } catch (error) {
       conditionalLog(phoneNumber, '❌ Erro ao processar anexo:', error);
-      // Fallback para texto
-      digiSacMessage.type = 'text';
-      digiSacMessage.text = `📎 Erro ao processar anexo: ${
-        attachment.description || 'Arquivo não pôde ser processado'
-      }`;
+      // Nada é enviado ao contato - a falha volta para o respond.io
+      throw this.createAttachmentError(error);
     }
   }
 
   /**
-   * Processar arquivo recebido do DigiSac
+   * Converter falha no processamento de um anexo em erro estruturado
+   * @param {Error} error - Erro original (download, limite, tipo...)
+   * @returns {Error} - Erro com isAttachmentError, code MEDIA_*, details e
+   *   retryable (falhas temporárias no download ou no antivírus)
+   */
+  createAttachmentError(error) {
+    const downloadFailed = !String(error.code || '').startsWith('MEDIA_');
+    const attachmentError = new Error(
+      `Falha ao processar anexo: ${error.message}`
+    );
+
+    attachmentError.isAttachmentError = true;
+    attachmentError.code = downloadFailed
+      ? 'MEDIA_DOWNLOAD_FAILED'
+      : error.code;
+    attachmentError.details = {
+      reason: error.message,
+      status: error.response?.status || null,
+      maxBytes: error.maxBytes || null,
+    };
+    attachmentError.retryable =
+      error.retryable ??
+      (downloadFailed && retryManager.isRetryableError(error));
+
+    return attachmentError;
+  }
+
+  /**
+   * Extrair a legenda de uma mídia recebida do DigiSac
    * @param {Object} messageData - Dados da mensagem do DigiSac
-   * @param {string} phoneNumber - Número de telefone
-   * @returns {Object|null} - Dados da mensagem processada para respond.io
+   * @returns {string|null} - Legenda ou null
    */
-  processDigiSacFile(messageData, phoneNumber) {
-    // DigiSac usa AMBAS as estruturas: 'files' (array) E 'file' (objeto)
-    const files = messageData.files;
-    const fileFromArray =
-      files && Array.isArray(files) && files.length > 0 ? files[0] : null;
-    const fileFromObject = messageData.file;
+  getMediaCaption(messageData) {
+    const caption = String(
+      messageData.text || messageData.caption || ''
+    ).trim();
+    return caption || null;
+  }
 
-    // Usar qualquer uma das estruturas que estiver disponível
-    const file = fileFromArray || fileFromObject;
+  /**
+   * Modo de entrega da legenda ao respond.io para um serviço
+   * @param {string} serviceId - ID do serviço DigiSac
+   * @returns {string} - description (no anexo) | text (evento de texto separado)
+   */
+  getCaptionMode(serviceId) {
+    const { captionMode } = getServiceConfig(serviceId, 'media');
+    const mode = captionMode || MEDIA_CAPTION_MODE;
+    return mode === 'text' ? 'text' : 'description';
+  }
 
-    // Esta verificação já é feita antes de chamar esta função
-    if (!file || !file.url) {
-      return null;
-    }
+  /**
+   * Processar arquivos recebidos do DigiSac (álbuns têm vários arquivos)
+   * @param {Object} messageData - Dados da mensagem do DigiSac
+   * @param {string} phoneNumber - Número de telefone
+   * @returns {Array} - Mensagens para respond.io, uma por arquivo e na ordem
+   *   do DigiSac (a legenda vai no primeiro arquivo)
+   */
+  processDigiSacFiles(messageData, phoneNumber) {
+    // DigiSac usa AMBAS as estruturas: 'files' (array) E 'file' (objeto)
+    const files =
+      Array.isArray(messageData.files) && messageData.files.length > 0
+        ? messageData.files
+        : [messageData.file];
+    const caption = this.getMediaCaption(messageData);
+
+    return files
+      .filter((file) => file && file.url)
+      .map((file, index) =>
+        this.processDigiSacFile(
+          file,
+          messageData,
+          index === 0 ? caption : null,
+          phoneNumber
+        )
+      )
+      .filter(Boolean);
+  }
 
+  /**
+   * Processar arquivo recebido do DigiSac
+   * @param {Object} file - Arquivo ({ url, mimetype, name })
+   * @param {Object} messageData - Dados da mensagem do DigiSac
+   * @param {string|null} caption - Legenda do contato
+   * @param {string} phoneNumber - Número de telefone
+   * @returns {Object|null} - Dados da mensagem processada para respond.io
+   */
+  processDigiSacFile(file, messageData, caption, phoneNumber) {
     try {
       conditionalLog(phoneNumber, '📎 Processando arquivo do DigiSac:', {
         fileName: file.name,
@@ -504,29 +904,27 @@ class DigiSacApiService {
         url: file.url,
       });
 
+      // Stickers chegam como WebP, às vezes sem mimetype
+      const isSticker = messageData.type === 'sticker';
+      const mimeType =
+        file.mimetype ||
+        getMimeTypeFromName(file.name || file.url) ||
+        (isSticker ? 'image/webp' : 'application/octet-stream');
+      const fileName = file.name || (isSticker ? 'sticker.webp' : 'arquivo');
+
       // Determinar o tipo de mensagem baseado no MIME type
-      let attachmentType = 'file';
-
-      if (file.mimetype.startsWith('image/')) {
-        attachmentType = 'image';
-      } else if (file.mimetype.startsWith('audio/')) {
-        attachmentType = 'audio';
-      } else if (file.mimetype.startsWith('video/')) {
-        attachmentType = 'video';
-      } else if (file.mimetype === 'application/pdf') {
-        attachmentType = 'file';
-      } else {
-        attachmentType = 'file';
-      }
+      // (stickers e GIFs em image/webp ou image/gif viram imagens)
+      const attachmentType = getAttachmentTypeFromMime(mimeType);
 
       return {
         type: 'attachment',
         attachment: {
           type: attachmentType,
-          url: file.url, // Usar URL diretamente do DigiSac
-          fileName: file.name,
-          mimeType: file.mimetype,
-          description: file.name, // Usar nome do arquivo como descrição
+          url: file.url, // URL do DigiSac (re-hospedada no webhook se habilitado)
+          fileName: fileName,
+          mimeType: mimeType,
+          // Legenda do contato (documentos às vezes repetem o nome do arquivo)
+          ...(caption && caption !== file.name ? { description: caption } : {}),
         },
       };
     } catch (error) {
@@ -544,6 +942,7 @@ class DigiSacApiService {
 const digiSacApiService = new DigiSacApiService();
 
 module.exports = {
+  SUPPORTED_MESSAGE_TYPES,
   DigiSacMessage,
   DigiSacMessageCollection,
   DigiSacApiService,
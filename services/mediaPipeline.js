@@ -0,0 +1,521 @@
+/**
+ * Media Pipeline Service
+ * Transferência dos anexos do respond.io para o DigiSac sem carregar o
+ * arquivo inteiro em memória. O download é feito em stream para um arquivo
+ * temporário, com limite de tamanho por tipo e detecção do MIME type pelo
+ * conteúdo.
+ *
+ * Modos de envio (MEDIA_UPLOAD_MODE ou seção "media" do
+ * DIGISAC_SERVICES_CONFIG):
+ * - auto (padrão): base64 até MEDIA_BASE64_MAX_KB, multipart acima disso
+ * - multipart: sempre upload multipart/form-data
+ * - url: o DigiSac baixa o arquivo pela URL (só os primeiros bytes são lidos;
+ *   sem Content-Length o arquivo é baixado e enviado em multipart)
+ * - base64: sempre base64 (comportamento antigo)
+ *
+ * {
+ *   "media": {
+ *     "uploadMode": "auto",
+ *     "base64MaxKb": 1024,
+ *     "maxSizeMb": { "image": 5, "video": 16, "audio": 16, "file": 100 }
+ *   }
+ * }
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+const { conditionalLog, errorLog } = require('../utils/logger');
+const { cache } = require('../utils/cache');
+const { getServiceConfig } = require('../utils/serviceConfig');
+const { sniffMimeType } = require('../utils/mediaTypes');
+const { mediaTranscoder } = require('./mediaTranscoder');
+const { mediaSecurity } = require('./mediaSecurity');
+
+const UPLOAD_MODES = ['auto', 'base64', 'multipart', 'url'];
+
+// Limites padrão por tipo de anexo (MB) - limites do WhatsApp
+const DEFAULT_MAX_SIZE_MB = {
+  image: parseFloat(process.env.MEDIA_MAX_IMAGE_MB || '5'),
+  video: parseFloat(process.env.MEDIA_MAX_VIDEO_MB || '16'),
+  audio: parseFloat(process.env.MEDIA_MAX_AUDIO_MB || '16'),
+  file: parseFloat(process.env.MEDIA_MAX_FILE_MB || '100'),
+};
+const MEDIA_UPLOAD_MODE = process.env.MEDIA_UPLOAD_MODE || 'auto';
+const MEDIA_BASE64_MAX_KB = parseInt(
+  process.env.MEDIA_BASE64_MAX_KB || '1024',
+  10
+);
+const MEDIA_DOWNLOAD_TIMEOUT_MS = parseInt(
+  process.env.MEDIA_DOWNLOAD_TIMEOUT_MS || '60000',
+  10
+);
+const MEDIA_TMP_DIR = process.env.MEDIA_TMP_DIR || os.tmpdir();
+
+// Bytes lidos para identificar o tipo do arquivo
+const SNIFF_BYTES = 16;
+
+// Validade do resultado da verificação de uma mídia recebida (reenvios do
+// webhook dentro desse prazo não baixam o arquivo de novo)
+const VERDICT_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Download e preparação de anexos para o DigiSac
+ */
+class MediaPipeline {
+  constructor() {
+    this.stats = {
+      downloads: 0,
+      bytes: 0,
+      rejected: 0,
+      inspected: 0,
+      cachedVerdicts: 0,
+      modes: { base64: 0, multipart: 0, url: 0 },
+    };
+    this.inspections = new Map();
+  }
+
+  /**
+   * Obter configuração de mídia de um serviço
+   * @param {string} serviceId - ID do serviço DigiSac
+   * @returns {Object} - { uploadMode, base64MaxBytes, maxSizeMb }
+   */
+  getConfig(serviceId) {
+    const config = getServiceConfig(serviceId, 'media');
+    const uploadMode = config.uploadMode || MEDIA_UPLOAD_MODE;
+
+    return {
+      uploadMode: UPLOAD_MODES.includes(uploadMode) ? uploadMode : 'auto',
+      base64MaxBytes: (config.base64MaxKb || MEDIA_BASE64_MAX_KB) * 1024,
+      maxSizeMb: { ...DEFAULT_MAX_SIZE_MB, ...(config.maxSizeMb || {}) },
+    };
+  }
+
+  /**
+   * Obter limite de tamanho em bytes para um tipo de anexo
+   * @param {Object} config - Configuração de mídia
+   * @param {string} attachmentType - image | video | audio | file
+   * @returns {number} - Limite em bytes
+   */
+  getMaxBytes(config, attachmentType) {
+    const maxSizeMb = config.maxSizeMb[attachmentType] ?? config.maxSizeMb.file;
+    return Math.floor(maxSizeMb * 1024 * 1024);
+  }
+
+  /**
+   * Criar erro de arquivo acima do limite
+   * @param {number} maxBytes - Limite em bytes
+   * @param {string} attachmentType - Tipo do anexo
+   * @returns {Error} - Erro com code MEDIA_TOO_LARGE
+   */
+  createSizeError(maxBytes, attachmentType) {
+    const maxSizeMb = Math.round((maxBytes / 1024 / 1024) * 10) / 10;
+    const error = new Error(
+      `Arquivo excede o limite de ${maxSizeMb} MB para ${attachmentType}`
+    );
+    error.code = 'MEDIA_TOO_LARGE';
+    error.maxBytes = maxBytes;
+    return error;
+  }
+
+  /**
+   * Preparar anexo para envio ao DigiSac
+   * @param {string} url - URL do arquivo
+   * @param {Object} options - { serviceId, attachmentType, phoneNumber,
+   *   declaredMimeType (conferido com o conteúdo), transcode (formato do
+   *   mediaTranscoder, opcional) }
+   * @returns {Promise<Object>} - { mode, size, headerMimeType, sniffedMimeType,
+   *   transcodedMimeType, e base64 | path | url conforme o modo }
+   */
+  async prepare(
+    url,
+    { serviceId, attachmentType, phoneNumber, declaredMimeType, transcode }
+  ) {
+    const config = this.getConfig(serviceId);
+    const maxBytes = this.getMaxBytes(config, attachmentType);
+
+    const response = await this.open(url);
+    const stream = response.data;
+    const headerMimeType =
+      response.headers?.['content-type']?.split(';')[0] || null;
+    const contentLength =
+      parseInt(response.headers?.['content-length'], 10) || null;
+    // Tipo esperado do conteúdo: informado, header da resposta ou tipo do anexo
+    const expectedMimeType =
+      declaredMimeType ||
+      (headerMimeType !== 'application/octet-stream' && headerMimeType) ||
+      (attachmentType === 'file' ? null : `${attachmentType}/*`);
+
+    // Tamanho informado pelo servidor - rejeitar sem baixar
+    if (contentLength && contentLength > maxBytes) {
+      stream.destroy();
+      this.stats.rejected++;
+      throw this.createSizeError(maxBytes, attachmentType);
+    }
+
+    // Conversão e antivírus exigem o arquivo local, mesmo no modo url. Sem
+    // Content-Length o limite só é garantido baixando o arquivo (multipart)
+    if (
+      config.uploadMode === 'url' &&
+      contentLength &&
+      !transcode &&
+      !mediaSecurity.isScanEnabled(serviceId)
+    ) {
+      const head = await this.readHead(stream);
+      mediaSecurity.checkContent(
+        expectedMimeType,
+        sniffMimeType(head),
+        serviceId
+      );
+      this.stats.modes.url++;
+
+      return {
+        mode: 'url',
+        url,
+        size: contentLength,
+        headerMimeType,
+        sniffedMimeType: sniffMimeType(head),
+        transcodedMimeType: null,
+      };
+    }
+
+    let download = await this.download(stream, maxBytes, attachmentType);
+    const prepared = {
+      headerMimeType,
+      sniffedMimeType: sniffMimeType(download.head),
+      transcodedMimeType: null,
+    };
+
+    // Conteúdo compatível com o tipo informado e livre de ameaças
+    try {
+      mediaSecurity.checkContent(
+        expectedMimeType,
+        prepared.sniffedMimeType,
+        serviceId
+      );
+      await mediaSecurity.scanFile(download.path, serviceId, phoneNumber);
+    } catch (error) {
+      await this.release(download);
+      throw error;
+    }
+
+    if (transcode) {
+      try {
+        const converted = await mediaTranscoder.transcode(
+          download.path,
+          transcode,
+          phoneNumber
+        );
+        await this.release(download);
+        download = converted;
+        prepared.transcodedMimeType = converted.mimeType;
+      } catch (error) {
+        errorLog(
+          '❌ Falha ao converter áudio - enviando arquivo original',
+          error.message
+        );
+      }
+    }
+    prepared.size = download.size;
+
+    const useBase64 =
+      config.uploadMode === 'base64' ||
+      (config.uploadMode === 'auto' && download.size <= config.base64MaxBytes);
+
+    conditionalLog(phoneNumber, '📥 Anexo baixado:', {
+      size: download.size,
+      mode: useBase64 ? 'base64' : 'multipart',
+      sniffedMimeType: prepared.sniffedMimeType,
+      transcodedMimeType: prepared.transcodedMimeType,
+    });
+
+    if (useBase64) {
+      try {
+        const content = await fs.promises.readFile(download.path);
+        this.stats.modes.base64++;
+        return {
+          ...prepared,
+          mode: 'base64',
+          base64: content.toString('base64'),
+        };
+      } finally {
+        await this.release(download);
+      }
+    }
+
+    this.stats.modes.multipart++;
+    return { ...prepared, mode: 'multipart', path: download.path };
+  }
+
+  /**
+   * Verificar mídia que segue pela URL original (sem re-hospedagem): o
+   * conteúdo é conferido com o tipo informado e, com o antivírus ativo,
+   * baixado em arquivo temporário para a análise e descartado em seguida.
+   * O resultado fica em cache por arquivo e verificações simultâneas do
+   * mesmo arquivo compartilham o download
+   * @param {string} url - URL do arquivo
+   * @param {Object} options - { serviceId, attachmentType, phoneNumber,
+   *   declaredMimeType }
+   * @returns {Promise<void>} - Rejeita com erro de segurança se bloqueada
+   */
+  async inspect(url, options) {
+    const { serviceId, declaredMimeType } = options;
+    if (
+      !mediaSecurity.isScanEnabled(serviceId) &&
+      !mediaSecurity.getConfig(serviceId).verifyContent
+    ) {
+      return;
+    }
+
+    const key = `media:verdict:${serviceId}:${declaredMimeType || ''}:${url}`;
+    const verdict = cache.get(key);
+    if (verdict) {
+      this.stats.cachedVerdicts++;
+      if (verdict.blocked) {
+        throw mediaSecurity.createSecurityError(verdict.reason, verdict.code);
+      }
+      return;
+    }
+
+    if (!this.inspections.has(key)) {
+      this.inspections.set(
+        key,
+        this.runInspection(url, options).finally(() =>
+          this.inspections.delete(key)
+        )
+      );
+    }
+
+    try {
+      await this.inspections.get(key);
+      cache.set(key, { blocked: false }, VERDICT_CACHE_TTL_MS);
+    } catch (error) {
+      // Só bloqueios definitivos: falhas de download e do antivírus refazem
+      if (error.isSecurityError && !error.retryable) {
+        cache.set(
+          key,
+          { blocked: true, code: error.code, reason: error.message },
+          VERDICT_CACHE_TTL_MS
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Baixar e verificar a mídia recebida (conteúdo e antivírus)
+   * @param {string} url - URL do arquivo
+   * @param {Object} options - { serviceId, attachmentType, phoneNumber,
+   *   declaredMimeType }
+   * @returns {Promise<void>} - Rejeita com erro de segurança se bloqueada
+   */
+  async runInspection(
+    url,
+    { serviceId, attachmentType, phoneNumber, declaredMimeType }
+  ) {
+    const scan = mediaSecurity.isScanEnabled(serviceId);
+    const maxBytes = this.getMaxBytes(
+      this.getConfig(serviceId),
+      attachmentType
+    );
+    const response = await this.open(url);
+    const stream = response.data;
+    const headerMimeType =
+      response.headers?.['content-type']?.split(';')[0] || null;
+    const expectedMimeType =
+      declaredMimeType ||
+      (headerMimeType !== 'application/octet-stream' && headerMimeType) ||
+      (attachmentType === 'file' ? null : `${attachmentType}/*`);
+    this.stats.inspected++;
+
+    if (!scan) {
+      const head = await this.readHead(stream);
+      mediaSecurity.checkContent(
+        expectedMimeType,
+        sniffMimeType(head),
+        serviceId
+      );
+      return;
+    }
+
+    const download = await this.download(stream, maxBytes, attachmentType);
+    try {
+      mediaSecurity.checkContent(
+        expectedMimeType,
+        sniffMimeType(download.head),
+        serviceId
+      );
+      await mediaSecurity.scanFile(download.path, serviceId, phoneNumber);
+    } finally {
+      await this.release(download);
+    }
+  }
+
+  /**
+   * Abrir download de um arquivo em stream (endereços internos bloqueados)
+   * @param {string} url - URL do arquivo
+   * @returns {Promise<Object>} - Resposta axios (data = stream)
+   */
+  async open(url) {
+    mediaSecurity.checkUrl(url);
+
+    try {
+      return await axios.get(url, {
+        responseType: 'stream',
+        timeout: MEDIA_DOWNLOAD_TIMEOUT_MS,
+        ...mediaSecurity.getRequestOptions(),
+      });
+    } catch (error) {
+      // Bloqueios no DNS ou em redirects chegam encapsulados pelo axios
+      let cause = error;
+      while (cause && !cause.isSecurityError) {
+        cause = cause.cause;
+      }
+      throw cause || error;
+    }
+  }
+
+  /**
+   * Ler apenas os primeiros bytes do stream (identificação do tipo)
+   * @param {Stream} stream - Stream da resposta
+   * @returns {Promise<Buffer>} - Primeiros bytes
+   */
+  async readHead(stream) {
+    let head = Buffer.alloc(0);
+
+    for await (const chunk of stream) {
+      head = Buffer.concat([head, chunk]);
+      if (head.length >= SNIFF_BYTES) {
+        break;
+      }
+    }
+    stream.destroy();
+
+    return head.subarray(0, SNIFF_BYTES);
+  }
+
+  /**
+   * Gravar stream em arquivo temporário respeitando o limite de tamanho
+   * @param {Stream} stream - Stream da resposta
+   * @param {number} maxBytes - Limite em bytes
+   * @param {string} attachmentType - Tipo do anexo (mensagem de erro)
+   * @returns {Promise<Object>} - { path, size, head, sha256 }
+   */
+  async download(stream, maxBytes, attachmentType) {
+    const filePath = path.join(
+      MEDIA_TMP_DIR,
+      `digisac-media-${crypto.randomUUID()}`
+    );
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    let head = Buffer.alloc(0);
+
+    const sizeGuard = new Transform({
+      transform: (chunk, encoding, callback) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          this.stats.rejected++;
+          callback(this.createSizeError(maxBytes, attachmentType));
+          return;
+        }
+        if (head.length < SNIFF_BYTES) {
+          head = Buffer.concat([head, chunk]).subarray(0, SNIFF_BYTES);
+        }
+        hash.update(chunk);
+        callback(null, chunk);
+      },
+    });
+
+    try {
+      await pipeline(stream, sizeGuard, fs.createWriteStream(filePath));
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
+      throw error;
+    }
+
+    this.stats.downloads++;
+    this.stats.bytes += size;
+
+    return { path: filePath, size, head, sha256: hash.digest('hex') };
+  }
+
+  /**
+   * Montar corpo multipart/form-data da mensagem (arquivo lido do disco
+   * em stream no momento do envio)
+   * @param {Object} payload - Campos da mensagem DigiSac
+   * @param {Object} file - { path, mimetype, name }
+   * @returns {Promise<FormData>} - Formulário
+   */
+  async createFormData(payload, file) {
+    const form = new FormData();
+
+    for (const [key, value] of Object.entries(payload)) {
+      if (value !== undefined && value !== null) {
+        form.append(
+          key,
+          typeof value === 'object' ? JSON.stringify(value) : String(value)
+        );
+      }
+    }
+
+    const blob = await fs.openAsBlob(file.path, { type: file.mimetype });
+    form.append('file', blob, file.name);
+
+    return form;
+  }
+
+  /**
+   * Remover arquivo temporário de um anexo (se houver)
+   * @param {Object} file - Arquivo preparado
+   */
+  async release(file) {
+    if (file?.path) {
+      await fs.promises.rm(file.path, { force: true });
+    }
+  }
+
+  /**
+   * Resumo do arquivo para logs (sem o conteúdo)
+   * @param {Object} file - Arquivo da mensagem DigiSac
+   * @returns {Object|null} - Resumo
+   */
+  describe(file) {
+    if (!file) {
+      return null;
+    }
+
+    return {
+      name: file.name,
+      mimetype: file.mimetype,
+      mode: file.path ? 'multipart' : file.url ? 'url' : 'base64',
+      size: file.size,
+      base64Length: file.base64?.length,
+    };
+  }
+
+  /**
+   * Obter estatísticas do pipeline de mídia
+   * @returns {Object} - Estatísticas
+   */
+  getStats() {
+    return {
+      downloads: this.stats.downloads,
+      bytes: this.stats.bytes,
+      rejected: this.stats.rejected,
+      inspected: this.stats.inspected,
+      cachedVerdicts: this.stats.cachedVerdicts,
+      modes: { ...this.stats.modes },
+      maxSizeMb: { ...DEFAULT_MAX_SIZE_MB },
+      uploadMode: MEDIA_UPLOAD_MODE,
+    };
+  }
+}
+
+// Instância singleton do pipeline de mídia
+const mediaPipeline = new MediaPipeline();
+
+module.exports = { MediaPipeline, mediaPipeline, UPLOAD_MODES };
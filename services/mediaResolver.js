@@ -0,0 +1,247 @@
+/**
+ * Media Resolver Service
+ * Resolução em background das mídias recebidas antes de o DigiSac terminar
+ * de processar o arquivo (webhook sem URL). O webhook é respondido na hora e
+ * a mensagem fica pendente: o DigiSac é consultado com backoff até o arquivo
+ * ficar pronto, quando a mensagem segue o fluxo normal de entrega ao
+ * respond.io. Se o prazo acabar, a mensagem é entregue com o texto de
+ * fallback do tipo de mídia.
+ */
+
+const { alwaysLog, conditionalLog, errorLog } = require('../utils/logger');
+const { FileStore } = require('../utils/fileStore');
+const { hasMediaUrl } = require('../utils/mediaTypes');
+const retryManager = require('../utils/retryManager');
+const { digiSacApiService } = require('./digisac');
+
+// Configurações do resolvedor
+const RESOLVER_POLL_INTERVAL_MS = parseInt(
+  process.env.MEDIA_RESOLVER_POLL_MS || '1000',
+  10
+);
+const RESOLVER_BASE_DELAY_MS = parseInt(
+  process.env.MEDIA_RESOLVER_BASE_MS || '2000',
+  10
+);
+const RESOLVER_MAX_DELAY_MS = parseInt(
+  process.env.MEDIA_RESOLVER_MAX_MS || '30000',
+  10
+);
+const RESOLVER_DEADLINE_MS = parseInt(
+  process.env.MEDIA_RESOLVER_DEADLINE_MS || '120000',
+  10
+);
+
+/**
+ * Resolvedor de mídias pendentes
+ */
+class MediaResolver {
+  constructor() {
+    this.jobs = new FileStore('media-pending.json');
+    this.handler = null;
+    this.timer = null;
+    this.processing = false;
+    this.stats = {
+      queued: 0,
+      polls: 0,
+      resolved: 0,
+      fallbacks: 0,
+      failures: 0,
+    };
+  }
+
+  /**
+   * Definir a função que entrega a mensagem resolvida
+   * @param {Function} handler - async (eventType, messageData, context)
+   */
+  setHandler(handler) {
+    this.handler = handler;
+  }
+
+  /**
+   * Iniciar o worker de resolução em background
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    alwaysLog(
+      `⏳ Resolvedor de mídias iniciado - ${this.jobs.size()} mídia(s) pendente(s)`
+    );
+    this.timer = setInterval(() => this.tick(), RESOLVER_POLL_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  /**
+   * Parar o worker de resolução
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Adicionar mídia sem arquivo à resolução em background
+   * Webhooks repetidos da mesma mensagem reaproveitam o job existente
+   * @param {Object} params - Dados da mensagem
+   * @param {string} params.messageId - ID da mensagem no DigiSac
+   * @param {string} params.eventType - Tipo do evento do webhook
+   * @param {Object} params.messageData - Dados da mensagem do DigiSac
+   * @param {string} params.webhookId - ID do webhook de origem
+   * @returns {Object} - Job pendente
+   */
+  enqueue({ messageId, eventType, messageData, webhookId }) {
+    const existing = this.jobs.get(messageId);
+    if (existing) {
+      return existing;
+    }
+
+    const now = Date.now();
+    const job = {
+      id: messageId,
+      eventType,
+      messageData,
+      webhookId,
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now + RESOLVER_BASE_DELAY_MS,
+      deadlineAt: now + RESOLVER_DEADLINE_MS,
+    };
+
+    this.jobs.set(job.id, job);
+    this.stats.queued++;
+
+    conditionalLog(
+      messageData.number || messageData.contactId,
+      '⏳ [MÍDIA] Arquivo ainda não processado pelo DigiSac - resolução em background',
+      { messageId, type: messageData.type, deadlineAt: job.deadlineAt }
+    );
+
+    return job;
+  }
+
+  /**
+   * Consultar as mídias pendentes cujo horário de tentativa já chegou
+   */
+  async tick() {
+    if (this.processing) {
+      return;
+    }
+    this.processing = true;
+
+    try {
+      const now = Date.now();
+      const due = this.jobs
+        .values()
+        .filter((job) => job.nextAttemptAt <= now)
+        .sort((a, b) => a.createdAt - b.createdAt);
+
+      for (const job of due) {
+        await this.poll(job);
+      }
+    } catch (error) {
+      errorLog('[MÍDIA] Erro no processamento das mídias pendentes', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Consultar o DigiSac e entregar a mensagem se o arquivo estiver pronto
+   * (ou com fallback se o prazo acabou)
+   * @param {Object} job - Mídia pendente
+   */
+  async poll(job) {
+    job.attempts++;
+    this.stats.polls++;
+
+    const result = await digiSacApiService.getMessageWithFile(job.id);
+
+    if (result.success && hasMediaUrl(result.data)) {
+      await this.complete(
+        job,
+        { ...job.messageData, ...result.data },
+        'resolved'
+      );
+      return;
+    }
+
+    if (Date.now() >= job.deadlineAt) {
+      await this.complete(job, job.messageData, 'fallback');
+      return;
+    }
+
+    const delay = retryManager.getRetryDelay(
+      job.attempts,
+      RESOLVER_BASE_DELAY_MS,
+      RESOLVER_MAX_DELAY_MS
+    );
+    job.nextAttemptAt = Math.min(Date.now() + delay, job.deadlineAt);
+    job.lastError = result.success ? null : result.error?.message || null;
+    this.jobs.set(job.id, job);
+  }
+
+  /**
+   * Remover a mídia da fila e entregar a mensagem ao fluxo do webhook
+   * @param {Object} job - Mídia pendente
+   * @param {Object} messageData - Dados da mensagem (com arquivo, se resolvida)
+   * @param {string} outcome - resolved | fallback
+   */
+  async complete(job, messageData, outcome) {
+    this.jobs.delete(job.id);
+    this.stats[outcome === 'resolved' ? 'resolved' : 'fallbacks']++;
+
+    alwaysLog(
+      outcome === 'resolved'
+        ? '✅ [MÍDIA] Arquivo disponível - entregando mensagem'
+        : '⚠️ [MÍDIA] Prazo esgotado sem arquivo - entregando texto de fallback',
+      {
+        messageId: job.id,
+        attempts: job.attempts,
+        waitedMs: Date.now() - job.createdAt,
+      }
+    );
+
+    try {
+      await this.handler(job.eventType, messageData, {
+        webhookId: job.webhookId,
+        mediaResolution: outcome,
+      });
+    } catch (error) {
+      this.stats.failures++;
+      errorLog('[MÍDIA] Erro ao entregar mídia resolvida', {
+        messageId: job.id,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Listar mídias pendentes
+   * @returns {Array} - Jobs pendentes
+   */
+  listPending() {
+    return this.jobs.values().sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Obter estatísticas do resolvedor
+   * @returns {Object} - Estatísticas
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pending: this.jobs.size(),
+      running: !!this.timer,
+      deadlineMs: RESOLVER_DEADLINE_MS,
+    };
+  }
+}
+
+// Instância singleton do resolvedor de mídias
+const mediaResolver = new MediaResolver();
+
+module.exports = { MediaResolver, mediaResolver };
@@ -0,0 +1,452 @@
+/**
+ * Media Security Service
+ * Verificações de segurança das mídias que passam pela aplicação, nos dois
+ * sentidos:
+ * - política de tipos: listas de MIME types e extensões permitidos/bloqueados
+ * - conteúdo: os primeiros bytes do arquivo precisam corresponder ao tipo
+ *   informado (um executável renomeado para .jpg é rejeitado)
+ * - SSRF: downloads de anexos não acessam endereços internos (loopback,
+ *   redes privadas, metadados de nuvem), inclusive após redirects
+ * - antivírus: envio opcional do arquivo ao clamd (INSTREAM) antes do repasse
+ *
+ * Listas e verificações podem ser definidas por serviço na seção "media" do
+ * DIGISAC_SERVICES_CONFIG:
+ *
+ * {
+ *   "media": {
+ *     "allowedMimeTypes": ["image/*", "application/pdf"],
+ *     "blockedExtensions": [".exe", ".apk"],
+ *     "verifyContent": true,
+ *     "scan": true
+ *   }
+ * }
+ */
+
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { alwaysLog, conditionalLog, errorLog } = require('../utils/logger');
+const { getServiceConfig } = require('../utils/serviceConfig');
+const { isPrivateAddress } = require('../utils/validators');
+const { isContentCompatible } = require('../utils/mediaTypes');
+
+/**
+ * Ler lista separada por vírgulas de uma variável de ambiente
+ * @param {string} value - Valor da variável
+ * @param {string} fallback - Valor padrão
+ * @returns {Array<string>} - Itens em minúsculas
+ */
+function parseList(value, fallback = '') {
+  return String(value ?? fallback)
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Política de tipos (listas vazias de permitidos = todos permitidos)
+const MEDIA_ALLOWED_MIME_TYPES = parseList(
+  process.env.MEDIA_ALLOWED_MIME_TYPES
+);
+const MEDIA_BLOCKED_MIME_TYPES = parseList(
+  process.env.MEDIA_BLOCKED_MIME_TYPES,
+  'application/x-msdownload,application/x-executable,application/x-mach-binary,application/x-sh,application/java-archive,application/vnd.android.package-archive'
+);
+const MEDIA_ALLOWED_EXTENSIONS = parseList(
+  process.env.MEDIA_ALLOWED_EXTENSIONS
+);
+const MEDIA_BLOCKED_EXTENSIONS = parseList(
+  process.env.MEDIA_BLOCKED_EXTENSIONS,
+  '.exe,.com,.bat,.cmd,.scr,.msi,.dll,.js,.vbs,.ps1,.sh,.jar,.apk'
+);
+const MEDIA_VERIFY_CONTENT = process.env.MEDIA_VERIFY_CONTENT !== 'false';
+
+// Proteção contra SSRF nos downloads
+const MEDIA_SSRF_PROTECTION = process.env.MEDIA_SSRF_PROTECTION !== 'false';
+const MEDIA_URL_ALLOWED_HOSTS = parseList(process.env.MEDIA_URL_ALLOWED_HOSTS);
+
+// Antivírus (clamd via socket unix ou TCP)
+const MEDIA_SCAN_CLAMD_SOCKET = process.env.MEDIA_SCAN_CLAMD_SOCKET || null;
+const MEDIA_SCAN_CLAMD_HOST = process.env.MEDIA_SCAN_CLAMD_HOST || null;
+const MEDIA_SCAN_CLAMD_PORT = parseInt(
+  process.env.MEDIA_SCAN_CLAMD_PORT || '3310',
+  10
+);
+const MEDIA_SCAN_TIMEOUT_MS = parseInt(
+  process.env.MEDIA_SCAN_TIMEOUT_MS || '30000',
+  10
+);
+// closed: falha no antivírus bloqueia a mídia | open: mídia segue sem análise
+const MEDIA_SCAN_FAIL_MODE = process.env.MEDIA_SCAN_FAIL_MODE || 'closed';
+
+// Tamanho dos blocos enviados ao clamd
+const CLAMD_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Verificações de segurança das mídias
+ */
+class MediaSecurity {
+  constructor() {
+    this.stats = {
+      blockedTypes: 0,
+      mismatches: 0,
+      blockedUrls: 0,
+      scanned: 0,
+      infected: 0,
+      scanFailures: 0,
+    };
+  }
+
+  /**
+   * Obter política de segurança de mídia de um serviço
+   * @param {string} serviceId - ID do serviço DigiSac
+   * @returns {Object} - Listas e verificações ativas
+   */
+  getConfig(serviceId) {
+    const config = getServiceConfig(serviceId, 'media');
+    const list = (value, fallback) =>
+      Array.isArray(value)
+        ? value.map((item) => String(item).toLowerCase())
+        : fallback;
+
+    return {
+      allowedMimeTypes: list(config.allowedMimeTypes, MEDIA_ALLOWED_MIME_TYPES),
+      blockedMimeTypes: list(config.blockedMimeTypes, MEDIA_BLOCKED_MIME_TYPES),
+      allowedExtensions: list(
+        config.allowedExtensions,
+        MEDIA_ALLOWED_EXTENSIONS
+      ),
+      blockedExtensions: list(
+        config.blockedExtensions,
+        MEDIA_BLOCKED_EXTENSIONS
+      ),
+      verifyContent:
+        typeof config.verifyContent === 'boolean'
+          ? config.verifyContent
+          : MEDIA_VERIFY_CONTENT,
+      scan: config.scan !== false && this.isScannerConfigured(),
+    };
+  }
+
+  /**
+   * Criar erro de mídia bloqueada
+   * @param {string} message - Motivo
+   * @param {string} code - MEDIA_BLOCKED_TYPE | MEDIA_TYPE_MISMATCH |
+   *   MEDIA_BLOCKED_URL | MEDIA_INFECTED | MEDIA_SCAN_FAILED
+   * @param {boolean} retryable - Se vale tentar novamente
+   * @returns {Error} - Erro com isSecurityError e code
+   */
+  createSecurityError(message, code, retryable = false) {
+    const error = new Error(message);
+    error.isSecurityError = true;
+    error.code = code;
+    error.retryable = retryable;
+    return error;
+  }
+
+  /**
+   * Verificar se um MIME type está em uma lista (aceita "image/*")
+   * @param {string} mimeType - MIME type
+   * @param {Array<string>} patterns - Lista de MIME types
+   * @returns {boolean} - Se está na lista
+   */
+  matchesMimeType(mimeType, patterns) {
+    const baseType = String(mimeType).split(';')[0].trim().toLowerCase();
+    return patterns.some((pattern) =>
+      pattern.endsWith('/*')
+        ? baseType.startsWith(pattern.slice(0, -1))
+        : baseType === pattern
+    );
+  }
+
+  /**
+   * Validar MIME type e extensão contra a política do serviço
+   * @param {Object} file - { mimeType, fileName } (fileName aceita URL)
+   * @param {string} serviceId - ID do serviço DigiSac
+   */
+  checkType({ mimeType, fileName }, serviceId) {
+    const config = this.getConfig(serviceId);
+
+    // Sem nome de arquivo (verificação só do MIME type), extensão não se aplica
+    let extension = null;
+    if (fileName) {
+      let pathname = String(fileName);
+      try {
+        pathname = new URL(pathname).pathname;
+      } catch {
+        // Não é URL - usar como nome de arquivo
+      }
+      extension = path.extname(pathname).toLowerCase();
+    }
+
+    const blockedReason =
+      mimeType && this.matchesMimeType(mimeType, config.blockedMimeTypes)
+        ? `MIME type bloqueado: ${mimeType}`
+        : mimeType &&
+          config.allowedMimeTypes.length > 0 &&
+          !this.matchesMimeType(mimeType, config.allowedMimeTypes)
+        ? `MIME type não permitido: ${mimeType}`
+        : extension && config.blockedExtensions.includes(extension)
+        ? `Extensão bloqueada: ${extension}`
+        : extension !== null &&
+          config.allowedExtensions.length > 0 &&
+          !config.allowedExtensions.includes(extension)
+        ? `Extensão não permitida: ${extension || '(sem extensão)'}`
+        : null;
+
+    if (blockedReason) {
+      this.stats.blockedTypes++;
+      throw this.createSecurityError(blockedReason, 'MEDIA_BLOCKED_TYPE');
+    }
+  }
+
+  /**
+   * Validar o conteúdo do arquivo (magic bytes) contra o tipo informado
+   * @param {string|null} declaredMimeType - MIME type informado (ou "image/*")
+   * @param {string|null} sniffedMimeType - MIME type detectado no conteúdo
+   * @param {string} serviceId - ID do serviço DigiSac
+   */
+  checkContent(declaredMimeType, sniffedMimeType, serviceId) {
+    const config = this.getConfig(serviceId);
+
+    // Executáveis disfarçados são bloqueados pelo tipo real
+    if (sniffedMimeType) {
+      this.checkType({ mimeType: sniffedMimeType }, serviceId);
+    }
+
+    if (
+      config.verifyContent &&
+      !isContentCompatible(declaredMimeType, sniffedMimeType)
+    ) {
+      this.stats.mismatches++;
+      throw this.createSecurityError(
+        `Conteúdo do arquivo (${sniffedMimeType}) não corresponde ao tipo informado (${declaredMimeType})`,
+        'MEDIA_TYPE_MISMATCH'
+      );
+    }
+  }
+
+  /**
+   * Validar URL de download (protocolo e IP literal interno)
+   * Nomes de host são verificados na resolução DNS (lookup)
+   * @param {string} url - URL do arquivo
+   */
+  checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      this.stats.blockedUrls++;
+      throw this.createSecurityError(
+        'URL do anexo inválida',
+        'MEDIA_BLOCKED_URL'
+      );
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      this.stats.blockedUrls++;
+      throw this.createSecurityError(
+        `Protocolo não permitido no download de mídia: ${parsed.protocol}`,
+        'MEDIA_BLOCKED_URL'
+      );
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (
+      MEDIA_SSRF_PROTECTION &&
+      !MEDIA_URL_ALLOWED_HOSTS.includes(hostname.toLowerCase()) &&
+      isPrivateAddress(hostname)
+    ) {
+      this.stats.blockedUrls++;
+      throw this.createSecurityError(
+        `Endereço interno bloqueado no download de mídia: ${hostname}`,
+        'MEDIA_BLOCKED_URL'
+      );
+    }
+  }
+
+  /**
+   * Opções do axios para downloads de mídia: resolução DNS que rejeita IPs
+   * internos (inclusive DNS rebinding) e validação de cada redirect
+   * @returns {Object} - { lookup, beforeRedirect } ou {} sem proteção
+   */
+  getRequestOptions() {
+    if (!MEDIA_SSRF_PROTECTION) {
+      return {};
+    }
+
+    return {
+      lookup: (hostname, options, callback) => {
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+          if (error) {
+            callback(error);
+            return;
+          }
+
+          const blocked =
+            !MEDIA_URL_ALLOWED_HOSTS.includes(hostname.toLowerCase()) &&
+            addresses.find(({ address }) => isPrivateAddress(address));
+          if (blocked) {
+            this.stats.blockedUrls++;
+            callback(
+              this.createSecurityError(
+                `Endereço interno bloqueado no download de mídia: ${hostname} (${blocked.address})`,
+                'MEDIA_BLOCKED_URL'
+              )
+            );
+            return;
+          }
+
+          callback(null, addresses);
+        });
+      },
+      beforeRedirect: (options) => {
+        this.checkUrl(
+          `${options.protocol}//${options.hostname || options.host}`
+        );
+      },
+    };
+  }
+
+  /**
+   * Verificar se há antivírus configurado
+   * @returns {boolean} - Se o clamd está configurado
+   */
+  isScannerConfigured() {
+    return Boolean(MEDIA_SCAN_CLAMD_SOCKET || MEDIA_SCAN_CLAMD_HOST);
+  }
+
+  /**
+   * Verificar se o antivírus está ativo para um serviço
+   * @param {string} serviceId - ID do serviço DigiSac
+   * @returns {boolean} - Se as mídias do serviço devem ser analisadas
+   */
+  isScanEnabled(serviceId) {
+    return this.getConfig(serviceId).scan;
+  }
+
+  /**
+   * Analisar arquivo no antivírus (se ativo para o serviço)
+   * @param {string} filePath - Arquivo local
+   * @param {string} serviceId - ID do serviço DigiSac
+   * @param {string} phoneNumber - Número (logs condicionais)
+   */
+  async scanFile(filePath, serviceId, phoneNumber) {
+    if (!this.isScanEnabled(serviceId)) {
+      return;
+    }
+
+    let verdict;
+    try {
+      verdict = await this.clamdScan(filePath);
+      this.stats.scanned++;
+    } catch (error) {
+      this.stats.scanFailures++;
+      errorLog('❌ Falha no antivírus de mídias', error.message);
+
+      if (MEDIA_SCAN_FAIL_MODE === 'open') {
+        return;
+      }
+      throw this.createSecurityError(
+        `Não foi possível analisar o arquivo no antivírus: ${error.message}`,
+        'MEDIA_SCAN_FAILED',
+        true
+      );
+    }
+
+    if (verdict !== 'OK') {
+      this.stats.infected++;
+      alwaysLog(`🦠 Mídia bloqueada pelo antivírus: ${verdict}`);
+      throw this.createSecurityError(
+        `Arquivo bloqueado pelo antivírus: ${verdict}`,
+        'MEDIA_INFECTED'
+      );
+    }
+
+    conditionalLog(phoneNumber, '🛡️ Mídia analisada pelo antivírus: OK');
+  }
+
+  /**
+   * Enviar arquivo ao clamd pelo comando INSTREAM
+   * @param {string} filePath - Arquivo local
+   * @returns {Promise<string>} - "OK" ou o nome da ameaça encontrada
+   */
+  clamdScan(filePath) {
+    return new Promise((resolve, reject) => {
+      const socket = MEDIA_SCAN_CLAMD_SOCKET
+        ? net.createConnection(MEDIA_SCAN_CLAMD_SOCKET)
+        : net.createConnection(MEDIA_SCAN_CLAMD_PORT, MEDIA_SCAN_CLAMD_HOST);
+      let response = '';
+      let socketError = null;
+
+      socket.setTimeout(MEDIA_SCAN_TIMEOUT_MS, () =>
+        socket.destroy(new Error('Tempo esgotado na análise do antivírus'))
+      );
+      // O clamd pode responder antes do fim do envio (ex: limite de
+      // tamanho) - a resposta prevalece sobre o erro de escrita
+      socket.on('error', (error) => {
+        socketError = error;
+      });
+      socket.on('data', (chunk) => {
+        response += chunk.toString();
+      });
+      socket.on('close', () => {
+        // Respostas: "stream: OK", "stream: <ameaça> FOUND" ou "... ERROR"
+        const result = response.replace(/\0/g, '').trim();
+        const found = /^stream: (.+) FOUND$/.exec(result);
+
+        if (result === 'stream: OK') {
+          resolve('OK');
+        } else if (found) {
+          resolve(found[1]);
+        } else if (result) {
+          reject(new Error(`Resposta inesperada do clamd: ${result}`));
+        } else {
+          reject(socketError || new Error('Conexão encerrada pelo clamd'));
+        }
+      });
+
+      socket.on('connect', async () => {
+        try {
+          const write = (data) =>
+            socket.write(data) ||
+            new Promise((resolveDrain) => socket.once('drain', resolveDrain));
+
+          await write('zINSTREAM\0');
+          const stream = fs.createReadStream(filePath, {
+            highWaterMark: CLAMD_CHUNK_BYTES,
+          });
+          for await (const chunk of stream) {
+            const size = Buffer.alloc(4);
+            size.writeUInt32BE(chunk.length);
+            await write(size);
+            await write(chunk);
+          }
+          await write(Buffer.alloc(4));
+        } catch (error) {
+          socket.destroy(error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Obter estatísticas das verificações
+   * @returns {Object} - Estatísticas
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      ssrfProtection: MEDIA_SSRF_PROTECTION,
+      scanner: this.isScannerConfigured()
+        ? MEDIA_SCAN_CLAMD_SOCKET ||
+          `${MEDIA_SCAN_CLAMD_HOST}:${MEDIA_SCAN_CLAMD_PORT}`
+        : null,
+    };
+  }
+}
+
+// Instância singleton das verificações de segurança de mídia
+const mediaSecurity = new MediaSecurity();
+
+module.exports = { MediaSecurity, mediaSecurity };
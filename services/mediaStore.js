@@ -0,0 +1,582 @@
+/**
+ * Media Store Service
+ * Re-hospedagem opcional das mídias recebidas do DigiSac. As URLs de arquivo
+ * do DigiSac podem expirar ou exigir autenticação; com a re-hospedagem o
+ * arquivo é baixado uma vez, guardado pelo hash SHA-256 do conteúdo e
+ * entregue ao respond.io por uma URL assinada desta aplicação
+ * (GET /media/:id?expires=...&signature=...).
+ *
+ * Habilitada com MEDIA_REHOST_ENABLED=true (ou "media": { "rehost": true }
+ * por serviço no DIGISAC_SERVICES_CONFIG). Exige MEDIA_PUBLIC_URL e
+ * MEDIA_SIGNING_SECRET.
+ *
+ * Armazenamento (MEDIA_STORE_BACKEND):
+ * - local (padrão): arquivos em MEDIA_STORE_DIR (padrão: DATA_DIR/media)
+ * - s3: bucket compatível com S3 (AWS, MinIO, R2...) via assinatura SigV4
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { alwaysLog, conditionalLog, errorLog } = require('../utils/logger');
+const { FileStore, DATA_DIR } = require('../utils/fileStore');
+const { cache } = require('../utils/cache');
+const { getServiceConfig } = require('../utils/serviceConfig');
+const {
+  getAttachmentTypeFromMime,
+  sniffMimeType,
+} = require('../utils/mediaTypes');
+const { mediaPipeline } = require('./mediaPipeline');
+const { mediaTranscoder } = require('./mediaTranscoder');
+const { mediaSecurity } = require('./mediaSecurity');
+
+// Configurações da re-hospedagem
+const MEDIA_REHOST_ENABLED = process.env.MEDIA_REHOST_ENABLED === 'true';
+const MEDIA_PUBLIC_URL = (process.env.MEDIA_PUBLIC_URL || '').replace(
+  /\/+$/,
+  ''
+);
+const MEDIA_SIGNING_SECRET = process.env.MEDIA_SIGNING_SECRET || '';
+const MEDIA_REHOST_TTL_DAYS = parseFloat(
+  process.env.MEDIA_REHOST_TTL_DAYS || '30'
+);
+const MEDIA_STORE_BACKEND = process.env.MEDIA_STORE_BACKEND || 'local';
+const MEDIA_STORE_DIR =
+  process.env.MEDIA_STORE_DIR || path.join(DATA_DIR, 'media');
+
+const MEDIA_TTL_MS = MEDIA_REHOST_TTL_DAYS * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// URL de origem já re-hospedada (evita baixar de novo o mesmo arquivo)
+const SOURCE_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Armazenamento em disco local
+ */
+class LocalMediaBackend {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  filePath(key) {
+    return path.join(this.directory, key);
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.filePath(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async put(key, sourcePath) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.copyFile(sourcePath, this.filePath(key));
+  }
+
+  async open(key) {
+    const { size } = await fs.promises.stat(this.filePath(key));
+    return { stream: fs.createReadStream(this.filePath(key)), size };
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.filePath(key), { force: true });
+  }
+}
+
+/**
+ * Armazenamento em bucket compatível com S3 (URLs path-style)
+ */
+class S3MediaBackend {
+  constructor() {
+    this.endpoint = (process.env.MEDIA_S3_ENDPOINT || '').replace(/\/+$/, '');
+    this.bucket = process.env.MEDIA_S3_BUCKET || '';
+    this.region = process.env.MEDIA_S3_REGION || 'us-east-1';
+    this.accessKeyId = process.env.MEDIA_S3_ACCESS_KEY_ID || '';
+    this.secretAccessKey = process.env.MEDIA_S3_SECRET_ACCESS_KEY || '';
+    this.prefix = process.env.MEDIA_S3_PREFIX || 'media/';
+  }
+
+  isConfigured() {
+    return Boolean(
+      this.endpoint && this.bucket && this.accessKeyId && this.secretAccessKey
+    );
+  }
+
+  /**
+   * Montar URL e headers assinados (AWS Signature Version 4)
+   * @param {string} method - Método HTTP
+   * @param {string} key - Chave do objeto
+   * @returns {Object} - { url, headers }
+   */
+  sign(method, key) {
+    const url = new URL(`${this.endpoint}/${this.bucket}/${this.prefix}${key}`);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': 'UNSIGNED-PAYLOAD',
+      'x-amz-date': amzDate,
+    };
+    const signedHeaders = Object.keys(headers).join(';');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      ...Object.entries(headers).map(([name, value]) => `${name}:${value}`),
+      '',
+      signedHeaders,
+      'UNSIGNED-PAYLOAD',
+    ].join('\n');
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      crypto.createHash('sha256').update(canonicalRequest).digest('hex'),
+    ].join('\n');
+
+    const hmac = (keyData, data) =>
+      crypto.createHmac('sha256', keyData).update(data).digest();
+    const signingKey = [this.region, 's3', 'aws4_request'].reduce(
+      (keyData, part) => hmac(keyData, part),
+      hmac(`AWS4${this.secretAccessKey}`, dateStamp)
+    );
+    const signature = crypto
+      .createHmac('sha256', signingKey)
+      .update(stringToSign)
+      .digest('hex');
+
+    delete headers.host;
+    headers.Authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+    return { url: url.toString(), headers };
+  }
+
+  async exists(key) {
+    const { url, headers } = this.sign('HEAD', key);
+    const response = await axios.head(url, {
+      headers,
+      validateStatus: (status) => status === 200 || status === 404,
+    });
+    return response.status === 200;
+  }
+
+  async put(key, sourcePath, { mimeType, size }) {
+    const { url, headers } = this.sign('PUT', key);
+    await axios.put(url, fs.createReadStream(sourcePath), {
+      headers: {
+        ...headers,
+        'Content-Type': mimeType,
+        'Content-Length': size,
+      },
+      maxBodyLength: Infinity,
+    });
+  }
+
+  async open(key) {
+    const { url, headers } = this.sign('GET', key);
+    const response = await axios.get(url, { headers, responseType: 'stream' });
+    return {
+      stream: response.data,
+      size: parseInt(response.headers['content-length'], 10) || null,
+    };
+  }
+
+  async remove(key) {
+    const { url, headers } = this.sign('DELETE', key);
+    await axios.delete(url, { headers });
+  }
+}
+
+/**
+ * Re-hospedagem de mídias com URLs assinadas
+ */
+class MediaStore {
+  constructor() {
+    this.backendName = MEDIA_STORE_BACKEND === 's3' ? 's3' : 'local';
+    this.backend =
+      this.backendName === 's3'
+        ? new S3MediaBackend()
+        : new LocalMediaBackend(MEDIA_STORE_DIR);
+    this.index = new FileStore('media-index.json');
+    this.inFlight = new Map();
+    this.timer = null;
+    this.stats = {
+      rehosted: 0,
+      reused: 0,
+      failures: 0,
+      served: 0,
+      denied: 0,
+    };
+  }
+
+  /**
+   * Verificar se a re-hospedagem tem a configuração necessária
+   * @returns {boolean} - Se URL pública, segredo e armazenamento estão definidos
+   */
+  isConfigured() {
+    const backendReady =
+      this.backendName === 'local' || this.backend.isConfigured();
+    return Boolean(MEDIA_PUBLIC_URL && MEDIA_SIGNING_SECRET && backendReady);
+  }
+
+  /**
+   * Verificar se a re-hospedagem está ativa para um serviço
+   * @param {string} serviceId - ID do serviço DigiSac
+   * @returns {boolean} - Se as mídias do serviço devem ser re-hospedadas
+   */
+  isEnabled(serviceId) {
+    const config = getServiceConfig(serviceId, 'media');
+    const enabled =
+      typeof config.rehost === 'boolean' ? config.rehost : MEDIA_REHOST_ENABLED;
+    return enabled && this.isConfigured();
+  }
+
+  /**
+   * Iniciar limpeza periódica das mídias expiradas
+   */
+  start() {
+    if (MEDIA_REHOST_ENABLED && !this.isConfigured()) {
+      errorLog(
+        '⚠️ MEDIA_REHOST_ENABLED sem MEDIA_PUBLIC_URL, MEDIA_SIGNING_SECRET ou armazenamento S3 configurado - re-hospedagem desativada'
+      );
+    }
+
+    if (!this.isConfigured() || this.timer) {
+      return;
+    }
+
+    alwaysLog(
+      `🗄️ Re-hospedagem de mídia disponível (armazenamento ${
+        this.backendName
+      }) - ${this.index.size()} arquivo(s) indexado(s)`
+    );
+
+    this.prune();
+    this.timer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  /**
+   * Parar limpeza periódica
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Calcular assinatura de uma URL de mídia
+   * @param {string} id - Hash do arquivo
+   * @param {number} expires - Expiração (epoch em segundos)
+   * @returns {string} - Assinatura (base64url)
+   */
+  sign(id, expires) {
+    return crypto
+      .createHmac('sha256', MEDIA_SIGNING_SECRET)
+      .update(`${id}.${expires}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Montar URL assinada de uma mídia
+   * @param {string} id - Hash do arquivo
+   * @returns {string} - URL pública com expiração e assinatura
+   */
+  buildUrl(id) {
+    const expires = Math.floor((Date.now() + MEDIA_TTL_MS) / 1000);
+    return `${MEDIA_PUBLIC_URL}/media/${id}?expires=${expires}&signature=${this.sign(
+      id,
+      expires
+    )}`;
+  }
+
+  /**
+   * Verificar assinatura e expiração de uma URL de mídia
+   * @param {string} id - Hash do arquivo
+   * @param {string} expires - Expiração recebida
+   * @param {string} signature - Assinatura recebida
+   * @returns {boolean} - Se a URL é válida
+   */
+  verify(id, expires, signature) {
+    const expiresAt = parseInt(expires, 10);
+    const expected = Buffer.from(
+      this.isConfigured() ? this.sign(id, expiresAt) : ''
+    );
+    const received = Buffer.from(String(signature || ''));
+
+    const valid =
+      expected.length > 0 &&
+      expiresAt * 1000 >= Date.now() &&
+      expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received);
+
+    if (!valid) {
+      this.stats.denied++;
+    }
+    return valid;
+  }
+
+  /**
+   * Re-hospedar mídia (baixada uma vez por URL de origem e formato)
+   * Chamadas simultâneas para a mesma URL compartilham o download. Cada
+   * chamada conta uma vez: como re-hospedada (gravação nova, em store) ou
+   * como reaproveitada (aqui)
+   * @param {string} url - URL original do arquivo (DigiSac)
+   * @param {Object} meta - { mimeType, fileName, serviceId, phoneNumber,
+   *   transcode (formato do mediaTranscoder, opcional) }
+   * @returns {Promise<string>} - ID da mídia
+   */
+  async rehost(url, meta) {
+    const sourceKey = `${meta.transcode || 'original'}:${url}`;
+    let id = cache.get(`media:source:${sourceKey}`);
+    let reused = Boolean(id && this.index.has(id));
+
+    if (!reused) {
+      const shared = this.inFlight.has(sourceKey);
+      if (!shared) {
+        this.inFlight.set(
+          sourceKey,
+          this.store(url, meta).finally(() => this.inFlight.delete(sourceKey))
+        );
+      }
+      const stored = await this.inFlight.get(sourceKey);
+      id = stored.id;
+      reused = shared || stored.reused;
+      cache.set(`media:source:${sourceKey}`, id, SOURCE_CACHE_TTL_MS);
+    }
+
+    if (reused) {
+      this.stats.reused++;
+    }
+    this.index.set(id, { ...this.index.get(id), lastUsedAt: Date.now() });
+    return id;
+  }
+
+  /**
+   * Baixar a mídia (convertendo o áudio, se pedido) e guardá-la pelo hash
+   * do conteúdo
+   * @param {string} url - URL original do arquivo
+   * @param {Object} meta - { mimeType, fileName, serviceId, phoneNumber, transcode }
+   * @returns {Promise<Object>} - { id (hash do arquivo), reused (conteúdo
+   *   já guardado) }
+   */
+  async store(url, meta) {
+    const attachmentType = getAttachmentTypeFromMime(meta.mimeType);
+    const maxBytes = mediaPipeline.getMaxBytes(
+      mediaPipeline.getConfig(meta.serviceId),
+      attachmentType
+    );
+
+    const response = await mediaPipeline.open(url);
+    const download = await mediaPipeline.download(
+      response.data,
+      maxBytes,
+      attachmentType
+    );
+    let file = {
+      path: download.path,
+      size: download.size,
+      mimeType: meta.mimeType,
+      fileName: meta.fileName,
+    };
+    // Arquivo convertido: ID derivado do hash do original e do formato
+    let id = download.sha256;
+
+    try {
+      // Conteúdo compatível com o tipo informado pelo DigiSac e sem ameaças
+      mediaSecurity.checkContent(
+        meta.mimeType,
+        sniffMimeType(download.head),
+        meta.serviceId
+      );
+      await mediaSecurity.scanFile(
+        download.path,
+        meta.serviceId,
+        meta.phoneNumber
+      );
+
+      if (meta.transcode) {
+        const converted = await mediaTranscoder.transcode(
+          download.path,
+          meta.transcode,
+          meta.phoneNumber
+        );
+        file = {
+          ...converted,
+          fileName: mediaTranscoder.renameFile(meta.fileName, meta.transcode),
+        };
+        id = crypto
+          .createHash('sha256')
+          .update(`${download.sha256}:${meta.transcode}`)
+          .digest('hex');
+      }
+
+      const known = this.index.has(id) && (await this.backend.exists(id));
+
+      if (!known) {
+        await this.backend.put(id, file.path, {
+          mimeType: file.mimeType,
+          size: file.size,
+        });
+        this.index.set(id, {
+          mimeType: file.mimeType,
+          fileName: file.fileName,
+          size: file.size,
+          storedAt: Date.now(),
+        });
+        this.stats.rehosted++;
+      }
+
+      conditionalLog(meta.phoneNumber, '🗄️ Mídia re-hospedada:', {
+        id,
+        size: file.size,
+        transcode: meta.transcode || null,
+        reused: known,
+      });
+
+      return { id, reused: known };
+    } finally {
+      await mediaPipeline.release(download);
+      if (file.path !== download.path) {
+        await mediaPipeline.release(file);
+      }
+    }
+  }
+
+  /**
+   * Re-hospedar o anexo de uma mensagem recebida do DigiSac
+   * Notas de voz são convertidas quando a conversão está habilitada.
+   * Em caso de falha, mantém o anexo original (mídias bloqueadas pelo
+   * mediaSecurity rejeitam com isSecurityError)
+   * @param {Object} attachment - Anexo no formato respond.io
+   * @param {Object} options - { serviceId, phoneNumber }
+   * @returns {Promise<Object>} - Anexo com URL assinada (e MIME type/nome
+   *   do arquivo convertido)
+   */
+  async resolveAttachment(attachment, { serviceId, phoneNumber }) {
+    const meta = {
+      mimeType: attachment.mimeType,
+      fileName: attachment.fileName,
+      serviceId,
+      phoneNumber,
+      transcode: mediaTranscoder.getInboundFormat(
+        serviceId,
+        attachment.mimeType
+      ),
+    };
+
+    try {
+      let id;
+      try {
+        id = await this.rehost(attachment.url, meta);
+      } catch (error) {
+        if (!meta.transcode || error.isSecurityError) {
+          throw error;
+        }
+        // Falha na conversão: re-hospedar o arquivo original
+        errorLog(
+          '❌ Falha ao converter áudio - re-hospedando arquivo original',
+          error.message
+        );
+        id = await this.rehost(attachment.url, { ...meta, transcode: null });
+      }
+
+      const entry = this.index.get(id);
+      return {
+        ...attachment,
+        url: this.buildUrl(id),
+        mimeType: entry.mimeType,
+        fileName: entry.fileName,
+      };
+    } catch (error) {
+      // Mídia bloqueada não pode seguir nem pela URL original
+      if (error.isSecurityError) {
+        throw error;
+      }
+
+      this.stats.failures++;
+      errorLog(
+        '❌ Falha ao re-hospedar mídia - usando URL original do DigiSac',
+        error.message
+      );
+      return attachment;
+    }
+  }
+
+  /**
+   * Abrir mídia armazenada para leitura
+   * @param {string} id - Hash do arquivo
+   * @returns {Promise<Object|null>} - { entry, stream, size } ou null
+   */
+  async open(id) {
+    const entry = this.index.get(id);
+    if (!entry) {
+      return null;
+    }
+
+    try {
+      const { stream, size } = await this.backend.open(id);
+      this.stats.served++;
+      return { entry, stream, size: size || entry.size };
+    } catch (error) {
+      errorLog('❌ Mídia indexada não encontrada no armazenamento', {
+        id,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Remover mídias não usadas dentro do prazo de expiração
+   * @returns {Promise<number>} - Quantidade de mídias removidas
+   */
+  async prune() {
+    const limit = Date.now() - MEDIA_TTL_MS;
+    const expired = this.index
+      .entries()
+      .filter(([, entry]) => (entry.lastUsedAt || entry.storedAt) < limit);
+
+    for (const [id] of expired) {
+      try {
+        await this.backend.remove(id);
+        this.index.delete(id);
+      } catch (error) {
+        errorLog('❌ Falha ao remover mídia expirada', {
+          id,
+          error: error.message,
+        });
+      }
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Obter estatísticas da re-hospedagem
+   * @returns {Object} - Estatísticas
+   */
+  getStats() {
+    return {
+      enabled: MEDIA_REHOST_ENABLED,
+      configured: this.isConfigured(),
+      backend: this.backendName,
+      files: this.index.size(),
+      ttlDays: MEDIA_REHOST_TTL_DAYS,
+      ...this.stats,
+    };
+  }
+}
+
+// Instância singleton da re-hospedagem de mídia
+const mediaStore = new MediaStore();
+
+module.exports = { MediaStore, mediaStore };
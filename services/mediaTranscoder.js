@@ -0,0 +1,279 @@
+/**
+ * Media Transcoder Service
+ * Conversão opcional de áudio com o ffmpeg instalado localmente:
+ * - inbound: notas de voz (OGG/Opus, AMR...) viram MP3, tocável no
+ *   respond.io e em qualquer navegador (exige a re-hospedagem de mídias,
+ *   pois o arquivo convertido precisa de uma URL)
+ * - outbound: áudios que não são OGG/Opus são convertidos para OGG/Opus e
+ *   chegam ao WhatsApp como mensagem de voz
+ *
+ * Habilitada com MEDIA_TRANSCODE_ENABLED=true (ou "media": { "transcode": true }
+ * por serviço no DIGISAC_SERVICES_CONFIG). Sem ffmpeg disponível, os arquivos
+ * seguem sem conversão.
+ */
+
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { alwaysLog, conditionalLog, errorLog } = require('../utils/logger');
+const { getServiceConfig } = require('../utils/serviceConfig');
+
+// Configurações da conversão
+const MEDIA_TRANSCODE_ENABLED = process.env.MEDIA_TRANSCODE_ENABLED === 'true';
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const MEDIA_TRANSCODE_TIMEOUT_MS = parseInt(
+  process.env.MEDIA_TRANSCODE_TIMEOUT_MS || '60000',
+  10
+);
+
+// Formatos de saída suportados
+const TRANSCODE_FORMATS = {
+  mp3: {
+    args: ['-vn', '-codec:a', 'libmp3lame', '-q:a', '4', '-f', 'mp3'],
+    mimeType: 'audio/mpeg',
+    extension: '.mp3',
+  },
+  'ogg-opus': {
+    args: [
+      '-vn',
+      '-codec:a',
+      'libopus',
+      '-b:a',
+      '32k',
+      '-ac',
+      '1',
+      '-ar',
+      '48000',
+      '-f',
+      'ogg',
+    ],
+    mimeType: 'audio/ogg',
+    extension: '.ogg',
+  },
+};
+
+// Áudios recebidos que não tocam em todos os navegadores
+const INBOUND_TRANSCODE_MIME_TYPES = [
+  'audio/ogg',
+  'audio/opus',
+  'audio/webm',
+  'audio/amr',
+];
+
+/**
+ * Conversor de áudio via ffmpeg
+ */
+class MediaTranscoder {
+  constructor() {
+    this.available = null;
+    this.probing = null;
+    this.stats = {
+      transcoded: 0,
+      failures: 0,
+    };
+  }
+
+  /**
+   * Verificar (uma vez, sem bloquear) se o ffmpeg está instalado
+   * Chamado na inicialização do servidor
+   * @returns {Promise<boolean>} - Se o ffmpeg responde
+   */
+  probe() {
+    if (!this.probing) {
+      this.probing = new Promise((resolve) => {
+        const child = spawn(FFMPEG_PATH, ['-version'], { stdio: 'ignore' });
+        const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+
+        child.on('error', () => {
+          clearTimeout(timer);
+          resolve(false);
+        });
+        child.on('close', (code) => {
+          clearTimeout(timer);
+          resolve(code === 0);
+        });
+      }).then((available) => {
+        this.available = available;
+
+        if (available) {
+          alwaysLog(
+            `🎛️ ffmpeg disponível para conversão de áudio (${FFMPEG_PATH})`
+          );
+        } else if (MEDIA_TRANSCODE_ENABLED) {
+          errorLog(
+            `⚠️ MEDIA_TRANSCODE_ENABLED sem ffmpeg disponível (${FFMPEG_PATH}) - áudios seguem sem conversão`
+          );
+        }
+        return available;
+      });
+    }
+
+    return this.probing;
+  }
+
+  /**
+   * Verificar se o ffmpeg está disponível (resultado do probe)
+   * Até o probe terminar, os arquivos seguem sem conversão
+   * @returns {boolean} - Se o ffmpeg responde
+   */
+  isAvailable() {
+    if (this.available === null) {
+      this.probe();
+    }
+    return this.available === true;
+  }
+
+  /**
+   * Verificar se um áudio é OGG/Opus (enviado como mensagem de voz)
+   * @param {string} mimeType - MIME type do arquivo
+   * @returns {boolean} - Se o áudio já está no formato de voz do WhatsApp
+   */
+  isVoiceNote(mimeType) {
+    const baseType = String(mimeType || '').split(';')[0];
+    return ['audio/ogg', 'audio/opus'].includes(baseType);
+  }
+
+  /**
+   * Verificar se a conversão está ativa para um serviço
+   * @param {string} serviceId - ID do serviço DigiSac
+   * @returns {boolean} - Se os áudios do serviço devem ser convertidos
+   */
+  isEnabled(serviceId) {
+    const config = getServiceConfig(serviceId, 'media');
+    const enabled =
+      typeof config.transcode === 'boolean'
+        ? config.transcode
+        : MEDIA_TRANSCODE_ENABLED;
+    return enabled && this.isAvailable();
+  }
+
+  /**
+   * Formato de conversão de um áudio recebido do DigiSac
+   * @param {string} serviceId - ID do serviço DigiSac
+   * @param {string} mimeType - MIME type do arquivo
+   * @returns {string|null} - Formato de saída ou null (sem conversão)
+   */
+  getInboundFormat(serviceId, mimeType) {
+    const baseType = String(mimeType || '').split(';')[0];
+    return INBOUND_TRANSCODE_MIME_TYPES.includes(baseType) &&
+      this.isEnabled(serviceId)
+      ? 'mp3'
+      : null;
+  }
+
+  /**
+   * Formato de conversão de um áudio enviado ao DigiSac
+   * @param {string} serviceId - ID do serviço DigiSac
+   * @param {string} mimeType - MIME type do arquivo
+   * @returns {string|null} - Formato de saída ou null (já é OGG/Opus)
+   */
+  getOutboundFormat(serviceId, mimeType) {
+    const baseType = String(mimeType || '').split(';')[0];
+    return baseType.startsWith('audio/') &&
+      !this.isVoiceNote(baseType) &&
+      this.isEnabled(serviceId)
+      ? 'ogg-opus'
+      : null;
+  }
+
+  /**
+   * Trocar a extensão do nome do arquivo pela do formato convertido
+   * @param {string} fileName - Nome original
+   * @param {string} format - Formato de saída
+   * @returns {string} - Nome com a nova extensão
+   */
+  renameFile(fileName, format) {
+    const base = String(fileName || 'audio').replace(/\.[^./]+$/, '');
+    return `${base}${TRANSCODE_FORMATS[format].extension}`;
+  }
+
+  /**
+   * Converter arquivo de áudio
+   * @param {string} inputPath - Arquivo de entrada
+   * @param {string} format - mp3 | ogg-opus
+   * @param {string} phoneNumber - Número (logs condicionais)
+   * @returns {Promise<Object>} - { path, size, mimeType }
+   */
+  async transcode(inputPath, format, phoneNumber) {
+    const target = TRANSCODE_FORMATS[format];
+    const outputPath = `${inputPath}${target.extension}`;
+    const startedAt = Date.now();
+
+    try {
+      await new Promise((resolve, reject) => {
+        const child = spawn(
+          FFMPEG_PATH,
+          [
+            '-hide_banner',
+            '-loglevel',
+            'error',
+            '-y',
+            '-i',
+            inputPath,
+            ...target.args,
+            outputPath,
+          ],
+          { stdio: ['ignore', 'ignore', 'pipe'] }
+        );
+        let stderr = '';
+        const timer = setTimeout(
+          () => child.kill('SIGKILL'),
+          MEDIA_TRANSCODE_TIMEOUT_MS
+        );
+
+        child.stderr.on('data', (chunk) => {
+          stderr = (stderr + chunk).slice(-500);
+        });
+        child.on('error', (error) => {
+          clearTimeout(timer);
+          reject(error);
+        });
+        child.on('close', (code, signal) => {
+          clearTimeout(timer);
+          if (code === 0) {
+            resolve();
+          } else {
+            reject(
+              new Error(
+                `ffmpeg terminou com ${
+                  signal ? `sinal ${signal}` : `código ${code}`
+                }: ${stderr.trim()}`
+              )
+            );
+          }
+        });
+      });
+
+      const { size } = await fs.promises.stat(outputPath);
+      this.stats.transcoded++;
+
+      conditionalLog(phoneNumber, '🎛️ Áudio convertido:', {
+        format,
+        size,
+        durationMs: Date.now() - startedAt,
+      });
+
+      return { path: outputPath, size, mimeType: target.mimeType };
+    } catch (error) {
+      this.stats.failures++;
+      await fs.promises.rm(outputPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Obter estatísticas da conversão
+   * @returns {Object} - Estatísticas
+   */
+  getStats() {
+    return {
+      enabled: MEDIA_TRANSCODE_ENABLED,
+      ffmpegAvailable: this.available,
+      ...this.stats,
+    };
+  }
+}
+
+// Instância singleton do conversor de áudio
+const mediaTranscoder = new MediaTranscoder();
+
+module.exports = { MediaTranscoder, mediaTranscoder, TRANSCODE_FORMATS };
@@ -0,0 +1,496 @@
+/**
+ * Outbound Queue Service
+ * Fila persistente para envio de mensagens respond.io → DigiSac
+ * As mensagens são aceitas imediatamente (mId devolvido ao respond.io) e
+ * entregues ao DigiSac em background; falhas definitivas vão para a dead-letter
+ */
+
+const { alwaysLog, conditionalLog, errorLog } = require('../utils/logger');
+const { FileStore } = require('../utils/fileStore');
+const { messageIdMap } = require('../utils/messageIdMap');
+const { messageStatusHistory } = require('../utils/messageStatusHistory');
+const { messageLedger } = require('../utils/messageLedger');
+const { interactiveMenus } = require('../utils/interactiveMenus');
+const retryManager = require('../utils/retryManager');
+const { digiSacApiService } = require('./digisac');
+const { respondIoApiService } = require('./respond');
+const { channelRouter } = require('./channelRouter');
+const { channelRegistry } = require('./channelRegistry');
+
+// Configurações da fila
+const QUEUE_POLL_INTERVAL_MS = parseInt(
+  process.env.OUTBOUND_QUEUE_POLL_MS || '2000',
+  10
+);
+const QUEUE_MAX_ATTEMPTS = parseInt(
+  process.env.OUTBOUND_QUEUE_MAX_ATTEMPTS || '10',
+  10
+);
+const QUEUE_RETRY_BASE_DELAY_MS = parseInt(
+  process.env.OUTBOUND_QUEUE_RETRY_BASE_MS || '5000',
+  10
+);
+const QUEUE_RETRY_MAX_DELAY_MS = parseInt(
+  process.env.OUTBOUND_QUEUE_RETRY_MAX_MS || '300000',
+  10
+);
+
+/**
+ * Fila de envio outbound com dead-letter
+ */
+class OutboundQueue {
+  constructor() {
+    this.jobs = new FileStore('outbound-queue.json');
+    this.deadLetters = new FileStore('dead-letter.json');
+    this.timer = null;
+    this.processing = false;
+    this.stats = {
+      enqueued: 0,
+      delivered: 0,
+      retried: 0,
+      deadLettered: 0,
+      replayed: 0,
+      attachmentFailures: 0,
+    };
+  }
+
+  /**
+   * Iniciar o worker de entrega em background
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    alwaysLog(
+      `📬 Fila outbound iniciada - ${this.jobs.size()} mensagem(ns) pendente(s)`
+    );
+    this.timer = setInterval(() => this.tick(), QUEUE_POLL_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  /**
+   * Parar o worker de entrega
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Adicionar mensagem à fila
+   * @param {Object} params - Dados do envio
+   * @param {string} params.channelId - custom_channel_id
+   * @param {string} params.channelDesc - Descrição do canal (vendedor)
+   * @param {string} params.phoneNumber - Número do contato
+   * @param {Object} params.messageData - Mensagem no formato respond.io
+   * @param {string} params.serviceId - ID do serviço DigiSac
+   * @param {string} params.userId - ID do usuário DigiSac
+   * @returns {Object} - Job criado (job.id é o mId devolvido ao respond.io)
+   */
+  enqueue({
+    channelId,
+    channelDesc,
+    phoneNumber,
+    messageData,
+    serviceId,
+    userId,
+  }) {
+    const now = Date.now();
+    const job = {
+      id: `out_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      channelId,
+      channelDesc: channelDesc || null,
+      phoneNumber,
+      messageData,
+      serviceId,
+      userId,
+      status: 'pending',
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now,
+      lastError: null,
+    };
+
+    this.jobs.set(job.id, job);
+    this.stats.enqueued++;
+
+    messageLedger.record({
+      direction: 'outbound',
+      channelId,
+      serviceId,
+      mId: job.id,
+      contactId: phoneNumber,
+      type: messageData.type,
+      createdAt: now,
+    });
+    messageStatusHistory.record(
+      channelId,
+      job.id,
+      { status: 'pending', at: now, source: 'queue' },
+      { contactId: phoneNumber, direction: 'outbound' }
+    );
+
+    conditionalLog(phoneNumber, `📥 [FILA] Mensagem enfileirada:`, {
+      jobId: job.id,
+      channelId,
+      type: messageData.type,
+    });
+
+    // Tentar entregar imediatamente sem esperar o próximo ciclo
+    setImmediate(() => this.tick());
+
+    return job;
+  }
+
+  /**
+   * Processar jobs pendentes cujo horário de tentativa já chegou
+   * Mantém a ordem de envio por contato: se um job do contato ainda está
+   * aguardando retry, os seguintes do mesmo contato também aguardam
+   */
+  async tick() {
+    if (this.processing) {
+      return;
+    }
+    this.processing = true;
+
+    try {
+      const now = Date.now();
+      const blockedContacts = new Set();
+      const pending = this.jobs
+        .values()
+        .sort((a, b) => a.createdAt - b.createdAt);
+
+      for (const job of pending) {
+        const contactKey = `${job.channelId}:${job.phoneNumber}`;
+
+        if (blockedContacts.has(contactKey)) {
+          continue;
+        }
+
+        if (job.nextAttemptAt > now) {
+          blockedContacts.add(contactKey);
+          continue;
+        }
+
+        const delivered = await this.deliver(job);
+        if (!delivered && this.jobs.has(job.id)) {
+          blockedContacts.add(contactKey);
+        }
+      }
+    } catch (error) {
+      errorLog('[FILA] Erro no processamento da fila', error.message);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Entregar um job ao DigiSac
+   * @param {Object} job - Job da fila
+   * @returns {Promise<boolean>} - Se a mensagem foi entregue
+   */
+  async deliver(job) {
+    job.attempts++;
+    job.lastAttemptAt = Date.now();
+
+    let failure;
+
+    try {
+      const digiSacMessage = digiSacApiService.createMessage(
+        job.phoneNumber,
+        job.messageData,
+        job.serviceId,
+        job.userId
+      );
+
+      // Resposta citada: traduzir o mId do respond.io para o ID DigiSac
+      const replyToMId =
+        job.messageData.replyTo?.mId || job.messageData.replyToMessageId;
+      if (replyToMId) {
+        const quotedLink = messageIdMap.getByRespondId(
+          job.channelId,
+          replyToMId
+        );
+        if (quotedLink) {
+          digiSacMessage.quotedMessageId = quotedLink.digisacId;
+        } else {
+          conditionalLog(
+            job.phoneNumber,
+            '⚠️ [FILA] Mensagem citada não encontrada no mapeamento de IDs',
+            { jobId: job.id, replyToMId }
+          );
+        }
+      }
+
+      // Processar anexo se existir
+      if (job.messageData.type === 'attachment' && job.messageData.attachment) {
+        await digiSacApiService.processAttachment(
+          digiSacMessage,
+          job.messageData.attachment,
+          job.phoneNumber
+        );
+      }
+
+      const result = await digiSacApiService.sendMessage(digiSacMessage);
+
+      if (result.success) {
+        this.jobs.delete(job.id);
+        this.stats.delivered++;
+
+        messageIdMap.link(job.channelId, result.data.message_id, job.id, {
+          direction: 'outbound',
+          contactId: job.phoneNumber,
+        });
+        // Aceita pelo DigiSac: enviada (os acks seguintes avançam o status)
+        messageStatusHistory.record(
+          job.channelId,
+          job.id,
+          { status: 'sent', source: 'queue' },
+          { digisacId: result.data.message_id }
+        );
+        messageLedger.record({
+          channelId: job.channelId,
+          mId: job.id,
+          forwardedAt: Date.now(),
+          durationMs: Date.now() - job.createdAt,
+        });
+
+        // Menu numerado: guardar opções para traduzir a resposta do contato
+        if (digiSacMessage.menuOptions) {
+          interactiveMenus.remember(
+            job.channelId,
+            job.phoneNumber,
+            digiSacMessage.menuOptions
+          );
+        }
+
+        channelRouter.recordReply(
+          job.serviceId,
+          job.phoneNumber,
+          job.channelId
+        );
+
+        alwaysLog(`✅ [FILA] Mensagem entregue ao DigiSac`, {
+          jobId: job.id,
+          digisacMessageId: result.data.message_id,
+          channelId: job.channelId,
+          vendedor: job.channelDesc,
+          tentativas: job.attempts,
+        });
+        return true;
+      }
+
+      failure = {
+        message: result.error.message,
+        code: result.error.code,
+        details: result.error.details,
+        retryable: retryManager.isRetryableStatus(result.error.code),
+      };
+    } catch (error) {
+      failure = error.isAttachmentError
+        ? {
+            message: error.message,
+            code: error.code,
+            details: error.details,
+            retryable: error.retryable,
+          }
+        : {
+            message: error.message,
+            code: null,
+            details: null,
+            retryable: retryManager.isRetryableError(error),
+          };
+    }
+
+    job.lastError = { ...failure, at: Date.now() };
+
+    if (failure.retryable && job.attempts < QUEUE_MAX_ATTEMPTS) {
+      const delay = retryManager.getRetryDelay(
+        job.attempts,
+        QUEUE_RETRY_BASE_DELAY_MS,
+        QUEUE_RETRY_MAX_DELAY_MS
+      );
+      job.nextAttemptAt = Date.now() + delay;
+      this.jobs.set(job.id, job);
+      this.stats.retried++;
+
+      errorLog(`[FILA] Falha ao entregar, nova tentativa em ${delay}ms`, {
+        jobId: job.id,
+        tentativa: job.attempts,
+        erro: failure.message,
+      });
+      return false;
+    }
+
+    this.moveToDeadLetter(job);
+
+    // Anexo inválido ou indisponível (o code das falhas da API DigiSac é o
+    // status HTTP, numérico)
+    if (typeof failure.code === 'string' && failure.code.startsWith('MEDIA_')) {
+      this.stats.attachmentFailures++;
+    }
+
+    // O agente vê a mensagem como falha no respond.io; um erro no aviso não
+    // interrompe o processamento dos demais jobs
+    try {
+      await this.reportFailure(job);
+    } catch (error) {
+      errorLog('[FILA] Erro ao informar a falha ao respond.io', {
+        jobId: job.id,
+        channelId: job.channelId,
+        error: error.message,
+      });
+    }
+    return false;
+  }
+
+  /**
+   * Informar ao respond.io que a mensagem falhou (status failed com o motivo)
+   * @param {Object} job - Job na dead-letter
+   */
+  async reportFailure(job) {
+    const channel = await channelRegistry.getByChannelId(job.channelId);
+    if (!channel) {
+      errorLog('[FILA] Canal não encontrado para informar a falha', {
+        jobId: job.id,
+        channelId: job.channelId,
+      });
+      return;
+    }
+
+    const result = await respondIoApiService.sendMessageStatus(
+      { channelId: job.channelId, token: channel.custom_channel_token },
+      job.id,
+      job.phoneNumber,
+      'failed',
+      Date.now(),
+      job.lastError.message
+    );
+
+    job.failureReportedAt = result.success ? Date.now() : null;
+    this.deadLetters.set(job.id, job);
+  }
+
+  /**
+   * Mover job para a dead-letter
+   * @param {Object} job - Job que falhou definitivamente
+   */
+  moveToDeadLetter(job) {
+    job.status = 'dead';
+    job.deadAt = Date.now();
+    this.deadLetters.set(job.id, job);
+    this.jobs.delete(job.id);
+    this.stats.deadLettered++;
+
+    messageStatusHistory.record(job.channelId, job.id, {
+      status: 'failed',
+      error: job.lastError?.message,
+      at: job.deadAt,
+      source: 'queue',
+    });
+
+    errorLog('[FILA] Mensagem movida para dead-letter', {
+      jobId: job.id,
+      channelId: job.channelId,
+      tentativas: job.attempts,
+      erro: job.lastError?.message,
+    });
+  }
+
+  /**
+   * Listar jobs pendentes
+   * @returns {Array} - Jobs pendentes
+   */
+  listPending() {
+    return this.jobs.values().sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Listar mensagens na dead-letter
+   * @returns {Array} - Jobs na dead-letter
+   */
+  listDeadLetters() {
+    return this.deadLetters.values().sort((a, b) => b.deadAt - a.deadAt);
+  }
+
+  /**
+   * Obter mensagem da dead-letter
+   * @param {string} id - ID do job
+   * @returns {Object|null} - Job ou null
+   */
+  getDeadLetter(id) {
+    return this.deadLetters.get(id);
+  }
+
+  /**
+   * Reenfileirar mensagem da dead-letter (mantém o mesmo mId)
+   * @param {string} id - ID do job
+   * @returns {Object|null} - Job reenfileirado ou null se não encontrado
+   */
+  replayDeadLetter(id) {
+    const job = this.deadLetters.get(id);
+    if (!job) {
+      return null;
+    }
+
+    const replayed = {
+      ...job,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      replayedAt: Date.now(),
+    };
+    delete replayed.deadAt;
+
+    this.jobs.set(id, replayed);
+    this.deadLetters.delete(id);
+    this.stats.replayed++;
+
+    messageStatusHistory.record(
+      job.channelId,
+      id,
+      { status: 'pending', at: replayed.replayedAt, source: 'queue' },
+      {},
+      { restart: true }
+    );
+
+    alwaysLog(`🔁 [FILA] Mensagem reenfileirada a partir da dead-letter`, {
+      jobId: id,
+      channelId: job.channelId,
+    });
+
+    setImmediate(() => this.tick());
+    return replayed;
+  }
+
+  /**
+   * Remover mensagem da dead-letter
+   * @param {string} id - ID do job
+   * @returns {boolean} - Se foi removida
+   */
+  deleteDeadLetter(id) {
+    return this.deadLetters.delete(id);
+  }
+
+  /**
+   * Obter estatísticas da fila
+   * @returns {Object} - Estatísticas
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pending: this.jobs.size(),
+      deadLetter: this.deadLetters.size(),
+      running: !!this.timer,
+      maxAttempts: QUEUE_MAX_ATTEMPTS,
+    };
+  }
+}
+
+// Instância singleton da fila
+const outboundQueue = new OutboundQueue();
+
+module.exports = { OutboundQueue, outboundQueue };
@@ -10,7 +10,12 @@ const { conditionalLog, errorLog } = require('../utils/logger');
 const {
   formatContactForRespondIo,
   formatMessageForRespondIo,
+  formatStatusForRespondIo,
+  parseDigiSacLocation,
+  formatLocationText,
 } = require('../utils/formatters');
+const { parseVCard, formatVCardText } = require('../utils/vcard');
+const { parseInteractiveReply } = require('../utils/interactiveMenus');
 
 /**
  * Respond.io custom channel API Token
@@ -212,6 +217,124 @@ class RespondIoApiService {
     }
   }
 
+  /**
+   * Enviar status de mensagem (sent, delivered, read, failed) para o respond.io
+   * usando o token específico do canal
+   * @param {Object} channel - Canal ({ channelId, token })
+   * @param {string} mId - ID da mensagem no respond.io
+   * @param {string} contactId - Número do contato
+   * @param {string} status - sent | delivered | read | failed
+   * @param {number} timestamp - Timestamp do status
+   * @param {string} errorMessage - Motivo da falha (opcional)
+   * @returns {Promise<Object>} - Resposta da API
+   */
+  async sendMessageStatus(
+    channel,
+    mId,
+    contactId,
+    status,
+    timestamp,
+    errorMessage = null
+  ) {
+    try {
+      const webhookData = formatStatusForRespondIo(
+        channel.channelId,
+        contactId,
+        mId,
+        status,
+        timestamp,
+        errorMessage
+      );
+
+      conditionalLog(contactId, '📬 Enviando status para respond.io:', {
+        channelId: channel.channelId,
+        mId,
+        status,
+      });
+
+      const response = await this.http.post('', webhookData, {
+        headers: { authorization: `Bearer ${channel.token}` },
+      });
+
+      return {
+        success: true,
+        status: response.status,
+        data: response.data,
+      };
+    } catch (error) {
+      errorLog('❌ Erro ao enviar status para Respond.io:', error.message);
+
+      return {
+        success: false,
+        error: {
+          message: error.message,
+          status: error.response?.status,
+          data: error.response?.data,
+        },
+      };
+    }
+  }
+
+  /**
+   * Enviar anotação (reação, edição ou exclusão) para o respond.io usando o
+   * token específico do canal, citando a mensagem original
+   * @param {Object} channel - Canal ({ channelId, token })
+   * @param {string} contactId - Número do contato
+   * @param {string} mId - ID da anotação no respond.io
+   * @param {string} replyToMId - mId da mensagem original
+   * @param {string} text - Texto da anotação
+   * @param {number} timestamp - Timestamp do evento
+   * @param {boolean} isFromMe - Se o evento é do agente (message_echo)
+   * @returns {Promise<Object>} - Resposta da API
+   */
+  async sendMessageAnnotation(
+    channel,
+    contactId,
+    mId,
+    replyToMId,
+    text,
+    timestamp,
+    isFromMe = false
+  ) {
+    try {
+      const webhookData = formatMessageForRespondIo(
+        { type: 'text', text, replyTo: { mId: replyToMId } },
+        mId,
+        contactId,
+        timestamp,
+        isFromMe
+      );
+      webhookData.channelId = channel.channelId;
+
+      conditionalLog(contactId, '📝 Enviando anotação para respond.io:', {
+        channelId: channel.channelId,
+        mId,
+        replyToMId,
+      });
+
+      const response = await this.http.post('', webhookData, {
+        headers: { authorization: `Bearer ${channel.token}` },
+      });
+
+      return {
+        success: true,
+        status: response.status,
+        data: response.data,
+      };
+    } catch (error) {
+      errorLog('❌ Erro ao enviar anotação para Respond.io:', error.message);
+
+      return {
+        success: false,
+        error: {
+          message: error.message,
+          status: error.response?.status,
+          data: error.response?.data,
+        },
+      };
+    }
+  }
+
   /**
    * Validar autenticação de uma requisição
    * @param {Object} req - Request object
@@ -269,6 +392,24 @@ class RespondIoApiService {
     };
   }
 
+  /**
+   * Extrair contatos (vCard) de uma mensagem do DigiSac
+   * @param {Object} messageData - Dados da mensagem do DigiSac
+   * @returns {Array} - Contatos { name, phones, emails, organization }
+   */
+  extractDigiSacContacts(messageData) {
+    const vcards = Array.isArray(messageData.data?.vcards)
+      ? messageData.data.vcards
+      : [
+          messageData.data?.vcard ||
+            messageData.vcard ||
+            messageData.text ||
+            messageData.body,
+        ];
+
+    return vcards.flatMap((vcard) => parseVCard(vcard));
+  }
+
   /**
    * Processar dados de mensagem recebida do DigiSac
    * @param {Object} messageData - Dados da mensagem do DigiSac
@@ -279,6 +420,8 @@ class RespondIoApiService {
   processDigiSacMessage(messageData, messageType, phoneNumber) {
     let messageBody = '';
     let processedMessage = null;
+    // Demais arquivos de um álbum (o primeiro vai em processedMessage)
+    let albumMessages = [];
 
     // Ignorar mensagens do tipo "ticket"
     if (messageType === 'ticket') {
@@ -294,8 +437,21 @@ class RespondIoApiService {
       };
     }
 
-    // Para mensagens do tipo 'chat', o texto está diretamente no campo 'text'
-    if (messageType === 'chat' || messageType === 'text') {
+    // Resposta a botões/lista interativos vira postback com a opção escolhida
+    const interactiveReply = parseInteractiveReply(messageData);
+
+    if (interactiveReply) {
+      messageBody = interactiveReply.title;
+      processedMessage = {
+        type: 'text',
+        text: interactiveReply.title,
+        postback: {
+          payload: interactiveReply.id,
+          title: interactiveReply.title,
+        },
+      };
+    } else if (messageType === 'chat' || messageType === 'text') {
+      // Para mensagens do tipo 'chat', o texto está diretamente no campo 'text'
       messageBody =
         messageData.text ||
         messageData.body ||
@@ -308,21 +464,40 @@ class RespondIoApiService {
         text: messageBody,
       };
     } else {
+      const location =
+        messageType === 'location' ? parseDigiSacLocation(messageData) : null;
+      const contacts = ['contact', 'vcard', 'multi_vcard'].includes(messageType)
+        ? this.extractDigiSacContacts(messageData)
+        : [];
+
       // Para tipos de mídia, sempre tentar processar como attachment
       if (
-        ['image', 'audio', 'ptt', 'document', 'video'].includes(messageType)
+        [
+          'image',
+          'audio',
+          'ptt',
+          'document',
+          'video',
+          'sticker',
+          'gif',
+        ].includes(messageType)
       ) {
         conditionalLog(phoneNumber, '📎 Processando mídia do DigiSac');
 
         // Importar o serviço do DigiSac para processar arquivos
         const { digiSacApiService } = require('./digisac');
-        processedMessage = digiSacApiService.processDigiSacFile(
+        const fileMessages = digiSacApiService.processDigiSacFiles(
           messageData,
           phoneNumber
         );
+        processedMessage = fileMessages[0] || null;
+        albumMessages = fileMessages.slice(1);
 
         if (processedMessage) {
           messageBody = `📎 ${processedMessage.attachment.fileName}`;
+          if (albumMessages.length > 0) {
+            messageBody += ` (+${albumMessages.length} arquivo(s))`;
+          }
         } else {
           // Fallback se não conseguir processar
           switch (messageType) {
@@ -340,27 +515,54 @@ class RespondIoApiService {
               messageBody =
                 '🎥 Vídeo: abrir no digisac ou no whatsapp para ver o vídeo';
               break;
+            case 'sticker':
+              messageBody = '😀 Sticker';
+              break;
+            case 'gif':
+              messageBody = '🎞️ GIF';
+              break;
             default:
               messageBody = `📎 Mídia (${messageType})`;
           }
 
+          // Manter a legenda do contato junto do texto de fallback
+          const caption = digiSacApiService.getMediaCaption(messageData);
+          if (caption) {
+            messageBody = `${messageBody}\n${caption}`;
+          }
+
           processedMessage = {
             type: 'text',
             text: messageBody,
           };
         }
+      } else if (location) {
+        // Localização com coordenadas vira mensagem de localização do respond.io
+        messageBody = formatLocationText(location);
+        processedMessage = {
+          type: 'location',
+          latitude: location.latitude,
+          longitude: location.longitude,
+          address: location.address,
+        };
+      } else if (contacts.length > 0) {
+        // Cartão de contato (vCard) vira texto legível com nome, telefones e e-mails
+        messageBody = formatVCardText(contacts);
+        processedMessage = {
+          type: 'text',
+          text: messageBody,
+        };
       } else {
-        // Para outros tipos (location, contact, sticker), usar texto
+        // Para outros tipos (location sem coordenadas, contact sem vCard), usar texto
         switch (messageType) {
           case 'location':
             messageBody = '📍 Localização';
             break;
           case 'contact':
+          case 'vcard':
+          case 'multi_vcard':
             messageBody = '👤 Contato';
             break;
-          case 'sticker':
-            messageBody = '😀 Sticker';
-            break;
           default:
             messageBody = `📎 Mídia (${messageType})`;
         }
@@ -378,6 +580,7 @@ class RespondIoApiService {
     return {
       messageBody,
       processedMessage,
+      albumMessages,
     };
   }
 }
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  setupTestEnv,
+  createChannel,
+  request,
+  createApp,
+} = require('./helpers/testEnv');
+
+setupTestEnv('admin-test', {
+  env: { ADMIN_API_TOKEN: 'admin_token' },
+  channels: {
+    canal_1: createChannel('canal_1', {
+      custom_channel_token: 'token_secreto_1234',
+    }),
+  },
+});
+
+const app = createApp();
+
+/**
+ * Consultar rota administrativa autenticada
+ * @param {string} route - Caminho a partir de /admin
+ * @returns {Promise<Object>} - Corpo da resposta
+ */
+async function getAdmin(route) {
+  const response = await request(app, {
+    path: `/admin${route}`,
+    headers: { authorization: 'Bearer admin_token' },
+  });
+  return response.body;
+}
+
+test('detalhe do canal não expõe o token', async () => {
+  const channel = await getAdmin('/channels/canal_1');
+
+  assert.strictEqual(channel.custom_channel_id, 'canal_1');
+  assert.strictEqual(channel.custom_channel_token, '***1234');
+});
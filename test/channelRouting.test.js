@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  setupTestEnv,
+  createChannel,
+  queueJob,
+  mockHttp,
+  request,
+  createApp,
+} = require('./helpers/testEnv');
+
+/**
+ * Criar par de canais (vendedores a e b) de um serviço
+ * @param {string} serviceId - ID do serviço DigiSac
+ * @returns {Object} - Canais por custom_channel_id
+ */
+function sellerChannels(serviceId) {
+  return Object.fromEntries(
+    ['a', 'b'].map((seller) => [
+      `${serviceId}_${seller}`,
+      createChannel(`${serviceId}_${seller}`, {
+        digisac_service_id: serviceId,
+        digisac_user_id: `usuario_${seller}`,
+      }),
+    ])
+  );
+}
+
+const dataDir = setupTestEnv('routing-test', {
+  channels: {
+    ...sellerChannels('srv_fanout'),
+    ...sellerChannels('srv_user'),
+    ...sellerChannels('srv_sticky'),
+    ...sellerChannels('srv_default'),
+  },
+});
+
+const servicesConfig = path.join(dataDir, 'services.json');
+fs.writeFileSync(
+  servicesConfig,
+  JSON.stringify({
+    services: {
+      srv_user: { routing: { mode: 'user', fallback: 'none' } },
+      srv_sticky: {
+        routing: { mode: 'sticky', defaultChannelId: 'srv_sticky_a' },
+      },
+      srv_default: {
+        routing: { mode: 'default', defaultChannelId: 'srv_default_b' },
+      },
+    },
+  })
+);
+process.env.DIGISAC_SERVICES_CONFIG = servicesConfig;
+
+mockHttp();
+
+const { outboundQueue } = require('../services/outboundQueue');
+
+const app = createApp();
+let sequence = 0;
+
+/**
+ * Enviar mensagem recebida pelo webhook e obter a decisão do roteamento
+ * @param {string} serviceId - service_id do payload
+ * @param {Object} fields - Campos extras da mensagem (user_id, number...)
+ * @returns {Promise<Object>} - data.routing da resposta
+ */
+async function routeMessage(serviceId, fields = {}) {
+  const response = await request(app, {
+    method: 'POST',
+    path: '/digisac/webhook',
+    body: {
+      event: 'message.created',
+      data: {
+        id: `dg_rota_${++sequence}`,
+        type: 'chat',
+        text: 'olá',
+        number: '5511999999999',
+        service_id: serviceId,
+        ...fields,
+      },
+    },
+  });
+  // Mensagem ignorada pelo roteamento responde a decisão fora de data
+  return response.body.data?.routing || response.body.routing;
+}
+
+test('fanout entrega a todos os canais do serviço', async () => {
+  const routing = await routeMessage('srv_fanout');
+  assert.deepStrictEqual(routing.channelIds, ['srv_fanout_a', 'srv_fanout_b']);
+  assert.strictEqual(routing.fallback, false);
+});
+
+test('modo user entrega ao canal do vendedor do ticket', async () => {
+  const routing = await routeMessage('srv_user', { user_id: 'usuario_b' });
+  assert.deepStrictEqual(routing.channelIds, ['srv_user_b']);
+
+  // Sem vendedor no ticket e fallback "none": mensagem ignorada
+  const unassigned = await routeMessage('srv_user');
+  assert.strictEqual(unassigned.matchedBy, 'none');
+  assert.deepStrictEqual(unassigned.channelIds, []);
+});
+
+test('modo sticky segue o último canal que respondeu ao contato', async () => {
+  const first = await routeMessage('srv_sticky');
+  assert.strictEqual(first.matchedBy, 'default');
+  assert.deepStrictEqual(first.channelIds, ['srv_sticky_a']);
+
+  const job = queueJob('out_sticky', {
+    channelId: 'srv_sticky_b',
+    serviceId: 'srv_sticky',
+    phoneNumber: '5511999999999',
+  });
+  assert.strictEqual(await outboundQueue.deliver(job), true);
+
+  const reply = await routeMessage('srv_sticky');
+  assert.strictEqual(reply.matchedBy, 'sticky');
+  assert.deepStrictEqual(reply.channelIds, ['srv_sticky_b']);
+});
+
+test('modo default entrega sempre ao canal padrão', async () => {
+  const routing = await routeMessage('srv_default', { user_id: 'usuario_a' });
+  assert.deepStrictEqual(routing.channelIds, ['srv_default_b']);
+});
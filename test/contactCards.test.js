@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  setupTestEnv,
+  createChannel,
+  mockHttp,
+  respondEvents,
+  request,
+  sendOutbound,
+  createApp,
+} = require('./helpers/testEnv');
+
+const dataDir = setupTestEnv('vcard-test', {
+  channels: {
+    canal_1: createChannel('canal_1'),
+    canal_texto: createChannel('canal_texto', {
+      digisac_service_id: 'srv_texto',
+    }),
+  },
+});
+
+const servicesConfig = path.join(dataDir, 'services.json');
+fs.writeFileSync(
+  servicesConfig,
+  JSON.stringify({
+    services: { srv_texto: { outbound: { contact: 'text' } } },
+  })
+);
+process.env.DIGISAC_SERVICES_CONFIG = servicesConfig;
+
+const requests = mockHttp();
+
+const app = createApp();
+
+/**
+ * Payload enviado ao DigiSac mais recente
+ * @returns {Object} - Corpo do POST /messages
+ */
+function lastDigiSacPayload() {
+  return requests.filter((item) => item.url.endsWith('/messages')).pop().data;
+}
+
+test('cartão de contato recebido chega ao respond.io como texto legível', async () => {
+  await request(app, {
+    method: 'POST',
+    path: '/digisac/webhook',
+    body: {
+      event: 'message.created',
+      data: {
+        id: 'dg_contato',
+        type: 'vcard',
+        number: '5511999999999',
+        service_id: 'servico_1',
+        text: [
+          'BEGIN:VCARD',
+          'VERSION:3.0',
+          'FN:Maria Souza',
+          'ORG:Loja Centro;',
+          'item1.TEL;waid=5511977776666:+55 11 97777-6666',
+          'EMAIL:maria@example.com',
+          'END:VCARD',
+        ].join('\n'),
+      },
+    },
+  });
+
+  const { message } = respondEvents(requests).find(
+    (event) => event.mId === 'dg_contato'
+  );
+  assert.deepStrictEqual(message, {
+    type: 'text',
+    text: [
+      '👤 Contato: Maria Souza',
+      '🏢 Loja Centro',
+      '📞 +5511977776666',
+      '✉️ maria@example.com',
+    ].join('\n'),
+  });
+});
+
+test('contato enviado pelo respond.io vira vCard ou texto conforme o serviço', async () => {
+  const contact = {
+    type: 'contact',
+    contact: {
+      firstName: 'João',
+      lastName: 'Lima',
+      phone: '+55 11 95555-4444',
+    },
+  };
+
+  assert.strictEqual((await sendOutbound(app, 'canal_1', contact)).status, 200);
+  const native = lastDigiSacPayload();
+  assert.strictEqual(native.type, 'vcard');
+  assert.match(native.vcard, /^FN:João Lima$/m);
+  assert.match(native.vcard, /^TEL;type=CELL;waid=5511955554444:/m);
+
+  await sendOutbound(app, 'canal_texto', contact);
+  assert.strictEqual(
+    lastDigiSacPayload().text,
+    '👤 Contato: João Lima\n📞 +55 11 95555-4444'
+  );
+
+  // Contato sem telefone é recusado antes de enfileirar
+  const invalid = await sendOutbound(app, 'canal_1', {
+    type: 'contact',
+    contact: { name: 'Sem número' },
+  });
+  assert.strictEqual(invalid.status, 400);
+});
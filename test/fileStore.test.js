@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { setupTestEnv } = require('./helpers/testEnv');
+
+setupTestEnv('store-test');
+
+const { FileStore } = require('../utils/fileStore');
+const { messageIdMap } = require('../utils/messageIdMap');
+const {
+  messageStatusHistory,
+  MessageStatusHistory,
+} = require('../utils/messageStatusHistory');
+
+test('alterações seguidas são agrupadas em uma única gravação', async (t) => {
+  const store = new FileStore('batch.json');
+  const writeFile = t.mock.method(fs.promises, 'writeFile');
+
+  for (let i = 0; i < 50; i++) {
+    store.set(`k${i}`, { i });
+  }
+  assert.strictEqual(fs.existsSync(store.filePath), false);
+
+  await store.flush();
+  assert.strictEqual(writeFile.mock.callCount(), 1);
+  assert.strictEqual(new FileStore('batch.json').size(), 50);
+});
+
+test('flushSync grava as alterações pendentes no encerramento', () => {
+  const store = new FileStore('exit.json');
+  store.set('a', 1);
+  store.flushSync();
+
+  assert.strictEqual(new FileStore('exit.json').get('a'), 1);
+});
+
+test('mapeamento de IDs encontra a mensagem pelo mId (inclusive após novo vínculo)', () => {
+  messageIdMap.link('canal_1', 'dg_1', 'out_1', { direction: 'outbound' });
+  assert.strictEqual(
+    messageIdMap.getByRespondId('canal_1', 'out_1').digisacId,
+    'dg_1'
+  );
+  assert.strictEqual(messageIdMap.getByRespondId('canal_2', 'out_1'), null);
+
+  messageIdMap.link('canal_1', 'dg_1', 'out_2', { direction: 'outbound' });
+  assert.strictEqual(messageIdMap.getByRespondId('canal_1', 'out_1'), null);
+  assert.strictEqual(
+    messageIdMap.getByRespondId('canal_1', 'out_2').digisacId,
+    'dg_1'
+  );
+});
+
+test('histórico de status encontra a mensagem pelo ID do DigiSac', () => {
+  messageStatusHistory.record(
+    'canal_1',
+    'out_3',
+    { status: 'pending', source: 'queue' },
+    { direction: 'outbound' }
+  );
+  assert.strictEqual(
+    messageStatusHistory.getByDigiSacId('canal_1', 'dg_3'),
+    null
+  );
+
+  messageStatusHistory.record(
+    'canal_1',
+    'out_3',
+    { status: 'sent', ack: 1, source: 'digisac' },
+    { digisacId: 'dg_3' }
+  );
+  assert.strictEqual(
+    messageStatusHistory.getByDigiSacId('canal_1', 'dg_3').mId,
+    'out_3'
+  );
+  assert.strictEqual(
+    messageStatusHistory.getByDigiSacId('canal_2', 'dg_3'),
+    null
+  );
+
+  // Índice reconstruído a partir do arquivo na inicialização
+  messageStatusHistory.store.flushSync();
+  assert.strictEqual(
+    new MessageStatusHistory().getByDigiSacId('canal_1', 'dg_3').mId,
+    'out_3'
+  );
+});
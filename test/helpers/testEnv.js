@@ -0,0 +1,260 @@
+/**
+ * Ambiente compartilhado dos testes
+ * Diretório de dados temporário, canais locais, chamadas HTTP de saída
+ * simuladas (axios) e requisições às rotas do Express sem keep-alive
+ */
+
+const { after } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { Readable } = require('stream');
+
+/**
+ * Preparar o ambiente antes de carregar os módulos da aplicação
+ * (os módulos leem as variáveis de ambiente ao serem carregados)
+ * @param {string} prefix - Prefixo do diretório de dados temporário
+ * @param {Object} options - { env (variáveis extras), channels (canais
+ *   locais por custom_channel_id) }
+ * @returns {string} - Diretório de dados (DATA_DIR)
+ */
+function setupTestEnv(prefix, { env = {}, channels } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+
+  process.env.DATA_DIR = dataDir;
+  process.env.MEDIA_TMP_DIR = dataDir;
+  process.env.LOG_LEVEL = 'error';
+  Object.assign(process.env, env);
+
+  if (channels) {
+    process.env.CHANNEL_REGISTRY_MODE = 'local';
+    fs.writeFileSync(
+      path.join(dataDir, 'channels.json'),
+      JSON.stringify(channels)
+    );
+  }
+
+  // Logs da aplicação no stdout se misturam ao relatório do test runner
+  // (TEST_VERBOSE=true mantém os logs)
+  if (process.env.TEST_VERBOSE !== 'true') {
+    console.log = () => {};
+    console.info = () => {};
+  }
+
+  // Timers de expiração do cache mantêm o processo vivo
+  after(() => require('../../utils/cache').cache.clear());
+
+  return dataDir;
+}
+
+/**
+ * Criar canal local de teste
+ * @param {string} id - custom_channel_id
+ * @param {Object} fields - Campos extras ou substituídos
+ * @returns {Object} - Canal no formato do registro
+ */
+function createChannel(id, fields = {}) {
+  return {
+    custom_channel_id: id,
+    custom_channel_token: `token_${id}`,
+    digisac_service_id: 'servico_1',
+    digisac_user_id: 'usuario_1',
+    desc: `Vendedor ${id}`,
+    source: 'local',
+    ...fields,
+  };
+}
+
+/**
+ * Criar job pendente na fila outbound sem disparar o worker
+ * @param {string} id - ID do job (mId do respond.io)
+ * @param {Object} fields - Campos extras ou substituídos
+ * @returns {Object} - Job
+ */
+function queueJob(id, fields = {}) {
+  const { outboundQueue } = require('../../services/outboundQueue');
+  const job = {
+    id,
+    channelId: 'canal_1',
+    phoneNumber: '5511999999999',
+    messageData: { type: 'text', text: 'oi' },
+    serviceId: 'servico_1',
+    userId: 'usuario_1',
+    status: 'pending',
+    attempts: 0,
+    createdAt: Date.now(),
+    nextAttemptAt: Date.now(),
+    lastError: null,
+    ...fields,
+  };
+  outboundQueue.jobs.set(id, job);
+  return job;
+}
+
+/**
+ * Simular as chamadas HTTP de saída (axios) sem acessar a rede
+ * O handler pode responder uma requisição (objeto parcial da resposta);
+ * sem resposta, a chamada é registrada e respondida com 200 e corpo vazio
+ * @param {Function} handler - (config) => resposta | null (opcional)
+ * @returns {Array} - Requisições registradas ({ method, url, data })
+ */
+function mockHttp(handler = () => null) {
+  const axios = require('axios');
+  const requests = [];
+
+  axios.defaults.adapter = async (config) => {
+    const response = await handler(config);
+    if (response) {
+      return {
+        data: {},
+        status: 200,
+        statusText: 'OK',
+        headers: {},
+        config,
+        ...response,
+      };
+    }
+
+    let data = config.data || null;
+    try {
+      data = JSON.parse(data);
+    } catch {
+      // Corpo não JSON (multipart) fica como recebido
+    }
+    requests.push({ method: config.method, url: config.url, data });
+    return { data: {}, status: 200, statusText: 'OK', headers: {}, config };
+  };
+
+  return requests;
+}
+
+/**
+ * Resposta de download de arquivo (stream, como nos downloads de mídia)
+ * @param {Buffer} body - Conteúdo do arquivo
+ * @param {string} mimeType - Content-Type da resposta
+ * @returns {Object} - Resposta parcial para o mockHttp
+ */
+function fileResponse(body, mimeType) {
+  return {
+    data: Readable.from([body]),
+    headers: { 'content-type': mimeType },
+  };
+}
+
+/**
+ * Eventos enviados ao respond.io nas requisições registradas
+ * @param {Array} requests - Requisições do mockHttp
+ * @returns {Array} - Eventos (type, mId, message, status...)
+ */
+function respondEvents(requests) {
+  return requests.flatMap((request) => request.data?.events || []);
+}
+
+/**
+ * Fazer requisição a um app Express em porta efêmera
+ * @param {Object} app - App Express
+ * @param {Object} options - { method, path, body, headers }
+ * @returns {Promise<Object>} - { status, body }
+ */
+function request(app, { method = 'GET', path: route, body, headers = {} }) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, () => {
+      const payload = body === undefined ? null : JSON.stringify(body);
+      const req = http.request(
+        {
+          port: server.address().port,
+          method,
+          agent: false,
+          path: route,
+          headers: payload
+            ? { 'content-type': 'application/json', ...headers }
+            : headers,
+        },
+        (res) => {
+          let data = '';
+          res.on('data', (chunk) => (data += chunk));
+          res.on('end', () => {
+            server.close();
+            let parsed = data;
+            try {
+              parsed = JSON.parse(data);
+            } catch {
+              // Resposta não JSON fica como texto
+            }
+            resolve({ status: res.statusCode, body: parsed });
+          });
+        }
+      );
+      req.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      req.end(payload);
+    });
+  });
+}
+
+/**
+ * Enviar mensagem do respond.io por um canal e aguardar a entrega da fila
+ * @param {Object} app - App Express
+ * @param {string} channelId - custom_channel_id (token token_<id>)
+ * @param {Object} message - Mensagem do respond.io
+ * @param {string} contactId - Número do contato
+ * @returns {Promise<Object>} - Resposta da rota { status, body }
+ */
+async function sendOutbound(
+  app,
+  channelId,
+  message,
+  contactId = '5511999999999'
+) {
+  const { outboundQueue } = require('../../services/outboundQueue');
+  const response = await request(app, {
+    method: 'POST',
+    path: `/${channelId}/message`,
+    headers: { authorization: `Bearer token_${channelId}` },
+    body: { contactId, message },
+  });
+
+  // Entrega disparada pelo enfileiramento em andamento: aguardar e processar
+  // o que restar
+  while (outboundQueue.processing) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  await outboundQueue.tick();
+
+  return response;
+}
+
+/**
+ * Criar app Express com as rotas da aplicação (como no server.js)
+ * @returns {Object} - App Express
+ */
+function createApp() {
+  const express = require('express');
+  const routes = require('../../routes');
+
+  const app = express();
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+  app.use('/', routes);
+  return app;
+}
+
+module.exports = {
+  setupTestEnv,
+  createChannel,
+  queueJob,
+  mockHttp,
+  fileResponse,
+  respondEvents,
+  request,
+  sendOutbound,
+  createApp,
+};
@@ -0,0 +1,132 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  setupTestEnv,
+  createChannel,
+  mockHttp,
+  respondEvents,
+  request,
+  sendOutbound,
+  createApp,
+} = require('./helpers/testEnv');
+
+const dataDir = setupTestEnv('interactive-test', {
+  channels: {
+    canal_1: createChannel('canal_1'),
+    canal_nativo: createChannel('canal_nativo', {
+      digisac_service_id: 'srv_nativo',
+    }),
+  },
+});
+
+const servicesConfig = path.join(dataDir, 'services.json');
+fs.writeFileSync(
+  servicesConfig,
+  JSON.stringify({
+    services: { srv_nativo: { outbound: { interactive: 'native' } } },
+  })
+);
+process.env.DIGISAC_SERVICES_CONFIG = servicesConfig;
+
+const requests = mockHttp();
+
+const app = createApp();
+
+const quickReply = {
+  type: 'quick_reply',
+  title: 'Podemos confirmar o pedido?',
+  replies: [
+    { title: 'Sim', payload: 'CONFIRMAR' },
+    { title: 'Não', payload: 'CANCELAR' },
+  ],
+};
+
+/**
+ * Payload enviado ao DigiSac mais recente
+ * @returns {Object} - Corpo do POST /messages
+ */
+function lastDigiSacPayload() {
+  return requests.filter((item) => item.url.endsWith('/messages')).pop().data;
+}
+
+/**
+ * Enviar resposta do contato pelo webhook e obter o que chegou ao respond.io
+ * @param {string} id - ID da mensagem no DigiSac
+ * @param {string} serviceId - service_id do payload
+ * @param {Object} fields - Campos da mensagem (text, data...)
+ * @returns {Promise<Object>} - Mensagem do evento enviado ao respond.io
+ */
+async function receiveReply(id, serviceId, fields) {
+  await request(app, {
+    method: 'POST',
+    path: '/digisac/webhook',
+    body: {
+      event: 'message.created',
+      data: {
+        id,
+        type: 'chat',
+        number: '5511999999999',
+        service_id: serviceId,
+        ...fields,
+      },
+    },
+  });
+  return respondEvents(requests).find((event) => event.mId === id).message;
+}
+
+test('menu numerado em texto e a resposta numérica vira postback', async () => {
+  assert.strictEqual(
+    (await sendOutbound(app, 'canal_1', quickReply)).status,
+    200
+  );
+  assert.strictEqual(
+    lastDigiSacPayload().text,
+    'Podemos confirmar o pedido?\n\n1. Sim\n2. Não\n\nResponda com o número da opção desejada.'
+  );
+
+  const reply = await receiveReply('dg_numero', 'servico_1', { text: '2' });
+  assert.deepStrictEqual(reply.postback, {
+    payload: 'CANCELAR',
+    title: 'Não',
+  });
+  assert.strictEqual(reply.text, 'Não');
+
+  // Menu consumido: o mesmo número depois é texto comum
+  const again = await receiveReply('dg_numero_2', 'servico_1', { text: '2' });
+  assert.strictEqual(again.postback, undefined);
+  assert.strictEqual(again.text, '2');
+});
+
+test('botões nativos e a resposta do botão vira postback', async () => {
+  await sendOutbound(app, 'canal_nativo', quickReply);
+  const payload = lastDigiSacPayload();
+  assert.strictEqual(payload.type, 'interactive');
+  assert.strictEqual(payload.interactive.type, 'button');
+  assert.deepStrictEqual(
+    payload.interactive.action.buttons.map((button) => button.reply),
+    [
+      { id: 'CONFIRMAR', title: 'Sim' },
+      { id: 'CANCELAR', title: 'Não' },
+    ]
+  );
+
+  const reply = await receiveReply('dg_botao', 'srv_nativo', {
+    text: 'Sim',
+    data: { interactive: { button_reply: { id: 'CONFIRMAR', title: 'Sim' } } },
+  });
+  assert.deepStrictEqual(reply.postback, {
+    payload: 'CONFIRMAR',
+    title: 'Sim',
+  });
+});
+
+test('lista sem opções é recusada antes de enfileirar', async () => {
+  const response = await sendOutbound(app, 'canal_1', {
+    type: 'list',
+    title: 'Escolha',
+    items: [],
+  });
+  assert.strictEqual(response.status, 400);
+});
@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  setupTestEnv,
+  createChannel,
+  mockHttp,
+  respondEvents,
+  request,
+  sendOutbound,
+  createApp,
+} = require('./helpers/testEnv');
+
+const dataDir = setupTestEnv('location-test', {
+  channels: {
+    canal_1: createChannel('canal_1'),
+    canal_texto: createChannel('canal_texto', {
+      digisac_service_id: 'srv_texto',
+    }),
+  },
+});
+
+const servicesConfig = path.join(dataDir, 'services.json');
+fs.writeFileSync(
+  servicesConfig,
+  JSON.stringify({
+    services: { srv_texto: { outbound: { location: 'text' } } },
+  })
+);
+process.env.DIGISAC_SERVICES_CONFIG = servicesConfig;
+
+const requests = mockHttp();
+
+const app = createApp();
+
+/**
+ * Enviar mensagem recebida pelo webhook e obter o que chegou ao respond.io
+ * @param {string} id - ID da mensagem no DigiSac
+ * @param {Object} fields - Campos da mensagem (data, text...)
+ * @returns {Promise<Object>} - Mensagem do evento enviado ao respond.io
+ */
+async function receiveLocation(id, fields) {
+  await request(app, {
+    method: 'POST',
+    path: '/digisac/webhook',
+    body: {
+      event: 'message.created',
+      data: {
+        id,
+        type: 'location',
+        number: '5511999999999',
+        service_id: 'servico_1',
+        ...fields,
+      },
+    },
+  });
+  return respondEvents(requests).find((event) => event.mId === id).message;
+}
+
+/**
+ * Payload enviado ao DigiSac mais recente
+ * @returns {Object} - Corpo do POST /messages
+ */
+function lastDigiSacPayload() {
+  return requests.filter((item) => item.url.endsWith('/messages')).pop().data;
+}
+
+test('localização recebida chega ao respond.io como location', async () => {
+  const message = await receiveLocation('dg_local', {
+    data: {
+      location: { lat: -23.5614, lng: -46.6559, address: 'Av. Paulista' },
+    },
+  });
+  assert.deepStrictEqual(message, {
+    type: 'location',
+    latitude: -23.5614,
+    longitude: -46.6559,
+    address: 'Av. Paulista',
+  });
+
+  // Sem coordenadas: aviso em texto
+  const withoutCoordinates = await receiveLocation('dg_sem_coordenadas', {});
+  assert.strictEqual(withoutCoordinates.type, 'text');
+  assert.match(withoutCoordinates.text, /Localização/);
+});
+
+test('localização enviada pelo respond.io vai nativa ou em texto conforme o serviço', async () => {
+  const location = {
+    type: 'location',
+    latitude: -23.5614,
+    longitude: -46.6559,
+    address: 'Av. Paulista',
+  };
+
+  assert.strictEqual(
+    (await sendOutbound(app, 'canal_1', location)).status,
+    200
+  );
+  const native = lastDigiSacPayload();
+  assert.strictEqual(native.type, 'location');
+  assert.deepStrictEqual(native.location, {
+    lat: -23.5614,
+    lng: -46.6559,
+    address: 'Av. Paulista',
+  });
+
+  await sendOutbound(app, 'canal_texto', location);
+  const text = lastDigiSacPayload();
+  assert.strictEqual(text.type, undefined);
+  assert.match(text.text, /Latitude: -23.5614/);
+});
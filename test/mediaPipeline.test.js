@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setupTestEnv, mockHttp, fileResponse } = require('./helpers/testEnv');
+
+setupTestEnv('media-test', {
+  env: { MEDIA_UPLOAD_MODE: 'url', MEDIA_MAX_IMAGE_MB: '0.001' },
+});
+
+// Arquivo servido sem Content-Length (transferência em chunks)
+const png = Buffer.concat([
+  Buffer.from('89504e470d0a1a0a', 'hex'),
+  Buffer.alloc(4096),
+]);
+let downloads = 0;
+mockHttp(() => {
+  downloads++;
+  return fileResponse(png, 'image/png');
+});
+
+const { mediaPipeline } = require('../services/mediaPipeline');
+
+test('modo url sem Content-Length aplica o limite de tamanho no download', async () => {
+  await assert.rejects(
+    mediaPipeline.prepare('https://arquivos.example.com/grande.png', {
+      serviceId: 'servico_1',
+      attachmentType: 'image',
+      declaredMimeType: 'image/png',
+    }),
+    { code: 'MEDIA_TOO_LARGE' }
+  );
+  assert.strictEqual(mediaPipeline.getStats().modes.url, 0);
+});
+
+test('verificação de mídia recebida fica em cache por arquivo', async () => {
+  const url = 'https://arquivos.example.com/foto.png';
+  const options = {
+    serviceId: 'servico_1',
+    attachmentType: 'image',
+    declaredMimeType: 'image/png',
+  };
+  downloads = 0;
+
+  await Promise.all([
+    mediaPipeline.inspect(url, options),
+    mediaPipeline.inspect(url, options),
+  ]);
+  await mediaPipeline.inspect(url, options);
+  assert.strictEqual(downloads, 1);
+
+  // Mesmo arquivo com outro tipo informado é verificado de novo (e bloqueado)
+  const blocked = { ...options, declaredMimeType: 'application/pdf' };
+  await assert.rejects(mediaPipeline.inspect(url, blocked), {
+    code: 'MEDIA_TYPE_MISMATCH',
+  });
+  await assert.rejects(mediaPipeline.inspect(url, blocked), {
+    code: 'MEDIA_TYPE_MISMATCH',
+  });
+  assert.strictEqual(downloads, 2);
+});
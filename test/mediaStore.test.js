@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setupTestEnv, mockHttp, fileResponse } = require('./helpers/testEnv');
+
+setupTestEnv('media-store-test');
+
+// Mesmo arquivo servido por qualquer URL
+const png = Buffer.concat([
+  Buffer.from('89504e470d0a1a0a', 'hex'),
+  Buffer.from('conteudo'),
+]);
+mockHttp(() => fileResponse(png, 'image/png'));
+
+const { mediaStore } = require('../services/mediaStore');
+
+test('cada reaproveitamento de mídia conta uma única vez', async () => {
+  const meta = { mimeType: 'image/png', fileName: 'a.png' };
+
+  // Download compartilhado entre canais, URL já conhecida e outra URL
+  // com o mesmo conteúdo
+  const ids = await Promise.all([
+    mediaStore.rehost('https://arquivos.example.com/a.png', meta),
+    mediaStore.rehost('https://arquivos.example.com/a.png', meta),
+  ]);
+  ids.push(await mediaStore.rehost('https://arquivos.example.com/a.png', meta));
+  ids.push(await mediaStore.rehost('https://arquivos.example.com/b.png', meta));
+
+  assert.strictEqual(new Set(ids).size, 1);
+  const stats = mediaStore.getStats();
+  assert.strictEqual(stats.rehosted, 1);
+  assert.strictEqual(stats.reused, 3);
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  setupTestEnv,
+  createChannel,
+  queueJob,
+  mockHttp,
+  fileResponse,
+} = require('./helpers/testEnv');
+
+const dataDir = setupTestEnv('transcoder-test', {
+  env: { MEDIA_TRANSCODE_ENABLED: 'true' },
+  channels: { canal_1: createChannel('canal_1') },
+});
+
+// ffmpeg simulado: responde ao -version e grava um OGG no último argumento
+const ffmpegPath = path.join(dataDir, 'ffmpeg');
+fs.writeFileSync(
+  ffmpegPath,
+  [
+    '#!/bin/sh',
+    'if [ "$1" = "-version" ]; then exit 0; fi',
+    'for last; do :; done',
+    'printf "OggS" > "$last"',
+  ].join('\n'),
+  { mode: 0o755 }
+);
+process.env.FFMPEG_PATH = ffmpegPath;
+
+const audios = {
+  'https://arquivos.example.com/audio.mp3': [
+    Buffer.concat([Buffer.from('ID3'), Buffer.alloc(64)]),
+    'audio/mpeg',
+  ],
+  'https://arquivos.example.com/voz.ogg': [
+    Buffer.concat([Buffer.from('OggS'), Buffer.alloc(64)]),
+    'audio/ogg',
+  ],
+};
+const requests = mockHttp((config) =>
+  audios[config.url] ? fileResponse(...audios[config.url]) : null
+);
+
+const { mediaTranscoder } = require('../services/mediaTranscoder');
+const { outboundQueue } = require('../services/outboundQueue');
+
+/**
+ * Entregar um áudio pela fila e obter o payload enviado ao DigiSac
+ * @param {string} id - ID do job
+ * @param {string} url - URL do áudio
+ * @param {string} mimeType - MIME type informado
+ * @returns {Promise<Object>} - Payload do POST /messages
+ */
+async function deliverAudio(id, url, mimeType) {
+  const job = queueJob(id, {
+    messageData: {
+      type: 'attachment',
+      attachment: {
+        type: 'audio',
+        url,
+        mimeType,
+        fileName: path.basename(url),
+      },
+    },
+  });
+  assert.strictEqual(await outboundQueue.deliver(job), true);
+
+  return requests.find((request) => request.url.endsWith('/messages')).data;
+}
+
+test('ffmpeg é verificado em background, sem bloquear a primeira chamada', async () => {
+  assert.strictEqual(mediaTranscoder.isAvailable(), false);
+  assert.strictEqual(await mediaTranscoder.probe(), true);
+  assert.strictEqual(mediaTranscoder.isAvailable(), true);
+});
+
+test('áudio convertido para OGG/Opus é enviado como mensagem de voz', async () => {
+  const payload = await deliverAudio(
+    'out_mp3',
+    'https://arquivos.example.com/audio.mp3',
+    'audio/mpeg'
+  );
+  assert.strictEqual(payload.isPtt, true);
+  assert.strictEqual(payload.file.mimetype, 'audio/ogg');
+  assert.strictEqual(payload.file.name, 'audio.ogg');
+  assert.strictEqual(mediaTranscoder.getStats().transcoded, 1);
+
+  requests.length = 0;
+  const original = await deliverAudio(
+    'out_ogg',
+    'https://arquivos.example.com/voz.ogg',
+    'audio/ogg'
+  );
+  assert.strictEqual(original.isPtt, true);
+  assert.strictEqual(mediaTranscoder.getStats().transcoded, 1);
+});
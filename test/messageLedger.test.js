@@ -0,0 +1,127 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { setupTestEnv, request, createApp } = require('./helpers/testEnv');
+
+setupTestEnv('ledger-test', { env: { ADMIN_API_TOKEN: 'admin_token' } });
+
+const { messageLedger, MessageLedger } = require('../utils/messageLedger');
+
+const app = createApp();
+
+test('alterações do ledger são agrupadas em uma gravação assíncrona', async (t) => {
+  const appendFileSync = t.mock.method(fs, 'appendFileSync');
+  const appendFile = t.mock.method(fs.promises, 'appendFile');
+
+  for (let i = 0; i < 20; i++) {
+    messageLedger.record({
+      channelId: 'canal_1',
+      mId: `lote_${i}`,
+      direction: 'outbound',
+      status: 'pending',
+    });
+  }
+  assert.strictEqual(fs.existsSync(messageLedger.filePath), false);
+
+  await messageLedger.flush();
+  assert.strictEqual(appendFileSync.mock.callCount(), 0);
+  assert.strictEqual(appendFile.mock.callCount(), 1);
+  assert.strictEqual(new MessageLedger().entries.size, 20);
+});
+
+test('compactação reescreve o arquivo com uma linha por mensagem', async () => {
+  messageLedger.record({ channelId: 'canal_1', mId: 'lote_0', status: 'sent' });
+  messageLedger.record({
+    channelId: 'canal_1',
+    mId: 'lote_0',
+    status: 'delivered',
+  });
+  await messageLedger.flush();
+
+  await messageLedger.compact();
+  const lines = fs
+    .readFileSync(messageLedger.filePath, 'utf8')
+    .trim()
+    .split('\n');
+  assert.strictEqual(lines.length, messageLedger.entries.size);
+  assert.strictEqual(messageLedger.getStats().lines, lines.length);
+  assert.strictEqual(
+    new MessageLedger().entries.get('canal_1:lote_0').status,
+    'delivered'
+  );
+});
+
+test('flushSync grava as linhas pendentes no encerramento', () => {
+  messageLedger.record({ channelId: 'canal_2', mId: 'saida', status: 'sent' });
+  messageLedger.flushSync();
+
+  assert.strictEqual(
+    new MessageLedger().entries.get('canal_2:saida').status,
+    'sent'
+  );
+});
+
+test('mensagens inbound antigas com delivered são carregadas como received', () => {
+  messageLedger.record({
+    channelId: 'canal_2',
+    mId: 'entrada',
+    direction: 'inbound',
+    status: 'delivered',
+  });
+  messageLedger.flushSync();
+
+  assert.strictEqual(
+    new MessageLedger().entries.get('canal_2:entrada').status,
+    'received'
+  );
+});
+
+test('busca do ledger filtra por contato, direção e status', async () => {
+  messageLedger.record({
+    channelId: 'canal_3',
+    mId: 'busca_1',
+    direction: 'outbound',
+    contactId: '+55 (11) 98888-7777',
+    status: 'failed',
+    error: 'Número inválido',
+  });
+  messageLedger.record({
+    channelId: 'canal_3',
+    mId: 'busca_2',
+    direction: 'outbound',
+    contactId: '5511988887777',
+    status: 'read',
+  });
+
+  const headers = { authorization: 'Bearer admin_token' };
+  const found = await request(app, {
+    path: '/admin/messages?contactId=5511988887777&status=failed',
+    headers,
+  });
+  assert.strictEqual(found.status, 200);
+  assert.strictEqual(found.body.total, 1);
+  assert.strictEqual(found.body.items[0].mId, 'busca_1');
+  assert.strictEqual(found.body.items[0].error, 'Número inválido');
+
+  const page = await request(app, {
+    path: '/admin/messages?channelId=canal_3&limit=1&offset=1',
+    headers,
+  });
+  assert.strictEqual(page.body.total, 2);
+  assert.strictEqual(page.body.items.length, 1);
+
+  const received = await request(app, {
+    path: '/admin/messages?status=received&direction=inbound',
+    headers,
+  });
+  assert.strictEqual(received.status, 200);
+
+  const invalid = await request(app, {
+    path: '/admin/messages?status=entregue',
+    headers,
+  });
+  assert.strictEqual(invalid.status, 400);
+
+  const unauthorized = await request(app, { path: '/admin/messages' });
+  assert.strictEqual(unauthorized.status, 401);
+});
@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  setupTestEnv,
+  createChannel,
+  queueJob,
+  mockHttp,
+  request,
+  createApp,
+} = require('./helpers/testEnv');
+
+setupTestEnv('status-test', {
+  channels: { canal_1: createChannel('canal_1') },
+});
+
+// Mensagens consultadas na API do DigiSac (sem histórico local)
+const digisacMessages = {
+  dg_remota: { id: 'dg_remota', serviceId: 'servico_1', ack: 3 },
+  dg_outro_servico: { id: 'dg_outro_servico', serviceId: 'servico_2', ack: 2 },
+};
+mockHttp((config) => {
+  const id = config.url.split('/messages/')[1];
+  return id && digisacMessages[id] ? { data: digisacMessages[id] } : null;
+});
+
+const { outboundQueue } = require('../services/outboundQueue');
+const { digiSacApiService } = require('../services/digisac');
+const { respondIoApiService } = require('../services/respond');
+const { messageStatusHistory } = require('../utils/messageStatusHistory');
+
+const app = createApp();
+const auth = { authorization: 'Bearer token_canal_1' };
+
+/**
+ * Consultar o status de uma mensagem pelo canal_1
+ * @param {string} messageId - mId do respond.io ou ID DigiSac
+ * @param {Object} headers - Headers da requisição
+ * @returns {Promise<Object>} - { status, body }
+ */
+function getStatus(messageId, headers = auth) {
+  return request(app, {
+    path: `/canal_1/message/${messageId}/status`,
+    headers,
+  });
+}
+
+/**
+ * Enviar ack do DigiSac pelo webhook
+ * @param {string} id - ID da mensagem no DigiSac
+ * @param {number} ack - Ack do DigiSac
+ */
+async function postAck(id, ack) {
+  await request(app, {
+    method: 'POST',
+    path: '/digisac/webhook',
+    body: {
+      event: 'message.updated',
+      data: { id, service_id: 'servico_1', ack },
+    },
+  });
+}
+
+test('mensagem aceita pelo DigiSac fica sent e um ack 0 atrasado não regride', async (t) => {
+  t.mock.method(digiSacApiService, 'sendMessage', async () => ({
+    success: true,
+    data: { message_id: 'dg_fila' },
+  }));
+  t.mock.method(respondIoApiService, 'sendMessageStatus', async () => ({
+    success: true,
+  }));
+
+  const job = queueJob('out_fila');
+  assert.strictEqual(await outboundQueue.deliver(job), true);
+
+  const accepted = await getStatus('out_fila');
+  assert.strictEqual(accepted.status, 200);
+  assert.strictEqual(accepted.body.status, 'sent');
+  assert.strictEqual(accepted.body.digisacMessageId, 'dg_fila');
+
+  await postAck('dg_fila', 3);
+  // Ack 0 (pendente) que chega atrasado
+  messageStatusHistory.record('canal_1', 'out_fila', {
+    status: 'pending',
+    ack: 0,
+    source: 'digisac',
+  });
+
+  // Consulta também pelo ID do DigiSac
+  const read = await getStatus('dg_fila');
+  assert.strictEqual(read.body.status, 'read');
+  assert.deepStrictEqual(
+    read.body.transitions.map((transition) => transition.status),
+    ['sent', 'read', 'pending']
+  );
+});
+
+test('mensagem reenfileirada da dead-letter volta a pending', async (t) => {
+  t.mock.method(digiSacApiService, 'sendMessage', async () => ({
+    success: false,
+    error: { code: 400, message: 'Número inválido' },
+  }));
+  t.mock.method(respondIoApiService, 'sendMessageStatus', async () => ({
+    success: true,
+  }));
+  t.mock.method(outboundQueue, 'tick', async () => {});
+
+  const job = queueJob('out_replay');
+  await outboundQueue.deliver(job);
+  assert.strictEqual((await getStatus('out_replay')).body.status, 'failed');
+
+  outboundQueue.replayDeadLetter('out_replay');
+  const replayed = await getStatus('out_replay');
+  assert.strictEqual(replayed.body.status, 'pending');
+  assert.strictEqual(replayed.body.error, null);
+});
+
+test('sem histórico, a mensagem é consultada no DigiSac só no serviço do canal', async () => {
+  const remote = await getStatus('dg_remota');
+  assert.strictEqual(remote.status, 200);
+  assert.strictEqual(remote.body.status, 'read');
+  assert.strictEqual(remote.body.source, 'digisac');
+
+  const otherService = await getStatus('dg_outro_servico');
+  assert.strictEqual(otherService.status, 404);
+
+  const unauthorized = await getStatus('dg_remota', {
+    authorization: 'Bearer token_errado',
+  });
+  assert.strictEqual(unauthorized.status, 401);
+});
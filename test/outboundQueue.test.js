@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setupTestEnv, createChannel, queueJob } = require('./helpers/testEnv');
+
+setupTestEnv('queue-test', {
+  channels: { canal_1: createChannel('canal_1') },
+});
+
+const { outboundQueue } = require('../services/outboundQueue');
+const { digiSacApiService } = require('../services/digisac');
+const { respondIoApiService } = require('../services/respond');
+
+test('falha definitiva da API DigiSac (code numérico) vai para a dead-letter e é informada', async (t) => {
+  t.mock.method(digiSacApiService, 'sendMessage', async () => ({
+    success: false,
+    error: { code: 400, message: 'Número inválido' },
+  }));
+  const sendMessageStatus = t.mock.method(
+    respondIoApiService,
+    'sendMessageStatus',
+    async () => ({ success: true })
+  );
+
+  const job = queueJob('out_numeric_code');
+  const delivered = await outboundQueue.deliver(job);
+
+  assert.strictEqual(delivered, false);
+  assert.strictEqual(outboundQueue.jobs.has(job.id), false);
+  const dead = outboundQueue.getDeadLetter(job.id);
+  assert.strictEqual(dead.status, 'dead');
+  assert.strictEqual(dead.lastError.code, 400);
+  assert.ok(dead.failureReportedAt);
+
+  // O agente vê a mensagem como falha no respond.io, com o motivo
+  assert.strictEqual(sendMessageStatus.mock.callCount(), 1);
+  const [channel, mId, contactId, status, , reason] =
+    sendMessageStatus.mock.calls[0].arguments;
+  assert.deepStrictEqual(
+    [channel.token, mId, contactId, status, reason],
+    ['token_canal_1', job.id, '5511999999999', 'failed', 'Número inválido']
+  );
+});
+
+test('erro ao informar a falha não interrompe os demais jobs da fila', async (t) => {
+  t.mock.method(digiSacApiService, 'sendMessage', async (message) =>
+    message.text === 'falha'
+      ? { success: false, error: { code: 422, message: 'Inválida' } }
+      : { success: true, data: { message_id: 'dg_ok' } }
+  );
+  t.mock.method(respondIoApiService, 'sendMessageStatus', async () => {
+    throw new Error('respond.io indisponível');
+  });
+
+  const failed = queueJob('out_falha');
+  failed.messageData = { type: 'text', text: 'falha' };
+  failed.phoneNumber = '5511000000001';
+  failed.createdAt = Date.now() - 1000;
+  const next = queueJob('out_seguinte');
+
+  await outboundQueue.tick();
+
+  assert.strictEqual(outboundQueue.getDeadLetter(failed.id).status, 'dead');
+  assert.strictEqual(outboundQueue.jobs.has(next.id), false);
+  assert.strictEqual(outboundQueue.getStats().delivered, 1);
+});
@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  setupTestEnv,
+  createChannel,
+  mockHttp,
+  request,
+  createApp,
+} = require('./helpers/testEnv');
+
+const dataDir = setupTestEnv('template-test', {
+  env: { DIGISAC_OFFICIAL_API_TYPES: 'whatsapp-business, waba-360' },
+  channels: {
+    canal_fixo: createChannel('canal_fixo', { digisac_service_id: 'fixo' }),
+    canal_360: createChannel('canal_360', { digisac_service_id: 'srv_360' }),
+    canal_web: createChannel('canal_web', { digisac_service_id: 'srv_web' }),
+    canal_proprio: createChannel('canal_proprio', {
+      digisac_service_id: 'srv_proprio',
+    }),
+    canal_fora: createChannel('canal_fora', {
+      digisac_service_id: 'srv_fora',
+    }),
+  },
+});
+
+const servicesConfig = path.join(dataDir, 'services.json');
+fs.writeFileSync(
+  servicesConfig,
+  JSON.stringify({
+    services: {
+      fixo: { outbound: { officialApi: true } },
+      srv_proprio: { outbound: { officialApiTypes: ['whatsapp'] } },
+    },
+  })
+);
+process.env.DIGISAC_SERVICES_CONFIG = servicesConfig;
+
+// Serviços consultados na API do DigiSac (srv_fora não responde)
+const services = {
+  srv_360: { id: 'srv_360', type: 'waba-360' },
+  srv_web: { id: 'srv_web', type: 'whatsapp' },
+  srv_proprio: { id: 'srv_proprio', type: 'whatsapp' },
+};
+const lookups = [];
+mockHttp((config) => {
+  const id = config.url.split('/services/')[1];
+  if (!id) return null;
+  lookups.push(id);
+  if (!services[id]) {
+    throw Object.assign(new Error('Service Unavailable'), {
+      response: { status: 503, data: {} },
+    });
+  }
+  return { data: services[id] };
+});
+
+const { outboundQueue } = require('../services/outboundQueue');
+
+const app = createApp();
+
+/**
+ * Enviar template pelo canal informado
+ * @param {string} channelId - custom_channel_id
+ * @returns {Promise<Object>} - { status, body }
+ */
+function sendTemplate(channelId) {
+  return request(app, {
+    method: 'POST',
+    path: `/${channelId}/message`,
+    headers: { authorization: `Bearer token_${channelId}` },
+    body: {
+      contactId: '5511999999999',
+      message: {
+        type: 'template',
+        template: { name: 'boas_vindas', language: 'pt_BR' },
+      },
+    },
+  });
+}
+
+test('templates seguem os tipos de serviço configurados', async (t) => {
+  t.mock.method(outboundQueue, 'tick', async () => {});
+
+  const fixed = await sendTemplate('canal_fixo');
+  assert.strictEqual(fixed.status, 200);
+  assert.ok(fixed.body.mId);
+  assert.ok(!lookups.includes('fixo'));
+
+  // Tipo incluído em DIGISAC_OFFICIAL_API_TYPES
+  assert.strictEqual((await sendTemplate('canal_360')).status, 200);
+
+  const unofficial = await sendTemplate('canal_web');
+  assert.strictEqual(unofficial.status, 422);
+  assert.strictEqual(outboundQueue.jobs.size(), 2);
+
+  // Lista própria do serviço substitui a global
+  assert.strictEqual((await sendTemplate('canal_proprio')).status, 200);
+});
+
+test('template não é enfileirado quando o serviço não pode ser consultado', async (t) => {
+  t.mock.method(outboundQueue, 'tick', async () => {});
+  const queued = outboundQueue.jobs.size();
+
+  const response = await sendTemplate('canal_fora');
+  assert.strictEqual(response.status, 502);
+  assert.strictEqual(outboundQueue.jobs.size(), queued);
+});
@@ -0,0 +1,139 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  setupTestEnv,
+  createChannel,
+  mockHttp,
+  request,
+  createApp,
+} = require('./helpers/testEnv');
+
+const dataDir = setupTestEnv('webhook-auth-test', {
+  channels: { canal_1: createChannel('canal_1') },
+});
+
+const servicesConfig = path.join(dataDir, 'services.json');
+fs.writeFileSync(
+  servicesConfig,
+  JSON.stringify({
+    services: {
+      srv_segredo: { webhookAuth: { secret: 'segredo' } },
+      srv_hmac: { webhookAuth: { hmacSecret: 'chave' } },
+      srv_algoritmo: {
+        webhookAuth: { hmacSecret: 'chave', hmacAlgorithm: 'sha999' },
+      },
+      srv_local: { webhookAuth: { ipAllowlist: ['127.0.0.0/8', '::1'] } },
+      srv_proxy: {
+        webhookAuth: {
+          ipAllowlist: ['2001:db8::/32', '10.0.0.0/8'],
+          trustProxy: true,
+        },
+      },
+    },
+  })
+);
+process.env.DIGISAC_SERVICES_CONFIG = servicesConfig;
+
+mockHttp();
+
+const app = createApp();
+
+/**
+ * Enviar webhook de status para o serviço informado
+ * @param {string} serviceId - service_id do payload
+ * @param {Object} headers - Headers da requisição
+ * @param {Function} sign - (corpo serializado) => headers extras (opcional)
+ * @returns {Promise<Object>} - { status, body }
+ */
+function postWebhook(serviceId, headers = {}, sign = null) {
+  const body = {
+    event: 'message.updated',
+    data: {
+      id: `dg_${serviceId}`,
+      service_id: serviceId,
+      ack: 2,
+      text: 'texto_sigiloso',
+    },
+  };
+  return request(app, {
+    method: 'POST',
+    path: '/digisac/webhook',
+    body,
+    headers: { ...headers, ...(sign ? sign(JSON.stringify(body)) : {}) },
+  });
+}
+
+/**
+ * Assinar o corpo com HMAC
+ * @param {string} algorithm - Algoritmo do hash
+ * @returns {Function} - (corpo serializado) => header de assinatura
+ */
+function hmacHeader(algorithm) {
+  return (payload) => ({
+    'x-digisac-signature': `${algorithm}=${crypto
+      .createHmac(algorithm, 'chave')
+      .update(payload)
+      .digest('hex')}`,
+  });
+}
+
+test('segredo compartilhado e HMAC autenticam o webhook', async () => {
+  assert.strictEqual((await postWebhook('srv_segredo')).status, 401);
+  assert.strictEqual(
+    (await postWebhook('srv_segredo', { 'x-webhook-secret': 'segredo' }))
+      .status,
+    200
+  );
+
+  assert.strictEqual(
+    (await postWebhook('srv_hmac', {}, hmacHeader('sha256'))).status,
+    200
+  );
+  const forged = await postWebhook('srv_hmac', {
+    'x-digisac-signature': 'sha256=00',
+  });
+  assert.strictEqual(forged.status, 401);
+  assert.strictEqual(forged.body.error.details.reason, 'signature_invalid');
+});
+
+test('algoritmo de HMAC inválido recusa o webhook com 500', async () => {
+  const response = await postWebhook('srv_algoritmo', {}, hmacHeader('sha256'));
+  assert.strictEqual(response.status, 500);
+  assert.strictEqual(
+    response.body.error.details.reason,
+    'hmac_algorithm_invalid'
+  );
+});
+
+test('allowlist aceita IPv6 e IPv4 mapeado em IPv6', async () => {
+  // Conexão local (127.0.0.1 ou ::ffff:127.0.0.1)
+  assert.strictEqual((await postWebhook('srv_local')).status, 200);
+
+  const allowed = ['2001:db8::5', '::ffff:10.1.2.3', '10.1.2.3'];
+  for (const ip of allowed) {
+    const response = await postWebhook('srv_proxy', {
+      'x-forwarded-for': ip,
+    });
+    assert.strictEqual(response.status, 200, ip);
+  }
+
+  const blocked = await postWebhook('srv_proxy', {
+    'x-forwarded-for': '2001:db9::1',
+  });
+  assert.strictEqual(blocked.status, 403);
+});
+
+test('webhook rejeitado não é logado', async (t) => {
+  const log = t.mock.method(console, 'log');
+
+  await postWebhook('srv_segredo', { authorization: 'Bearer sigiloso' });
+
+  const output = log.mock.calls
+    .map((call) => JSON.stringify(call.arguments))
+    .join('\n');
+  assert.ok(!output.includes('texto_sigiloso'));
+  assert.ok(!output.includes('Bearer sigiloso'));
+});
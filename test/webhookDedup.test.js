@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  setupTestEnv,
+  createChannel,
+  mockHttp,
+  respondEvents,
+  request,
+  createApp,
+} = require('./helpers/testEnv');
+
+setupTestEnv('dedup-test', {
+  channels: {
+    canal_1: createChannel('canal_1'),
+    canal_2: createChannel('canal_2'),
+  },
+});
+
+const requests = mockHttp();
+
+const { webhookDedup, WebhookDedup } = require('../utils/webhookDedup');
+
+const app = createApp();
+
+/**
+ * Enviar mensagem de texto recebida pelo webhook do DigiSac
+ * @param {string} id - ID da mensagem no DigiSac
+ * @returns {Promise<Object>} - Corpo da resposta
+ */
+async function postMessage(id) {
+  const response = await request(app, {
+    method: 'POST',
+    path: '/digisac/webhook',
+    body: {
+      event: 'message.created',
+      data: {
+        id,
+        type: 'chat',
+        text: 'olá',
+        number: '5511999999999',
+        service_id: 'servico_1',
+      },
+    },
+  });
+  return response.body;
+}
+
+/**
+ * Chamadas ao respond.io que repassaram uma mensagem do DigiSac
+ * @param {string} id - ID da mensagem no DigiSac
+ * @returns {Array<string>} - URLs das chamadas
+ */
+function forwarded(id) {
+  return requests
+    .filter((item) => item.data?.events?.some((event) => event.mId === id))
+    .map((item) => item.url);
+}
+
+test('reenvio do mesmo webhook não duplica a mensagem nos canais', async () => {
+  const first = await postMessage('dg_reenvio');
+  assert.strictEqual(first.data.successCount, 2);
+  assert.strictEqual(forwarded('dg_reenvio').length, 2);
+
+  const second = await postMessage('dg_reenvio');
+  assert.strictEqual(second.data.duplicateCount, 2);
+  assert.strictEqual(forwarded('dg_reenvio').length, 2);
+
+  // Registro persistido: vale após reiniciar a aplicação
+  webhookDedup.store.flushSync();
+  assert.ok(new WebhookDedup().get('dg_reenvio', 'canal_1'));
+});
+
+test('entregas concorrentes da mesma mensagem são feitas uma única vez', async () => {
+  const results = await Promise.all([
+    postMessage('dg_concorrente'),
+    postMessage('dg_concorrente'),
+  ]);
+
+  assert.strictEqual(forwarded('dg_concorrente').length, 2);
+  assert.strictEqual(
+    results.reduce((total, result) => total + result.data.duplicateCount, 0),
+    2
+  );
+  assert.strictEqual(
+    respondEvents(requests).filter((event) => event.mId === 'dg_concorrente')
+      .length,
+    2
+  );
+});
@@ -0,0 +1,163 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  setupTestEnv,
+  createChannel,
+  mockHttp,
+  fileResponse,
+  respondEvents,
+  request,
+  createApp,
+} = require('./helpers/testEnv');
+
+setupTestEnv('webhook-test', {
+  channels: { canal_1: createChannel('canal_1') },
+});
+
+// Chamadas ao respond.io registradas e downloads de mídia servidos de
+// arquivos em memória
+const files = {};
+const requests = mockHttp((config) => {
+  const file = files[config.url];
+  if (!file) {
+    return null;
+  }
+  file.downloads = (file.downloads || 0) + 1;
+  return fileResponse(file.body, file.mimeType);
+});
+
+const { messageIdMap } = require('../utils/messageIdMap');
+const { messageLedger } = require('../utils/messageLedger');
+
+const app = createApp();
+
+/**
+ * Enviar webhook do DigiSac para a aplicação
+ * @param {Object} body - Corpo do webhook
+ * @returns {Promise<Object>} - Corpo da resposta
+ */
+async function postWebhook(body) {
+  const response = await request(app, {
+    method: 'POST',
+    path: '/digisac/webhook',
+    body,
+  });
+  return response.body;
+}
+
+test('ack de mensagem já editada é repassado como status, não como edição', async () => {
+  messageIdMap.link('canal_1', 'dg_editada', 'out_editada', {
+    direction: 'outbound',
+    contactId: '5511999999999',
+  });
+
+  const result = await postWebhook({
+    event: 'message.updated',
+    data: {
+      id: 'dg_editada',
+      service_id: 'servico_1',
+      ack: 2,
+      isEdited: true,
+      editedAt: '2026-01-01T10:00:00.000Z',
+      text: 'texto editado',
+    },
+  });
+
+  assert.strictEqual(result.data.messageStatus, 'delivered');
+  const events = respondEvents(requests);
+  assert.deepStrictEqual(
+    events.map((event) => [event.type, event.mId, event.status?.value]),
+    [['message_status', 'out_editada', 'delivered']]
+  );
+});
+
+test('mensagem inbound aceita pelo respond.io fica received no ledger', async () => {
+  await postWebhook({
+    event: 'message.created',
+    data: {
+      id: 'dg_recebida',
+      type: 'chat',
+      text: 'olá',
+      number: '5511999999999',
+      service_id: 'servico_1',
+    },
+  });
+
+  const { items } = messageLedger.search({ direction: 'inbound' });
+  const entry = items.find((item) => item.mId === 'dg_recebida');
+  assert.strictEqual(entry.status, 'received');
+  assert.strictEqual(
+    messageLedger.search({ direction: 'inbound', status: 'delivered' }).total,
+    0
+  );
+});
+
+test('mídia recebida sem re-hospedagem tem o conteúdo verificado uma vez', async () => {
+  const url = 'https://arquivos.example.com/falso.png';
+  files[url] = {
+    body: Buffer.from('%PDF-1.4 documento'),
+    mimeType: 'image/png',
+  };
+  const webhook = {
+    event: 'message.created',
+    data: {
+      id: 'dg_falso',
+      type: 'image',
+      number: '5511999999999',
+      service_id: 'servico_1',
+      file: { url, mimetype: 'image/png', name: 'falso.png' },
+    },
+  };
+
+  await postWebhook(webhook);
+  // Reenvio do mesmo webhook: entrega deduplicada, sem novo download
+  await postWebhook(webhook);
+
+  const events = respondEvents(requests).filter(
+    (item) => item.mId === 'dg_falso'
+  );
+  assert.deepStrictEqual(
+    events.map((event) => event.message),
+    [
+      {
+        type: 'text',
+        text: '🚫 Arquivo bloqueado pela política de segurança: falso.png',
+      },
+    ]
+  );
+  assert.strictEqual(files[url].downloads, 1);
+});
+
+test('exclusão é anotada uma vez e os acks seguintes viram status', async () => {
+  messageIdMap.link('canal_1', 'dg_apagada', 'out_apagada', {
+    direction: 'outbound',
+    contactId: '5511999999999',
+  });
+  const deleted = {
+    id: 'dg_apagada',
+    service_id: 'servico_1',
+    isDeleted: true,
+    deletedAt: '2026-01-01T10:00:00.000Z',
+  };
+
+  await postWebhook({ event: 'message.updated', data: deleted });
+  // Ack posterior da mensagem apagada (mantém isDeleted, outro horário)
+  const ack = await postWebhook({
+    event: 'message.updated',
+    data: { ...deleted, ack: 3, deletedAt: '2026-01-01T10:05:00.000Z' },
+  });
+  // Evento explícito reenviado depois da marcação
+  await postWebhook({ event: 'message.deleted', data: deleted });
+
+  assert.strictEqual(ack.data.messageStatus, 'read');
+  const events = respondEvents(requests).filter(
+    (event) => event.mId === 'dg_apagada:deleted' || event.mId === 'out_apagada'
+  );
+  assert.deepStrictEqual(
+    events.map((event) => [event.type, event.mId]),
+    [
+      ['message', 'dg_apagada:deleted'],
+      ['message_status', 'out_apagada'],
+    ]
+  );
+});
@@ -0,0 +1,230 @@
+/**
+ * File store utilities for the DigiSac ↔ Respond.io integration
+ * Armazenamento chave/valor persistido em arquivo JSON (sobrevive a reinícios)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { errorLog } = require('./logger');
+
+// Diretório padrão para os arquivos de dados persistentes
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Intervalo de agrupamento das gravações (várias alterações, uma escrita)
+const FILE_STORE_FLUSH_MS = parseInt(
+  process.env.FILE_STORE_FLUSH_MS || '200',
+  10
+);
+
+// Stores abertos, gravados de forma síncrona no encerramento do processo
+const openStores = new Set();
+process.on('exit', () => {
+  for (const store of openStores) {
+    store.flushSync();
+  }
+});
+
+/**
+ * Classe para armazenamento chave/valor persistido em disco
+ * Mantém os dados em memória; as alterações são agrupadas e o arquivo
+ * inteiro é gravado em background a cada FILE_STORE_FLUSH_MS (escrita
+ * atômica via arquivo temporário + rename)
+ */
+class FileStore {
+  /**
+   * @param {string} fileName - Nome do arquivo dentro do DATA_DIR (ou caminho absoluto)
+   */
+  constructor(fileName) {
+    this.filePath = path.isAbsolute(fileName)
+      ? fileName
+      : path.join(DATA_DIR, fileName);
+    this.data = new Map();
+    this.dirty = false;
+    this.writing = false;
+    this.saveTimer = null;
+    this.load();
+    openStores.add(this);
+  }
+
+  /**
+   * Carregar dados do disco (arquivo inexistente = store vazio)
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return;
+      }
+
+      const content = fs.readFileSync(this.filePath, 'utf8');
+      const parsed = content.trim() ? JSON.parse(content) : {};
+      this.data = new Map(Object.entries(parsed));
+    } catch (error) {
+      errorLog(`Erro ao carregar store ${this.filePath}`, error.message);
+      this.data = new Map();
+    }
+  }
+
+  /**
+   * Agendar gravação dos dados no disco
+   */
+  save() {
+    this.dirty = true;
+    if (this.saveTimer || this.writing) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => this.flush(), FILE_STORE_FLUSH_MS);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Gravar as alterações pendentes (sem bloquear o event loop na escrita)
+   */
+  async flush() {
+    this.saveTimer = null;
+    if (!this.dirty) {
+      return;
+    }
+
+    this.dirty = false;
+    this.writing = true;
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, this.serialize());
+      await fs.promises.rename(tmpPath, this.filePath);
+    } catch (error) {
+      errorLog(`Erro ao gravar store ${this.filePath}`, error.message);
+    } finally {
+      this.writing = false;
+      // Alterações feitas durante a escrita seguem na próxima gravação
+      if (this.dirty) {
+        this.save();
+      }
+    }
+  }
+
+  /**
+   * Gravar as alterações pendentes de forma síncrona (encerramento)
+   */
+  flushSync() {
+    if (!this.dirty && !this.writing) {
+      return;
+    }
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.dirty = false;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.sync.tmp`;
+      fs.writeFileSync(tmpPath, this.serialize());
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      errorLog(`Erro ao gravar store ${this.filePath}`, error.message);
+    }
+  }
+
+  /**
+   * Serializar os dados do store
+   * @returns {string} - Conteúdo JSON do arquivo
+   */
+  serialize() {
+    return JSON.stringify(Object.fromEntries(this.data), null, 2);
+  }
+
+  /**
+   * Obter valor
+   * @param {string} key - Chave
+   * @returns {any|null} - Valor armazenado ou null se não encontrado
+   */
+  get(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+
+  /**
+   * Verificar se chave existe
+   * @param {string} key - Chave
+   * @returns {boolean} - Se a chave existe
+   */
+  has(key) {
+    return this.data.has(key);
+  }
+
+  /**
+   * Armazenar valor e persistir
+   * @param {string} key - Chave
+   * @param {any} value - Valor (precisa ser serializável em JSON)
+   */
+  set(key, value) {
+    this.data.set(key, value);
+    this.save();
+  }
+
+  /**
+   * Remover valor e persistir
+   * @param {string} key - Chave
+   * @returns {boolean} - Se o item foi removido
+   */
+  delete(key) {
+    const removed = this.data.delete(key);
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Remover todos os itens que satisfazem o predicado (uma única gravação)
+   * @param {Function} predicate - (value, key) => boolean
+   * @returns {number} - Quantidade de itens removidos
+   */
+  deleteWhere(predicate) {
+    let removed = 0;
+    for (const [key, value] of this.data.entries()) {
+      if (predicate(value, key)) {
+        this.data.delete(key);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Substituir todo o conteúdo do store (uma única gravação)
+   * @param {Array} entries - Pares [chave, valor]
+   */
+  replace(entries) {
+    this.data = new Map(entries);
+    this.save();
+  }
+
+  /**
+   * Listar valores
+   * @returns {Array} - Valores armazenados
+   */
+  values() {
+    return Array.from(this.data.values());
+  }
+
+  /**
+   * Listar pares [chave, valor]
+   * @returns {Array} - Entradas armazenadas
+   */
+  entries() {
+    return Array.from(this.data.entries());
+  }
+
+  /**
+   * Obter tamanho do store
+   * @returns {number} - Número de itens
+   */
+  size() {
+    return this.data.size;
+  }
+}
+
+module.exports = { FileStore, DATA_DIR, FILE_STORE_FLUSH_MS };
@@ -189,6 +189,154 @@ function formatMessageForRespondIo(
   };
 }
 
+/**
+ * Status de mensagem (semântica do respond.io)
+ * - pending: aceita pela ponte ou pelo DigiSac, ainda não enviada (ack 0)
+ * - sent: enviada ao servidor do WhatsApp (ack 1)
+ * - delivered: entregue no aparelho do contato (ack 2)
+ * - read: lida ou reproduzida pelo contato (ack 3 e 4)
+ * - failed: erro no envio (ack -1, isFailed ou falha definitiva na fila)
+ */
+const MESSAGE_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read',
+  FAILED: 'failed',
+};
+
+/**
+ * Códigos de ack do DigiSac (WhatsApp) → status do respond.io
+ * -1: erro, 0: pendente, 1: enviado ao servidor, 2: entregue, 3: lido, 4: reproduzido
+ */
+const DIGISAC_ACK_STATUS = {
+  '-1': MESSAGE_STATUS.FAILED,
+  1: MESSAGE_STATUS.SENT,
+  2: MESSAGE_STATUS.DELIVERED,
+  3: MESSAGE_STATUS.READ,
+  4: MESSAGE_STATUS.READ,
+};
+
+/**
+ * Função para converter ack do DigiSac em status do respond.io
+ * @param {number|string} ack - Código de ack do DigiSac
+ * @param {boolean} isFailed - Se o DigiSac marcou a mensagem como falha
+ * @returns {string|null} - sent | delivered | read | failed, ou null (pendente/desconhecido)
+ */
+function mapDigiSacAckToStatus(ack, isFailed = false) {
+  if (isFailed) {
+    return 'failed';
+  }
+
+  if (ack === undefined || ack === null) {
+    return null;
+  }
+
+  return DIGISAC_ACK_STATUS[parseInt(ack, 10)] || null;
+}
+
+/**
+ * Função para extrair o status atual de uma mensagem do DigiSac
+ * (inclui o pendente, que não é repassado como evento ao respond.io)
+ * @param {Object} message - Mensagem do DigiSac (webhook ou API)
+ * @returns {Object|null} - { status, ack, error, at } ou null (ack desconhecido)
+ */
+function parseDigiSacMessageStatus(message) {
+  const ack =
+    message.ack === undefined || message.ack === null
+      ? null
+      : parseInt(message.ack, 10);
+  const status =
+    ack === 0 && message.isFailed !== true
+      ? MESSAGE_STATUS.PENDING
+      : mapDigiSacAckToStatus(ack, message.isFailed === true);
+
+  if (!status) {
+    return null;
+  }
+
+  const error =
+    status === MESSAGE_STATUS.FAILED
+      ? message.error?.message ||
+        (typeof message.error === 'string' ? message.error : null)
+      : null;
+  const at = new Date(message.updatedAt || message.createdAt || Date.now());
+
+  return {
+    status,
+    ack: Number.isNaN(ack) ? null : ack,
+    error,
+    at: Number.isNaN(at.getTime()) ? Date.now() : at.getTime(),
+  };
+}
+
+/**
+ * Função para formatar evento de status de mensagem para respond.io
+ * @param {string} channelId - ID do canal no respond.io
+ * @param {string} contactId - Número do contato
+ * @param {string} mId - ID da mensagem no respond.io
+ * @param {string} status - sent | delivered | read | failed
+ * @param {number} timestamp - Timestamp do status
+ * @param {string} errorMessage - Motivo da falha (opcional)
+ * @returns {Object} - Dados formatados para respond.io
+ */
+function formatStatusForRespondIo(
+  channelId,
+  contactId,
+  mId,
+  status,
+  timestamp,
+  errorMessage = null
+) {
+  let formattedContactId = contactId;
+  if (formattedContactId && !formattedContactId.startsWith('+')) {
+    if (formattedContactId.startsWith('55')) {
+      formattedContactId = '+' + formattedContactId;
+    } else if (formattedContactId.length >= 10) {
+      formattedContactId = '+55' + formattedContactId;
+    }
+  }
+
+  const statusData = { value: status };
+  if (status === 'failed' && errorMessage) {
+    statusData.message = errorMessage;
+  }
+
+  return {
+    channelId: channelId,
+    contactId: formattedContactId,
+    events: [
+      {
+        type: 'message_status',
+        mId: mId,
+        timestamp: formatTimestamp(timestamp),
+        status: statusData,
+      },
+    ],
+  };
+}
+
+/**
+ * Função para formatar anotação de reação, edição ou exclusão de mensagem
+ * (o custom channel do respond.io não tem eventos nativos para elas)
+ * @param {Object} change - { kind: 'reaction'|'edit'|'delete', emoji?, removed?, text? }
+ * @returns {string} - Texto da anotação
+ */
+function formatMessageChangeText(change) {
+  switch (change.kind) {
+    case 'reaction':
+      return change.removed
+        ? '↩️ Reação removida'
+        : `${change.emoji} Reagiu à mensagem`;
+    case 'edit':
+      return `✏️ Mensagem editada:\n${change.text || ''}`;
+    case 'delete':
+      return '🗑️ Mensagem apagada';
+    default:
+      return '';
+  }
+}
+
 /**
  * Função para formatar dados de arquivo para DigiSac
  * @param {Object} attachment - Dados do anexo do respond.io
@@ -203,6 +351,41 @@ function formatAttachmentForDigiSac(attachment) {
   };
 }
 
+/**
+ * Função para extrair localização de uma mensagem do DigiSac
+ * Aceita as coordenadas em data.location, location ou na própria mensagem
+ * (lat/lng ou latitude/longitude)
+ * @param {Object} messageData - Dados da mensagem do DigiSac
+ * @returns {Object|null} - { latitude, longitude, address } ou null se não houver coordenadas
+ */
+function parseDigiSacLocation(messageData) {
+  const location =
+    messageData.data?.location || messageData.location || messageData;
+
+  const latitude = parseFloat(location.lat ?? location.latitude);
+  const longitude = parseFloat(location.lng ?? location.longitude);
+
+  if (isNaN(latitude) || isNaN(longitude)) {
+    return null;
+  }
+
+  const address =
+    location.address || location.name || messageData.text || undefined;
+
+  return { latitude, longitude, address };
+}
+
+/**
+ * Função para formatar localização como texto
+ * @param {Object} location - { latitude, longitude, address }
+ * @returns {string} - Texto da localização
+ */
+function formatLocationText(location) {
+  return `📍 Localização: ${
+    location.address || 'Localização enviada'
+  }\nLatitude: ${location.latitude}\nLongitude: ${location.longitude}`;
+}
+
 /**
  * Função para formatar resposta de erro
  * @param {string} message - Mensagem de erro
@@ -249,7 +432,14 @@ module.exports = {
   formatTimestamp,
   formatContactForRespondIo,
   formatMessageForRespondIo,
+  MESSAGE_STATUS,
+  mapDigiSacAckToStatus,
+  parseDigiSacMessageStatus,
+  formatStatusForRespondIo,
+  formatMessageChangeText,
   formatAttachmentForDigiSac,
+  parseDigiSacLocation,
+  formatLocationText,
   formatErrorResponse,
   formatSuccessResponse,
 };
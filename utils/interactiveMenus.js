@@ -0,0 +1,228 @@
+/**
+ * Mensagens interativas (botões e listas) entre respond.io e DigiSac
+ * Monta os menus enviados ao WhatsApp e traduz a opção escolhida pelo
+ * cliente (resposta nativa ou número do menu em texto) de volta em postback
+ */
+
+const { FileStore } = require('./fileStore');
+
+// Limites do WhatsApp para mensagens interativas
+const MAX_BUTTONS = 3;
+const MAX_LIST_ROWS = 10;
+const MAX_BUTTON_TITLE = 20;
+const MAX_ROW_TITLE = 24;
+
+// Tempo em que um menu numerado aguarda a resposta (padrão: 24 horas)
+const MENU_TTL_MS =
+  parseFloat(process.env.INTERACTIVE_MENU_TTL_HOURS || '24') * 60 * 60 * 1000;
+
+/**
+ * Normalizar opções do respond.io (strings ou { title, payload|id, description })
+ * @param {Array} items - Opções recebidas
+ * @returns {Array} - Opções { id, title, description }
+ */
+function normalizeOptions(items = []) {
+  return items
+    .map((item, index) => {
+      if (typeof item === 'string') {
+        return { id: item, title: item };
+      }
+      const title = item?.title || item?.text || '';
+      return {
+        id: String(item?.payload || item?.id || title || index + 1),
+        title,
+        description: item?.description || undefined,
+      };
+    })
+    .filter((option) => option.title);
+}
+
+/**
+ * Montar menu a partir de uma mensagem quick_reply ou list do respond.io
+ * @param {Object} messageData - Mensagem do respond.io
+ * @returns {Object} - { title, buttonText, options }
+ */
+function buildMenu(messageData) {
+  const items =
+    messageData.type === 'list'
+      ? messageData.items ||
+        (messageData.sections || []).flatMap((section) => section.items || [])
+      : messageData.replies;
+
+  return {
+    title: messageData.title || messageData.text || 'Selecione uma opção',
+    buttonText: messageData.buttonText || 'Ver opções',
+    options: normalizeOptions(items),
+  };
+}
+
+/**
+ * Converter menu em mensagem interativa do WhatsApp (botões até 3 opções,
+ * lista até 10). Retorna null quando o menu não cabe nos limites
+ * @param {Object} menu - Menu montado por buildMenu
+ * @param {boolean} forceList - Usar lista mesmo com poucas opções
+ * @returns {Object|null} - Payload interativo ou null
+ */
+function toInteractive(menu, forceList = false) {
+  const { title, buttonText, options } = menu;
+
+  if (options.length === 0 || options.length > MAX_LIST_ROWS) {
+    return null;
+  }
+
+  if (!forceList && options.length <= MAX_BUTTONS) {
+    return {
+      type: 'button',
+      body: { text: title },
+      action: {
+        buttons: options.map((option) => ({
+          type: 'reply',
+          reply: {
+            id: option.id,
+            title: option.title.slice(0, MAX_BUTTON_TITLE),
+          },
+        })),
+      },
+    };
+  }
+
+  return {
+    type: 'list',
+    body: { text: title },
+    action: {
+      button: buttonText.slice(0, MAX_BUTTON_TITLE),
+      sections: [
+        {
+          rows: options.map((option) => ({
+            id: option.id,
+            title: option.title.slice(0, MAX_ROW_TITLE),
+            description: option.description,
+          })),
+        },
+      ],
+    },
+  };
+}
+
+/**
+ * Formatar menu como texto numerado (fallback)
+ * @param {Object} menu - Menu montado por buildMenu
+ * @returns {string} - Texto do menu
+ */
+function formatNumberedMenu(menu) {
+  const lines = menu.options.map(
+    (option, index) => `${index + 1}. ${option.title}`
+  );
+  return `${menu.title}\n\n${lines.join(
+    '\n'
+  )}\n\nResponda com o número da opção desejada.`;
+}
+
+/**
+ * Extrair a opção escolhida de uma resposta interativa nativa do DigiSac
+ * @param {Object} messageData - Mensagem do DigiSac
+ * @returns {Object|null} - { id, title } ou null
+ */
+function parseInteractiveReply(messageData) {
+  const interactive =
+    messageData.data?.interactive || messageData.interactive || {};
+  const reply =
+    interactive.button_reply ||
+    interactive.list_reply ||
+    messageData.data?.buttonReply ||
+    messageData.data?.listReply ||
+    null;
+
+  if (reply && (reply.id || reply.title)) {
+    return { id: reply.id || reply.title, title: reply.title || reply.id };
+  }
+
+  if (messageData.selectedButtonId || messageData.selectedRowId) {
+    const id = messageData.selectedButtonId || messageData.selectedRowId;
+    return { id, title: messageData.text || id };
+  }
+
+  return null;
+}
+
+/**
+ * Menus numerados aguardando resposta, por canal e contato
+ */
+class InteractiveMenus {
+  constructor() {
+    this.store = new FileStore('interactive-menus.json');
+    this.prune();
+  }
+
+  /**
+   * Montar chave do menu (contato normalizado em dígitos)
+   * @param {string} channelId - custom_channel_id
+   * @param {string} contactId - Telefone do contato
+   * @returns {string} - Chave
+   */
+  buildKey(channelId, contactId) {
+    return `${channelId}:${String(contactId || '').replace(/\D/g, '')}`;
+  }
+
+  /**
+   * Guardar menu numerado enviado ao contato
+   * @param {string} channelId - custom_channel_id
+   * @param {string} contactId - Telefone do contato
+   * @param {Array} options - Opções { id, title }
+   */
+  remember(channelId, contactId, options) {
+    this.store.set(this.buildKey(channelId, contactId), {
+      options: options.map(({ id, title }) => ({ id, title })),
+      sentAt: Date.now(),
+    });
+  }
+
+  /**
+   * Traduzir resposta numérica do contato na opção do último menu
+   * O menu é consumido quando a resposta corresponde a uma opção
+   * @param {string} channelId - custom_channel_id
+   * @param {string} contactId - Telefone do contato
+   * @param {string} text - Texto enviado pelo contato
+   * @returns {Object|null} - { id, title } ou null
+   */
+  matchNumberedReply(channelId, contactId, text) {
+    const key = this.buildKey(channelId, contactId);
+    const menu = this.store.get(key);
+    const match = String(text || '')
+      .trim()
+      .match(/^(\d{1,2})\.?$/);
+
+    if (!menu || !match || menu.sentAt < Date.now() - MENU_TTL_MS) {
+      return null;
+    }
+
+    const option = menu.options[parseInt(match[1], 10) - 1];
+    if (!option) {
+      return null;
+    }
+
+    this.store.delete(key);
+    return option;
+  }
+
+  /**
+   * Remover menus expirados
+   * @returns {number} - Quantidade de menus removidos
+   */
+  prune() {
+    const limit = Date.now() - MENU_TTL_MS;
+    return this.store.deleteWhere((menu) => menu.sentAt < limit);
+  }
+}
+
+// Instância singleton dos menus numerados
+const interactiveMenus = new InteractiveMenus();
+
+module.exports = {
+  buildMenu,
+  toInteractive,
+  formatNumberedMenu,
+  parseInteractiveReply,
+  InteractiveMenus,
+  interactiveMenus,
+};
@@ -0,0 +1,238 @@
+/**
+ * Media type utilities for the DigiSac ↔ Respond.io integration
+ * Mapeamento entre extensões, MIME types e tipos de anexo
+ */
+
+const path = require('path');
+
+// Extensões conhecidas → MIME type
+const EXTENSION_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.mp4': 'video/mp4',
+  '.3gp': 'video/3gpp',
+  '.mov': 'video/quicktime',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.amr': 'audio/amr',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx':
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.zip': 'application/zip',
+};
+
+// Tipos de mensagem do DigiSac que carregam arquivo
+const INBOUND_MEDIA_TYPES = [
+  'image',
+  'audio',
+  'ptt',
+  'document',
+  'video',
+  'sticker',
+  'gif',
+];
+
+/**
+ * Obter MIME type pela extensão do nome do arquivo ou da URL
+ * @param {string} nameOrUrl - Nome do arquivo ou URL
+ * @returns {string|null} - MIME type ou null se desconhecido
+ */
+function getMimeTypeFromName(nameOrUrl) {
+  if (!nameOrUrl || typeof nameOrUrl !== 'string') {
+    return null;
+  }
+
+  let pathname = nameOrUrl;
+  try {
+    pathname = new URL(nameOrUrl).pathname;
+  } catch {
+    // Não é URL - usar como nome de arquivo
+  }
+
+  const extension = path.extname(pathname).toLowerCase();
+  return EXTENSION_MIME_TYPES[extension] || null;
+}
+
+/**
+ * Obter tipo de anexo do respond.io a partir do MIME type
+ * @param {string} mimeType - MIME type
+ * @returns {string} - image | video | audio | file
+ */
+function getAttachmentTypeFromMime(mimeType) {
+  const type = String(mimeType || '').split('/')[0];
+  return ['image', 'video', 'audio'].includes(type) ? type : 'file';
+}
+
+/**
+ * Verificar se a mensagem do DigiSac já tem a URL do arquivo
+ * (o DigiSac usa tanto 'files' (array) quanto 'file' (objeto))
+ * @param {Object} messageData - Mensagem do DigiSac
+ * @returns {boolean} - Se há URL de arquivo
+ */
+function hasMediaUrl(messageData) {
+  return Boolean(messageData?.files?.[0]?.url || messageData?.file?.url);
+}
+
+/**
+ * Identificar o MIME type pelos primeiros bytes do arquivo (magic bytes)
+ * @param {Buffer} buffer - Início do conteúdo (16 bytes bastam)
+ * @returns {string|null} - MIME type ou null se não reconhecido
+ */
+function sniffMimeType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) {
+    return null;
+  }
+
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.readUInt32BE(0) === 0x89504e47) {
+    return 'image/png';
+  }
+  if (ascii(0, 4) === 'GIF8') {
+    return 'image/gif';
+  }
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (ascii(0, 4) === '%PDF') {
+    return 'application/pdf';
+  }
+  if (ascii(0, 4) === 'OggS') {
+    return 'audio/ogg';
+  }
+  if (ascii(0, 6) === '#!AMR\n') {
+    return 'audio/amr';
+  }
+  if (ascii(0, 3) === 'ID3' || (buffer[0] === 0xff && buffer[1] >= 0xe0)) {
+    // 0xFFEx/0xFFFx é o sync de frame MPEG (MP3) ou ADTS (AAC)
+    return buffer[1] === 0xf1 || buffer[1] === 0xf9
+      ? 'audio/aac'
+      : 'audio/mpeg';
+  }
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand.startsWith('3gp')) {
+      return 'video/3gpp';
+    }
+    if (brand === 'qt  ') {
+      return 'video/quicktime';
+    }
+    return brand.startsWith('M4A') ? 'audio/mp4' : 'video/mp4';
+  }
+  if (buffer.readUInt32BE(0) === 0x504b0304) {
+    return 'application/zip';
+  }
+  if (buffer.readUInt32BE(0) === 0xd0cf11e0) {
+    return 'application/msword'; // Office 97-2003 (doc/xls)
+  }
+
+  // Executáveis (bloqueados pela política de segurança padrão)
+  if (ascii(0, 2) === 'MZ') {
+    return 'application/x-msdownload';
+  }
+  if (ascii(0, 4) === '\x7fELF') {
+    return 'application/x-executable';
+  }
+  if (
+    [0xfeedface, 0xfeedfacf, 0xcefaedfe, 0xcffaedfe].includes(
+      buffer.readUInt32BE(0)
+    )
+  ) {
+    return 'application/x-mach-binary';
+  }
+  if (ascii(0, 2) === '#!') {
+    return 'application/x-sh';
+  }
+
+  return null;
+}
+
+/**
+ * Escolher o MIME type final entre o informado e o detectado no conteúdo
+ * O conteúdo prevalece, exceto quando o detectado é só o contêiner
+ * (ZIP/OLE) de um documento Office informado
+ * @param {string|null} declared - MIME type informado (ou pela extensão)
+ * @param {string|null} sniffed - MIME type detectado por sniffMimeType
+ * @returns {string|null} - MIME type
+ */
+function resolveMimeType(declared, sniffed) {
+  if (!sniffed) {
+    return declared || null;
+  }
+  if (!declared || declared === 'application/octet-stream') {
+    return sniffed;
+  }
+  if (
+    ['application/zip', 'application/msword'].includes(sniffed) &&
+    declared.startsWith('application/')
+  ) {
+    return declared;
+  }
+  return sniffed;
+}
+
+/**
+ * Verificar se o conteúdo detectado é compatível com o tipo informado
+ * Aceita variações do mesmo tipo (ex: WebP informado como PNG), contêineres
+ * de áudio/vídeo (MP4, 3GP, OGG), GIF em MP4 e documentos Office em ZIP/OLE
+ * @param {string|null} declared - MIME type informado (aceita "image/*")
+ * @param {string|null} sniffed - MIME type detectado por sniffMimeType
+ * @returns {boolean} - Se o conteúdo corresponde ao tipo informado
+ */
+function isContentCompatible(declared, sniffed) {
+  if (!declared || !sniffed || declared === 'application/octet-stream') {
+    return true;
+  }
+
+  const declaredType = declared.split('/')[0];
+  const sniffedType = sniffed.split('/')[0];
+  const mediaTypes = ['image', 'audio', 'video'];
+
+  if (declared === sniffed) {
+    return true;
+  }
+  if (declaredType === sniffedType && mediaTypes.includes(declaredType)) {
+    return true;
+  }
+  if (
+    ['audio', 'video'].includes(declaredType) &&
+    ['audio', 'video'].includes(sniffedType)
+  ) {
+    return true;
+  }
+  if (declared === 'image/gif' && sniffed === 'video/mp4') {
+    return true;
+  }
+
+  // Documentos Office não são identificados além do contêiner
+  return (
+    declaredType === 'application' &&
+    ['application/zip', 'application/msword'].includes(sniffed) &&
+    declared !== 'application/pdf'
+  );
+}
+
+module.exports = {
+  EXTENSION_MIME_TYPES,
+  INBOUND_MEDIA_TYPES,
+  getMimeTypeFromName,
+  getAttachmentTypeFromMime,
+  hasMediaUrl,
+  sniffMimeType,
+  resolveMimeType,
+  isContentCompatible,
+};
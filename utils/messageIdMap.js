@@ -0,0 +1,134 @@
+/**
+ * Mapeamento de IDs de mensagens entre DigiSac e Respond.io
+ * Relaciona o ID da mensagem no DigiSac com o mId conhecido pelo respond.io,
+ * por canal (custom_channel_id)
+ */
+
+const { FileStore } = require('./fileStore');
+
+// Tempo de retenção dos mapeamentos (padrão: 30 dias)
+const RETENTION_MS =
+  parseInt(process.env.MESSAGE_ID_MAP_RETENTION_DAYS || '30', 10) *
+  24 *
+  60 *
+  60 *
+  1000;
+
+/**
+ * Classe para mapeamento persistente DigiSac id ↔ respond.io mId
+ */
+class MessageIdMap {
+  constructor() {
+    this.store = new FileStore('message-id-map.json');
+    // Índice channelId:mId → chave do store (busca pelo mId sem varrer tudo)
+    this.respondIndex = new Map();
+    this.prune();
+    this.rebuildIndex();
+
+    // Limpeza periódica dos mapeamentos expirados
+    this.pruneTimer = setInterval(() => this.prune(), 60 * 60 * 1000);
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * Registrar relação entre mensagem DigiSac e mId do respond.io
+   * @param {string} channelId - custom_channel_id
+   * @param {string} digisacId - ID da mensagem no DigiSac
+   * @param {string} mId - ID da mensagem no respond.io
+   * @param {Object} meta - Dados adicionais (direction, contactId, ...)
+   */
+  link(channelId, digisacId, mId, meta = {}) {
+    if (!channelId || !digisacId || !mId) {
+      return;
+    }
+
+    const key = `${channelId}:${digisacId}`;
+    const previous = this.store.get(key);
+    if (previous) {
+      this.respondIndex.delete(`${channelId}:${previous.mId}`);
+    }
+
+    this.store.set(key, {
+      channelId,
+      digisacId,
+      mId,
+      ...meta,
+      createdAt: Date.now(),
+    });
+    this.respondIndex.set(`${channelId}:${mId}`, key);
+  }
+
+  /**
+   * Marcar mensagem como apagada (exclusão já repassada ao respond.io)
+   * @param {string} channelId - custom_channel_id
+   * @param {string} digisacId - ID da mensagem no DigiSac
+   */
+  markDeleted(channelId, digisacId) {
+    const key = `${channelId}:${digisacId}`;
+    const entry = this.store.get(key);
+    if (entry && !entry.deletedAt) {
+      this.store.set(key, { ...entry, deletedAt: Date.now() });
+    }
+  }
+
+  /**
+   * Buscar mapeamento pelo ID DigiSac
+   * @param {string} channelId - custom_channel_id
+   * @param {string} digisacId - ID da mensagem no DigiSac
+   * @returns {Object|null} - Mapeamento ou null
+   */
+  getByDigiSacId(channelId, digisacId) {
+    return this.store.get(`${channelId}:${digisacId}`);
+  }
+
+  /**
+   * Buscar mapeamento pelo mId do respond.io
+   * @param {string} channelId - custom_channel_id
+   * @param {string} mId - ID da mensagem no respond.io
+   * @returns {Object|null} - Mapeamento ou null
+   */
+  getByRespondId(channelId, mId) {
+    const key = this.respondIndex.get(`${channelId}:${mId}`);
+    return key ? this.store.get(key) : null;
+  }
+
+  /**
+   * Remover mapeamentos mais antigos que a retenção configurada
+   * @returns {number} - Quantidade de mapeamentos removidos
+   */
+  prune() {
+    const limit = Date.now() - RETENTION_MS;
+    const removed = this.store.deleteWhere((entry) => entry.createdAt < limit);
+    if (removed > 0) {
+      this.rebuildIndex();
+    }
+    return removed;
+  }
+
+  /**
+   * Reconstruir o índice por mId a partir do store
+   */
+  rebuildIndex() {
+    this.respondIndex = new Map(
+      this.store
+        .entries()
+        .map(([key, entry]) => [`${entry.channelId}:${entry.mId}`, key])
+    );
+  }
+
+  /**
+   * Obter estatísticas
+   * @returns {Object} - Estatísticas do mapeamento
+   */
+  getStats() {
+    return {
+      size: this.store.size(),
+      retentionDays: RETENTION_MS / (24 * 60 * 60 * 1000),
+    };
+  }
+}
+
+// Instância singleton do mapeamento
+const messageIdMap = new MessageIdMap();
+
+module.exports = { messageIdMap, MessageIdMap };
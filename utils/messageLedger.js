@@ -0,0 +1,351 @@
+/**
+ * Registro (ledger) das mensagens que passaram pela ponte
+ * Cada mensagem, por canal, guarda direção, IDs (DigiSac e mId do
+ * respond.io), contato, tipo, status e horários. As alterações são gravadas
+ * em um arquivo append-only (uma linha JSON por alteração) e consolidadas em
+ * memória; as linhas são agrupadas e acrescentadas em background (como no
+ * FileStore) e o arquivo é compactado na inicialização e periodicamente
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { errorLog } = require('./logger');
+const { DATA_DIR, FILE_STORE_FLUSH_MS } = require('./fileStore');
+const { MESSAGE_STATUS } = require('./formatters');
+
+// Arquivo e retenção do ledger (padrão: 90 dias)
+const LEDGER_FILE = path.join(DATA_DIR, 'message-ledger.jsonl');
+const RETENTION_MS =
+  parseInt(process.env.MESSAGE_LEDGER_RETENTION_DAYS || '90', 10) *
+  24 *
+  60 *
+  60 *
+  1000;
+
+// Status do ledger: os da consulta de status e "received" (mensagem inbound
+// aceita pelo respond.io, que não tem acks de entrega)
+const LEDGER_STATUS = { ...MESSAGE_STATUS, RECEIVED: 'received' };
+
+// Campos registrados de cada mensagem
+const LEDGER_FIELDS = [
+  'direction',
+  'channelId',
+  'serviceId',
+  'digisacId',
+  'mId',
+  'contactId',
+  'type',
+  'status',
+  'error',
+  'forwardedAt',
+  'durationMs',
+];
+
+/**
+ * Manter apenas os dígitos do contato (busca independente de formatação)
+ * @param {string} contactId - Número do contato
+ * @returns {string} - Dígitos do número
+ */
+function normalizeContact(contactId) {
+  return String(contactId || '').replace(/\D/g, '');
+}
+
+/**
+ * Classe do ledger persistente de mensagens
+ */
+class MessageLedger {
+  constructor() {
+    this.filePath = LEDGER_FILE;
+    this.entries = new Map();
+    this.lines = 0;
+    // Linhas aguardando gravação e controle da escrita em andamento
+    this.pending = [];
+    this.writing = false;
+    this.flushTimer = null;
+    // Arquivo divergente da memória (falha de gravação): compactar
+    this.stale = false;
+    this.load();
+
+    // Linhas pendentes gravadas de forma síncrona no encerramento
+    process.on('exit', () => this.flushSync());
+
+    // Compactação periódica (remove expirados e alterações consolidadas)
+    this.compactTimer = setInterval(() => this.compact(), 60 * 60 * 1000);
+    this.compactTimer.unref();
+  }
+
+  /**
+   * Carregar o ledger do disco, consolidando as alterações por mensagem
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return;
+      }
+
+      const content = fs.readFileSync(this.filePath, 'utf8');
+      for (const line of content.split('\n')) {
+        if (!line.trim()) {
+          continue;
+        }
+
+        try {
+          const change = JSON.parse(line);
+          this.entries.set(change.id, {
+            ...(this.entries.get(change.id) || {}),
+            ...change,
+          });
+          this.lines++;
+        } catch (error) {
+          // Linha truncada (ex: queda durante a gravação) é descartada
+          errorLog('Linha inválida ignorada no ledger de mensagens');
+        }
+      }
+
+      // Registros antigos marcavam as mensagens inbound como delivered
+      for (const entry of this.entries.values()) {
+        if (
+          entry.direction === 'inbound' &&
+          entry.status === MESSAGE_STATUS.DELIVERED
+        ) {
+          entry.status = LEDGER_STATUS.RECEIVED;
+        }
+      }
+
+      this.compact();
+    } catch (error) {
+      errorLog(`Erro ao carregar ledger ${this.filePath}`, error.message);
+    }
+  }
+
+  /**
+   * Registrar mensagem ou alteração de uma mensagem já registrada
+   * Campos ausentes (undefined) mantêm o valor anterior; null limpa o campo
+   * @param {Object} fields - channelId e mId (obrigatórios) + LEDGER_FIELDS
+   * @returns {Object|null} - Registro consolidado ou null
+   */
+  record(fields) {
+    if (!fields.channelId || !fields.mId) {
+      return null;
+    }
+
+    const id = `${fields.channelId}:${fields.mId}`;
+    const now = Date.now();
+    const existing = this.entries.get(id);
+    const change = { id };
+
+    for (const field of LEDGER_FIELDS) {
+      const value = fields[field];
+      if (value !== undefined && value !== (existing?.[field] ?? null)) {
+        change[field] = value;
+      }
+    }
+
+    if (existing && Object.keys(change).length === 1) {
+      return existing;
+    }
+
+    if (!existing) {
+      change.createdAt = fields.createdAt || now;
+    }
+    change.updatedAt = now;
+
+    const entry = { ...(existing || {}), ...change };
+    this.entries.set(id, entry);
+    this.append(change);
+    return entry;
+  }
+
+  /**
+   * Enfileirar alteração para o arquivo (gravada no próximo flush)
+   * @param {Object} change - Alteração (com id)
+   */
+  append(change) {
+    this.pending.push(`${JSON.stringify(change)}\n`);
+    if (this.flushTimer || this.writing) {
+      return;
+    }
+
+    this.flushTimer = setTimeout(() => this.flush(), FILE_STORE_FLUSH_MS);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Acrescentar as linhas pendentes ao arquivo (sem bloquear o event loop)
+   */
+  async flush() {
+    this.flushTimer = null;
+    if (this.writing || this.pending.length === 0) {
+      return;
+    }
+
+    const lines = this.pending;
+    this.pending = [];
+    this.writing = true;
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, lines.join(''));
+      this.lines += lines.length;
+    } catch (error) {
+      // As alterações seguem em memória; a compactação reescreve o arquivo
+      this.stale = true;
+      errorLog(`Erro ao gravar ledger ${this.filePath}`, error.message);
+    } finally {
+      this.writing = false;
+      this.resume();
+    }
+  }
+
+  /**
+   * Agendar as linhas que chegaram durante uma escrita
+   */
+  resume() {
+    if (this.pending.length > 0 && !this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), FILE_STORE_FLUSH_MS);
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Gravar as alterações pendentes de forma síncrona (encerramento)
+   * Com uma escrita em andamento, o arquivo é reescrito a partir da memória
+   */
+  flushSync() {
+    if (!this.writing && !this.stale && this.pending.length === 0) {
+      return;
+    }
+
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      if (this.writing || this.stale) {
+        const tmpPath = `${this.filePath}.sync.tmp`;
+        fs.writeFileSync(tmpPath, this.serialize());
+        fs.renameSync(tmpPath, this.filePath);
+      } else {
+        fs.appendFileSync(this.filePath, this.pending.join(''));
+      }
+      this.pending = [];
+    } catch (error) {
+      errorLog(`Erro ao gravar ledger ${this.filePath}`, error.message);
+    }
+  }
+
+  /**
+   * Serializar as mensagens consolidadas (uma linha por mensagem)
+   * @returns {string} - Conteúdo do arquivo compactado
+   */
+  serialize() {
+    return Array.from(this.entries.values())
+      .map((entry) => `${JSON.stringify(entry)}\n`)
+      .join('');
+  }
+
+  /**
+   * Remover mensagens expiradas e reescrever o arquivo com uma linha por
+   * mensagem (só quando há algo a consolidar)
+   * O conteúdo é fotografado da memória no início: as alterações feitas
+   * durante a escrita seguem pendentes e são acrescentadas em seguida
+   * @returns {Promise<number>} - Quantidade de mensagens removidas
+   */
+  async compact() {
+    const limit = Date.now() - RETENTION_MS;
+    let removed = 0;
+
+    for (const [id, entry] of this.entries.entries()) {
+      if ((entry.updatedAt || entry.createdAt) < limit) {
+        this.entries.delete(id);
+        removed++;
+      }
+    }
+
+    const consolidated = this.lines + this.pending.length === this.entries.size;
+    if (this.writing || (removed === 0 && consolidated && !this.stale)) {
+      return removed;
+    }
+
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    const content = this.serialize();
+    const size = this.entries.size;
+    this.pending = [];
+    this.writing = true;
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, content);
+      await fs.promises.rename(tmpPath, this.filePath);
+      this.lines = size;
+      this.stale = false;
+    } catch (error) {
+      this.stale = true;
+      errorLog(`Erro ao compactar ledger ${this.filePath}`, error.message);
+    } finally {
+      this.writing = false;
+      this.resume();
+    }
+
+    return removed;
+  }
+
+  /**
+   * Buscar mensagens (mais recentes primeiro)
+   * @param {Object} filters - Filtros da busca
+   * @param {string} filters.contactId - Número do contato (só dígitos)
+   * @param {string} filters.channelId - custom_channel_id
+   * @param {string} filters.status - Status atual da mensagem
+   * @param {string} filters.direction - inbound | outbound | echo
+   * @param {number} filters.from - Início do período (epoch ms, createdAt)
+   * @param {number} filters.to - Fim do período (epoch ms, createdAt)
+   * @param {number} filters.limit - Máximo de itens (padrão: 50)
+   * @param {number} filters.offset - Itens a pular (paginação)
+   * @returns {Object} - { total, items }
+   */
+  search({
+    contactId,
+    channelId,
+    status,
+    direction,
+    from,
+    to,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const contact = contactId ? normalizeContact(contactId) : null;
+
+    const matches = Array.from(this.entries.values())
+      .filter(
+        (entry) =>
+          (!contact || normalizeContact(entry.contactId) === contact) &&
+          (!channelId || entry.channelId === channelId) &&
+          (!status || entry.status === status) &&
+          (!direction || entry.direction === direction) &&
+          (from === undefined || entry.createdAt >= from) &&
+          (to === undefined || entry.createdAt <= to)
+      )
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    return {
+      total: matches.length,
+      items: matches.slice(offset, offset + limit),
+    };
+  }
+
+  /**
+   * Obter estatísticas
+   * @returns {Object} - Estatísticas do ledger
+   */
+  getStats() {
+    return {
+      size: this.entries.size,
+      lines: this.lines,
+      retentionDays: RETENTION_MS / (24 * 60 * 60 * 1000),
+    };
+  }
+}
+
+// Instância singleton do ledger
+const messageLedger = new MessageLedger();
+
+module.exports = { messageLedger, MessageLedger, LEDGER_STATUS };
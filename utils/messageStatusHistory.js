@@ -0,0 +1,185 @@
+/**
+ * Histórico local de status das mensagens
+ * Guarda, por canal e mId do respond.io, cada transição de status da
+ * mensagem (fila outbound, acks do DigiSac, falhas) com horário e motivo,
+ * para a consulta de status sem depender da API do DigiSac. O status atual
+ * é replicado no ledger de mensagens
+ */
+
+const { FileStore } = require('./fileStore');
+const { MESSAGE_STATUS } = require('./formatters');
+const { messageLedger } = require('./messageLedger');
+
+// Tempo de retenção do histórico (padrão: 30 dias)
+const RETENTION_MS =
+  parseInt(process.env.MESSAGE_STATUS_RETENTION_DAYS || '30', 10) *
+  24 *
+  60 *
+  60 *
+  1000;
+
+// Ordem dos status: acks atrasados não fazem a mensagem "voltar"
+const STATUS_RANK = {
+  [MESSAGE_STATUS.PENDING]: 0,
+  [MESSAGE_STATUS.SENT]: 1,
+  [MESSAGE_STATUS.DELIVERED]: 2,
+  [MESSAGE_STATUS.READ]: 3,
+  [MESSAGE_STATUS.FAILED]: 4,
+};
+
+/**
+ * Classe para histórico persistente de status por mensagem
+ */
+class MessageStatusHistory {
+  constructor() {
+    this.store = new FileStore('message-status.json');
+    // Índice channelId:digisacId → chave do store (acks sem varrer tudo)
+    this.digisacIndex = new Map();
+    this.prune();
+    this.rebuildIndex();
+
+    // Limpeza periódica do histórico expirado
+    this.pruneTimer = setInterval(() => this.prune(), 60 * 60 * 1000);
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * Registrar transição de status de uma mensagem
+   * Transições repetidas (mesmo status e ack da última) são ignoradas e o
+   * status atual só avança: um pendente (ack 0 atrasado) só vale para a
+   * mensagem sem status, exceto no reenvio da dead-letter (restart)
+   * @param {string} channelId - custom_channel_id
+   * @param {string} mId - ID da mensagem no respond.io
+   * @param {Object} transition - { status, ack?, error?, at?, source }
+   * @param {Object} meta - Dados da mensagem (digisacId, contactId, direction)
+   * @param {Object} options - { restart: reiniciar o status atual }
+   * @returns {Object|null} - Histórico atualizado ou null
+   */
+  record(channelId, mId, transition, meta = {}, { restart = false } = {}) {
+    if (!channelId || !mId || !STATUS_RANK.hasOwnProperty(transition.status)) {
+      return null;
+    }
+
+    const key = `${channelId}:${mId}`;
+    const now = Date.now();
+    const entry = this.store.get(key) || {
+      channelId,
+      mId,
+      status: null,
+      transitions: [],
+      createdAt: now,
+    };
+    const previousDigisacId = entry.digisacId;
+
+    for (const [field, value] of Object.entries(meta)) {
+      if (value !== undefined && value !== null) {
+        entry[field] = value;
+      }
+    }
+
+    const last = entry.transitions[entry.transitions.length - 1];
+    const ack = transition.ack ?? null;
+
+    if (!last || last.status !== transition.status || last.ack !== ack) {
+      entry.transitions.push({
+        status: transition.status,
+        ack,
+        error: transition.error || null,
+        at: transition.at || now,
+        source: transition.source || null,
+      });
+
+      if (
+        entry.status === null ||
+        restart ||
+        STATUS_RANK[transition.status] >= STATUS_RANK[entry.status]
+      ) {
+        entry.status = transition.status;
+        entry.error = transition.error || null;
+      }
+    }
+
+    entry.updatedAt = now;
+    this.store.set(key, entry);
+    if (entry.digisacId !== previousDigisacId) {
+      this.digisacIndex.delete(`${channelId}:${previousDigisacId}`);
+      this.digisacIndex.set(`${channelId}:${entry.digisacId}`, key);
+    }
+
+    // Status atual também no ledger de mensagens
+    messageLedger.record({
+      channelId,
+      mId,
+      digisacId: entry.digisacId,
+      contactId: entry.contactId,
+      direction: entry.direction,
+      status: entry.status,
+      error: entry.error,
+    });
+    return entry;
+  }
+
+  /**
+   * Buscar histórico pelo mId do respond.io
+   * @param {string} channelId - custom_channel_id
+   * @param {string} mId - ID da mensagem no respond.io
+   * @returns {Object|null} - Histórico ou null
+   */
+  get(channelId, mId) {
+    return this.store.get(`${channelId}:${mId}`);
+  }
+
+  /**
+   * Buscar histórico pelo ID da mensagem no DigiSac
+   * @param {string} channelId - custom_channel_id
+   * @param {string} digisacId - ID da mensagem no DigiSac
+   * @returns {Object|null} - Histórico ou null
+   */
+  getByDigiSacId(channelId, digisacId) {
+    const key = this.digisacIndex.get(`${channelId}:${digisacId}`);
+    return key ? this.store.get(key) : null;
+  }
+
+  /**
+   * Remover históricos mais antigos que a retenção configurada
+   * @returns {number} - Quantidade de históricos removidos
+   */
+  prune() {
+    const limit = Date.now() - RETENTION_MS;
+    const removed = this.store.deleteWhere(
+      (entry) => (entry.updatedAt || entry.createdAt) < limit
+    );
+    if (removed > 0) {
+      this.rebuildIndex();
+    }
+    return removed;
+  }
+
+  /**
+   * Reconstruir o índice por ID do DigiSac a partir do store
+   */
+  rebuildIndex() {
+    this.digisacIndex = new Map(
+      this.store
+        .entries()
+        .filter(([, entry]) => entry.digisacId)
+        .map(([key, entry]) => [`${entry.channelId}:${entry.digisacId}`, key])
+    );
+  }
+
+  /**
+   * Obter estatísticas
+   * @returns {Object} - Estatísticas do histórico
+   */
+  getStats() {
+    return {
+      size: this.store.size(),
+      retentionDays: RETENTION_MS / (24 * 60 * 60 * 1000),
+    };
+  }
+}
+
+// Instância singleton do histórico de status
+const messageStatusHistory = new MessageStatusHistory();
+
+module.exports = { messageStatusHistory, MessageStatusHistory };
@@ -69,10 +69,7 @@ class RetryManager {
         
         // Se não é a última tentativa, aguardar antes de tentar novamente
         if (attempt < this.maxRetries) {
-          const delay = Math.min(
-            this.baseDelay * Math.pow(2, attempt - 1),
-            this.maxDelay
-          );
+          const delay = this.getRetryDelay(attempt);
           
           console.log(`⏳ AGUARDANDO ${delay}ms ANTES DA PRÓXIMA TENTATIVA...`);
           await new Promise(resolve => setTimeout(resolve, delay));
@@ -149,11 +146,7 @@ class RetryManager {
     
     // Verificar códigos de status HTTP que podem ser recuperados
     if (error.response && error.response.status) {
-      const status = error.response.status;
-      // 5xx são erros do servidor (recuperáveis)
-      // 429 é rate limiting (recuperável)
-      // 408 é timeout (recuperável)
-      return status >= 500 || status === 429 || status === 408;
+      return this.isRetryableStatus(error.response.status);
     }
     
     // Verificar mensagens de erro recuperáveis
@@ -162,6 +155,21 @@ class RetryManager {
     );
   }
 
+  /**
+   * Verifica se um status HTTP indica falha recuperável
+   */
+  isRetryableStatus(status) {
+    // 5xx, 429 (rate limiting) e 408 (timeout) são recuperáveis
+    return status >= 500 || status === 429 || status === 408;
+  }
+
+  /**
+   * Calcula o atraso (backoff exponencial) antes da tentativa seguinte
+   */
+  getRetryDelay(attempt, baseDelay = this.baseDelay, maxDelay = this.maxDelay) {
+    return Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+  }
+
   /**
    * Retorna estatísticas do retry manager
    */
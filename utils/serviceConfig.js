@@ -0,0 +1,119 @@
+/**
+ * Configuração por serviço DigiSac
+ * Lê um arquivo JSON (DIGISAC_SERVICES_CONFIG) com seções por service_id:
+ *
+ * {
+ *   "default": { "webhookAuth": { ... } },
+ *   "services": {
+ *     "<service_id>": { "webhookAuth": { ... } }
+ *   }
+ * }
+ *
+ * A configuração do serviço é mesclada sobre a seção "default".
+ * O arquivo é relido automaticamente quando modificado.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { alwaysLog, errorLog } = require('./logger');
+
+const SERVICES_CONFIG_FILE = process.env.DIGISAC_SERVICES_CONFIG
+  ? path.resolve(process.env.DIGISAC_SERVICES_CONFIG)
+  : null;
+
+let loadedConfig = { default: {}, services: {} };
+let loadedMtime = null;
+
+/**
+ * Verificar se o algoritmo de HMAC é suportado pelo Node (crypto.getHashes)
+ * @param {string} algorithm - Algoritmo configurado (ex: sha256)
+ * @returns {boolean} - Se o algoritmo pode ser usado
+ */
+function isSupportedHmacAlgorithm(algorithm) {
+  return (
+    typeof algorithm === 'string' &&
+    crypto.getHashes().includes(algorithm.toLowerCase())
+  );
+}
+
+/**
+ * Logar as seções inválidas da configuração carregada
+ * (webhooks de serviços com hmacAlgorithm inválido são recusados com 500)
+ * @param {Object} config - Configuração { default, services }
+ */
+function validateServicesConfig(config) {
+  const sections = [
+    ['default', config.default],
+    ...Object.entries(config.services),
+  ];
+
+  for (const [serviceId, serviceConfig] of sections) {
+    const algorithm = serviceConfig?.webhookAuth?.hmacAlgorithm;
+    if (algorithm !== undefined && !isSupportedHmacAlgorithm(algorithm)) {
+      errorLog(
+        `Configuração de serviços: hmacAlgorithm inválido em ${serviceId}`,
+        algorithm
+      );
+    }
+  }
+}
+
+/**
+ * Carregar (ou recarregar se modificado) o arquivo de configuração
+ * @returns {Object} - Configuração completa
+ */
+function loadServicesConfig() {
+  if (!SERVICES_CONFIG_FILE) {
+    return loadedConfig;
+  }
+
+  try {
+    const { mtimeMs } = fs.statSync(SERVICES_CONFIG_FILE);
+    if (mtimeMs === loadedMtime) {
+      return loadedConfig;
+    }
+
+    const parsed = JSON.parse(fs.readFileSync(SERVICES_CONFIG_FILE, 'utf8'));
+    loadedConfig = {
+      default: parsed.default || {},
+      services: parsed.services || {},
+    };
+    loadedMtime = mtimeMs;
+    validateServicesConfig(loadedConfig);
+
+    alwaysLog(
+      `⚙️ Configuração de serviços carregada: ${
+        Object.keys(loadedConfig.services).length
+      } serviço(s)`
+    );
+  } catch (error) {
+    errorLog(
+      `Erro ao carregar configuração de serviços ${SERVICES_CONFIG_FILE}`,
+      error.message
+    );
+  }
+
+  return loadedConfig;
+}
+
+/**
+ * Obter uma seção de configuração para um serviço DigiSac
+ * @param {string} serviceId - ID do serviço DigiSac (opcional)
+ * @param {string} section - Nome da seção (ex: 'webhookAuth')
+ * @returns {Object} - Seção mesclada (default + serviço)
+ */
+function getServiceConfig(serviceId, section) {
+  const config = loadServicesConfig();
+  const defaults = config.default[section] || {};
+  const serviceConfig =
+    (serviceId && config.services[serviceId]?.[section]) || {};
+
+  return { ...defaults, ...serviceConfig };
+}
+
+module.exports = {
+  getServiceConfig,
+  loadServicesConfig,
+  isSupportedHmacAlgorithm,
+};
@@ -3,6 +3,7 @@
  * Functions for data validation and format checking
  */
 
+const net = require('net');
 const { formatBrazilianPhoneNumber } = require('./formatters');
 
 /**
@@ -87,6 +88,79 @@ function validateMessageData(phoneNumber, messageData) {
     };
   }
 
+  // Validar template (HSM)
+  if (messageData.type === 'template') {
+    return validateTemplate(messageData.template);
+  }
+
+  return { success: true };
+}
+
+/**
+ * Função para validar template (HSM) do WhatsApp
+ * @param {Object} template - { name, language, parameters?, components? }
+ * @returns {Object} - { success: boolean, error?: Object }
+ */
+function validateTemplate(template) {
+  if (!template || typeof template !== 'object') {
+    return {
+      success: false,
+      error: {
+        status: 400,
+        message: 'Dados do template são obrigatórios',
+      },
+    };
+  }
+
+  if (typeof template.name !== 'string' || !template.name.trim()) {
+    return {
+      success: false,
+      error: {
+        status: 400,
+        message: 'Nome do template é obrigatório',
+      },
+    };
+  }
+
+  if (typeof template.language !== 'string' || !template.language.trim()) {
+    return {
+      success: false,
+      error: {
+        status: 400,
+        message: 'Idioma do template é obrigatório (ex: pt_BR)',
+      },
+    };
+  }
+
+  if (
+    template.parameters !== undefined &&
+    (!Array.isArray(template.parameters) ||
+      template.parameters.some(
+        (value) => !['string', 'number'].includes(typeof value)
+      ))
+  ) {
+    return {
+      success: false,
+      error: {
+        status: 400,
+        message: 'Parâmetros do template devem ser uma lista de textos',
+      },
+    };
+  }
+
+  if (
+    template.components !== undefined &&
+    !Array.isArray(template.components)
+  ) {
+    return {
+      success: false,
+      error: {
+        status: 400,
+        message: 'Componentes do template devem ser uma lista',
+      },
+    };
+  }
+
   return { success: true };
 }
 
@@ -212,6 +286,88 @@ function validateContactData(contactData) {
   return { success: true };
 }
 
+/**
+ * Função para validar mapeamento de canal (custom_channel_id → DigiSac)
+ * @param {Object} channelData - Dados do canal
+ * @param {boolean} partial - Se é uma atualização parcial (campos opcionais)
+ * @returns {Object} - { success: boolean, error?: Object }
+ */
+function validateChannelMapping(channelData, partial = false) {
+  if (!channelData || typeof channelData !== 'object') {
+    return {
+      success: false,
+      error: {
+        status: 400,
+        message: 'Dados do canal são obrigatórios',
+      },
+    };
+  }
+
+  const requiredFields = [
+    'custom_channel_id',
+    'custom_channel_token',
+    'digisac_service_id',
+    'digisac_user_id',
+  ];
+
+  for (const field of requiredFields) {
+    const value = channelData[field];
+
+    if (value === undefined && partial) {
+      continue;
+    }
+
+    if (typeof value !== 'string' || !value.trim()) {
+      return {
+        success: false,
+        error: {
+          status: 400,
+          message: `Campo ${field} é obrigatório e deve ser uma string`,
+        },
+      };
+    }
+  }
+
+  if (
+    channelData.custom_channel_id !== undefined &&
+    !/^[a-zA-Z0-9_-]+$/.test(channelData.custom_channel_id)
+  ) {
+    return {
+      success: false,
+      error: {
+        status: 400,
+        message:
+          'custom_channel_id deve conter apenas letras, números, "_" ou "-"',
+      },
+    };
+  }
+
+  if (channelData.desc !== undefined && typeof channelData.desc !== 'string') {
+    return {
+      success: false,
+      error: {
+        status: 400,
+        message: 'Campo desc deve ser uma string',
+      },
+    };
+  }
+
+  if (
+    channelData.disabled !== undefined &&
+    typeof channelData.disabled !== 'boolean'
+  ) {
+    return {
+      success: false,
+      error: {
+        status: 400,
+        message: 'Campo disabled deve ser booleano',
+      },
+    };
+  }
+
+  return { success: true };
+}
+
 /**
  * Função para validar configurações de ambiente
  * @returns {Object} - { success: boolean, errors: Array }
@@ -265,14 +421,65 @@ function isValidMimeType(mimeType) {
   return mimeTypePattern.test(mimeType);
 }
 
+// Faixas de IP que não podem ser acessadas nos downloads de mídia
+// (loopback, redes privadas, link-local, CGNAT, multicast e reservadas)
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([network, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4')
+);
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6')
+);
+
+/**
+ * Função para verificar se um IP é interno (não roteável na internet)
+ * @param {string} address - Endereço IPv4 ou IPv6
+ * @returns {boolean} - Se o endereço é privado, loopback ou reservado
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+
+  // IPv4 mapeado em IPv6 (::ffff:127.0.0.1)
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+
+  return PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
 module.exports = {
   isValidBrazilianPhone,
   validateAuthentication,
   validateMessageData,
+  validateTemplate,
   validateAttachment,
   validateDigiSacWebhook,
   validateContactData,
+  validateChannelMapping,
   validateEnvironmentConfig,
   isValidUrl,
   isValidMimeType,
+  isPrivateAddress,
 };
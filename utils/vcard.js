@@ -0,0 +1,189 @@
+/**
+ * vCard utilities for the DigiSac ↔ Respond.io integration
+ * Leitura e geração de cartões de contato (vCard 3.0)
+ */
+
+/**
+ * Desfazer escapes de valores vCard (\n, \, e \;)
+ * @param {string} value - Valor escapado
+ * @returns {string} - Valor original
+ */
+function unescapeValue(value) {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+/**
+ * Escapar valor para vCard
+ * @param {string} value - Valor original
+ * @returns {string} - Valor escapado
+ */
+function escapeValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/([,;])/g, '\\$1');
+}
+
+/**
+ * Converter texto vCard em contatos (aceita vários BEGIN:VCARD no mesmo texto)
+ * @param {string} text - Conteúdo vCard
+ * @returns {Array} - Contatos { name, phones: [], emails: [], organization }
+ */
+function parseVCard(text) {
+  if (!text || typeof text !== 'string' || !/BEGIN:VCARD/i.test(text)) {
+    return [];
+  }
+
+  // Linhas dobradas (continuação começa com espaço ou tab)
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const contacts = [];
+  let current = null;
+
+  for (const line of lines) {
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      continue;
+    }
+
+    const rawKey = line.slice(0, separator);
+    const value = line.slice(separator + 1);
+    // Remover agrupamento (item1.TEL) e parâmetros (TEL;TYPE=CELL)
+    const key = rawKey.split(';')[0].split('.').pop().toUpperCase();
+
+    if (key === 'BEGIN' && /VCARD/i.test(value)) {
+      current = { name: '', phones: [], emails: [], organization: '' };
+      continue;
+    }
+
+    if (!current) {
+      continue;
+    }
+
+    switch (key) {
+      case 'END':
+        contacts.push(current);
+        current = null;
+        break;
+      case 'FN':
+        current.name = unescapeValue(value);
+        break;
+      case 'N':
+        if (!current.name) {
+          const [last = '', first = ''] = value.split(';');
+          current.name = unescapeValue(`${first} ${last}`);
+        }
+        break;
+      case 'TEL': {
+        // WhatsApp envia o número limpo em waid=...
+        const waid = rawKey.match(/waid=(\d+)/i);
+        const phone = waid ? `+${waid[1]}` : unescapeValue(value);
+        if (phone) {
+          current.phones.push(phone);
+        }
+        break;
+      }
+      case 'EMAIL':
+        if (value.trim()) {
+          current.emails.push(unescapeValue(value));
+        }
+        break;
+      case 'ORG':
+        current.organization = unescapeValue(value.split(';')[0]);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return contacts;
+}
+
+/**
+ * Normalizar contato enviado pelo respond.io
+ * Aceita name ou firstName/lastName, phone ou phones (strings ou
+ * { phone|number }) e email ou emails (strings ou { email })
+ * @param {Object} data - Contato do respond.io
+ * @returns {Object} - { name, phones: [], emails: [], organization }
+ */
+function normalizeContact(data = {}) {
+  const toList = (list, single, field) =>
+    (Array.isArray(list) ? list : [single])
+      .map((item) =>
+        item && typeof item === 'object' ? item[field] || item.number : item
+      )
+      .filter((item) => typeof item === 'string' && item.trim())
+      .map((item) => item.trim());
+
+  return {
+    name: (
+      data.name || [data.firstName, data.lastName].filter(Boolean).join(' ')
+    ).trim(),
+    phones: toList(data.phones, data.phone, 'phone'),
+    emails: toList(data.emails, data.email, 'email'),
+    organization: data.organization || data.company || '',
+  };
+}
+
+/**
+ * Gerar texto vCard 3.0 a partir de um contato
+ * @param {Object} contact - { name, phones: [], emails: [], organization }
+ * @returns {string} - Conteúdo vCard
+ */
+function buildVCard(contact) {
+  const lines = ['BEGIN:VCARD', 'VERSION:3.0'];
+  const name = contact.name || contact.phones[0] || 'Contato';
+
+  lines.push(`FN:${escapeValue(name)}`);
+  lines.push(`N:;${escapeValue(name)};;;`);
+
+  if (contact.organization) {
+    lines.push(`ORG:${escapeValue(contact.organization)}`);
+  }
+
+  for (const phone of contact.phones) {
+    const digits = phone.replace(/\D/g, '');
+    lines.push(`TEL;type=CELL;waid=${digits}:${phone}`);
+  }
+
+  for (const email of contact.emails) {
+    lines.push(`EMAIL:${escapeValue(email)}`);
+  }
+
+  lines.push('END:VCARD');
+  return lines.join('\n');
+}
+
+/**
+ * Formatar contatos como texto legível
+ * @param {Array} contacts - Contatos { name, phones, emails, organization }
+ * @returns {string} - Texto do cartão de contato
+ */
+function formatVCardText(contacts) {
+  return contacts
+    .map((contact) => {
+      const lines = [`👤 Contato: ${contact.name || 'Sem nome'}`];
+
+      if (contact.organization) {
+        lines.push(`🏢 ${contact.organization}`);
+      }
+      for (const phone of contact.phones) {
+        lines.push(`📞 ${phone}`);
+      }
+      for (const email of contact.emails) {
+        lines.push(`✉️ ${email}`);
+      }
+
+      return lines.join('\n');
+    })
+    .join('\n\n');
+}
+
+module.exports = {
+  parseVCard,
+  normalizeContact,
+  buildVCard,
+  formatVCardText,
+};
@@ -0,0 +1,268 @@
+/**
+ * Autenticação dos webhooks recebidos do DigiSac
+ * Camada de verificação plugável configurada por serviço DigiSac
+ * (seção "webhookAuth" do arquivo DIGISAC_SERVICES_CONFIG):
+ *
+ * {
+ *   "secret": "segredo compartilhado",
+ *   "secretHeader": "x-webhook-secret",
+ *   "hmacSecret": "segredo do HMAC",
+ *   "hmacHeader": "x-digisac-signature",
+ *   "hmacAlgorithm": "sha256",
+ *   "ipAllowlist": ["203.0.113.10", "10.0.0.0/8", "2001:db8::/32"],
+ *   "trustProxy": false
+ * }
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const { alwaysLog, errorLog } = require('./logger');
+const {
+  getServiceConfig,
+  isSupportedHmacAlgorithm,
+} = require('./serviceConfig');
+
+// Verificadores registrados (nome → função)
+const verifiers = new Map();
+
+// Métricas de autenticação
+const stats = {
+  accepted: 0,
+  rejected: 0,
+  rejectedByReason: {},
+};
+
+/**
+ * Comparação de strings em tempo constante
+ * @param {string} received - Valor recebido
+ * @param {string} expected - Valor esperado
+ * @returns {boolean} - Se os valores são iguais
+ */
+function safeCompare(received, expected) {
+  const a = Buffer.from(String(received || ''));
+  const b = Buffer.from(String(expected || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Allowlists já convertidas em BlockList (por array da configuração)
+const allowlistCache = new WeakMap();
+
+/**
+ * Converter a allowlist da configuração em BlockList (IP exato ou CIDR,
+ * IPv4 ou IPv6). Entradas inválidas são ignoradas e logadas
+ * @param {Array<string>} entries - Entradas da allowlist
+ * @returns {net.BlockList} - Lista de endereços permitidos
+ */
+function buildAllowlist(entries) {
+  if (allowlistCache.has(entries)) {
+    return allowlistCache.get(entries);
+  }
+
+  const allowlist = new net.BlockList();
+  for (const entry of entries) {
+    const [address, prefixText] = String(entry).trim().split('/');
+    const family = net.isIP(address);
+
+    try {
+      if (!family) {
+        throw new Error('endereço inválido');
+      }
+      const type = family === 6 ? 'ipv6' : 'ipv4';
+      if (prefixText === undefined) {
+        allowlist.addAddress(address, type);
+      } else {
+        allowlist.addSubnet(address, Number(prefixText), type);
+      }
+    } catch (error) {
+      errorLog(
+        `[WEBHOOK AUTH] Entrada inválida na ipAllowlist ignorada: ${entry}`,
+        error.message
+      );
+    }
+  }
+
+  allowlistCache.set(entries, allowlist);
+  return allowlist;
+}
+
+/**
+ * Verificar se um IP pertence à allowlist
+ * @param {string} ip - IP da requisição (IPv4 mapeado em IPv6 já convertido)
+ * @param {Array<string>} entries - Entradas da allowlist
+ * @returns {boolean} - Se o IP é permitido
+ */
+function isIpAllowed(ip, entries) {
+  const family = net.isIP(ip);
+  if (!family) {
+    return false;
+  }
+  return buildAllowlist(entries).check(ip, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Obter IP de origem da requisição
+ * @param {Object} req - Request object
+ * @param {boolean} trustProxy - Se deve confiar no X-Forwarded-For
+ * @returns {string} - IP de origem
+ */
+function getRequestIp(req, trustProxy) {
+  let ip = req.socket?.remoteAddress || req.ip || '';
+
+  if (trustProxy && req.headers['x-forwarded-for']) {
+    ip = req.headers['x-forwarded-for'].split(',')[0].trim();
+  }
+
+  // IPv4 mapeado em IPv6 (::ffff:203.0.113.10)
+  return ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+}
+
+/**
+ * Registrar um verificador de webhook
+ * O verificador recebe (req, config) e retorna null quando não se aplica à
+ * configuração, ou { success: boolean, reason?: string, status?: number }
+ * @param {string} name - Nome do verificador
+ * @param {Function} verifier - Função verificadora
+ */
+function registerVerifier(name, verifier) {
+  verifiers.set(name, verifier);
+}
+
+// Segredo compartilhado enviado em header
+registerVerifier('sharedSecret', (req, config) => {
+  if (!config.secret) {
+    return null;
+  }
+
+  const header = (config.secretHeader || 'x-webhook-secret').toLowerCase();
+  if (!req.headers[header]) {
+    return { success: false, reason: 'secret_missing', status: 401 };
+  }
+  if (!safeCompare(req.headers[header], config.secret)) {
+    return { success: false, reason: 'secret_invalid', status: 401 };
+  }
+  return { success: true };
+});
+
+// Assinatura HMAC sobre o corpo bruto da requisição
+registerVerifier('hmac', (req, config) => {
+  if (!config.hmacSecret) {
+    return null;
+  }
+
+  const header = (config.hmacHeader || 'x-digisac-signature').toLowerCase();
+  const algorithm = config.hmacAlgorithm || 'sha256';
+  if (!isSupportedHmacAlgorithm(algorithm)) {
+    return { success: false, reason: 'hmac_algorithm_invalid', status: 500 };
+  }
+
+  const received = req.headers[header];
+  if (!received) {
+    return { success: false, reason: 'signature_missing', status: 401 };
+  }
+
+  const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+  const expected = crypto
+    .createHmac(algorithm, config.hmacSecret)
+    .update(rawBody)
+    .digest('hex');
+
+  // Aceita "sha256=<hex>" ou apenas "<hex>"
+  const signature = received.includes('=')
+    ? received.split('=').slice(1).join('=')
+    : received;
+
+  if (!safeCompare(signature.toLowerCase(), expected)) {
+    return { success: false, reason: 'signature_invalid', status: 401 };
+  }
+  return { success: true };
+});
+
+// Allowlist de IPs de origem
+registerVerifier('ipAllowlist', (req, config) => {
+  if (!Array.isArray(config.ipAllowlist) || config.ipAllowlist.length === 0) {
+    return null;
+  }
+
+  const ip = getRequestIp(req, config.trustProxy === true);
+  if (!isIpAllowed(ip, config.ipAllowlist)) {
+    return { success: false, reason: 'ip_not_allowed', status: 403, ip };
+  }
+  return { success: true };
+});
+
+/**
+ * Registrar rejeição nas métricas
+ * @param {string} reason - Motivo da rejeição
+ */
+function recordRejection(reason) {
+  stats.rejected++;
+  stats.rejectedByReason[reason] = (stats.rejectedByReason[reason] || 0) + 1;
+}
+
+/**
+ * Verificar um webhook do DigiSac para os serviços informados
+ * Cada serviço presente no payload precisa passar por todos os
+ * verificadores configurados para ele
+ * @param {Object} req - Request object
+ * @param {Array<string>} serviceIds - service_ids presentes no payload
+ * @returns {Object} - { success: boolean, status?: number, reason?: string, serviceId?: string }
+ */
+function verifyWebhookRequest(req, serviceIds = []) {
+  const targets = serviceIds.length > 0 ? [...new Set(serviceIds)] : [null];
+
+  for (const serviceId of targets) {
+    const config = getServiceConfig(serviceId, 'webhookAuth');
+
+    for (const [name, verifier] of verifiers.entries()) {
+      let result;
+      try {
+        result = verifier(req, config);
+      } catch (error) {
+        errorLog(`[WEBHOOK AUTH] Erro no verificador ${name}`, error.message);
+        result = { success: false, reason: 'verifier_error', status: 500 };
+      }
+
+      if (result && !result.success) {
+        recordRejection(result.reason);
+        alwaysLog(`🚫 [WEBHOOK AUTH] Webhook rejeitado (${name})`, {
+          reason: result.reason,
+          serviceId,
+          ip: result.ip || getRequestIp(req, config.trustProxy === true),
+        });
+        return { ...result, serviceId };
+      }
+    }
+  }
+
+  stats.accepted++;
+  return { success: true };
+}
+
+/**
+ * Obter métricas de autenticação de webhooks
+ * @returns {Object} - Estatísticas
+ */
+function getWebhookAuthStats() {
+  return {
+    accepted: stats.accepted,
+    rejected: stats.rejected,
+    rejectedByReason: { ...stats.rejectedByReason },
+    verifiers: Array.from(verifiers.keys()),
+  };
+}
+
+/**
+ * Resetar métricas de autenticação
+ */
+function resetWebhookAuthStats() {
+  stats.accepted = 0;
+  stats.rejected = 0;
+  stats.rejectedByReason = {};
+}
+
+module.exports = {
+  registerVerifier,
+  verifyWebhookRequest,
+  getWebhookAuthStats,
+  resetWebhookAuthStats,
+};
@@ -0,0 +1,154 @@
+/**
+ * Deduplicação de webhooks do DigiSac
+ * Guarda o resultado da entrega por (ID da mensagem DigiSac + canal) para que
+ * reenvios do mesmo webhook não gerem mensagens duplicadas no respond.io
+ */
+
+const { FileStore } = require('./fileStore');
+const { conditionalLog } = require('./logger');
+
+// Tempo de retenção dos registros (padrão: 24 horas)
+const RETENTION_MS =
+  parseFloat(process.env.WEBHOOK_DEDUP_RETENTION_HOURS || '24') *
+  60 *
+  60 *
+  1000;
+
+/**
+ * Classe para deduplicação persistente de entregas de webhook
+ */
+class WebhookDedup {
+  constructor() {
+    this.store = new FileStore('webhook-dedup.json');
+    this.inFlight = new Map();
+    this.stats = {
+      recorded: 0,
+      duplicates: 0,
+      concurrentDuplicates: 0,
+    };
+    this.prune();
+
+    // Limpeza periódica dos registros expirados
+    this.pruneTimer = setInterval(() => this.prune(), 10 * 60 * 1000);
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * Montar chave de deduplicação
+   * @param {string} messageId - ID da mensagem DigiSac
+   * @param {string} channelId - custom_channel_id
+   * @returns {string} - Chave
+   */
+  buildKey(messageId, channelId) {
+    return `${messageId}:${channelId}`;
+  }
+
+  /**
+   * Obter resultado já registrado (ignora registros expirados)
+   * @param {string} messageId - ID da mensagem DigiSac
+   * @param {string} channelId - custom_channel_id
+   * @returns {Object|null} - Resultado anterior ou null
+   */
+  get(messageId, channelId) {
+    const entry = this.store.get(this.buildKey(messageId, channelId));
+    if (!entry || entry.processedAt < Date.now() - RETENTION_MS) {
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Registrar resultado de uma entrega
+   * @param {string} messageId - ID da mensagem DigiSac
+   * @param {string} channelId - custom_channel_id
+   * @param {Object} result - Resultado da entrega para o canal
+   */
+  record(messageId, channelId, result) {
+    this.store.set(this.buildKey(messageId, channelId), {
+      result,
+      processedAt: Date.now(),
+    });
+    this.stats.recorded++;
+  }
+
+  /**
+   * Executar a entrega apenas se ainda não foi feita com sucesso
+   * Entregas concorrentes com a mesma chave aguardam a primeira execução.
+   * Só resultados de sucesso são registrados: falhas podem ser refeitas
+   * no próximo reenvio do DigiSac
+   * @param {string} messageId - ID da mensagem DigiSac
+   * @param {string} channelId - custom_channel_id
+   * @param {Function} operation - Função que realiza a entrega
+   * @returns {Promise<Object>} - Resultado (com duplicate: true se repetido)
+   */
+  async run(messageId, channelId, operation) {
+    if (!messageId || !channelId) {
+      return operation();
+    }
+
+    const key = this.buildKey(messageId, channelId);
+    const previous = this.get(messageId, channelId);
+
+    if (previous) {
+      this.stats.duplicates++;
+      conditionalLog(
+        'system',
+        '♻️ Webhook duplicado - usando resultado anterior',
+        {
+          messageId,
+          channelId,
+          processedAt: new Date(previous.processedAt).toISOString(),
+        }
+      );
+      return { ...previous.result, duplicate: true };
+    }
+
+    if (this.inFlight.has(key)) {
+      this.stats.concurrentDuplicates++;
+      const result = await this.inFlight.get(key);
+      return { ...result, duplicate: true };
+    }
+
+    const promise = (async () => {
+      const result = await operation();
+      if (result && result.success) {
+        this.record(messageId, channelId, result);
+      }
+      return result;
+    })();
+
+    this.inFlight.set(key, promise);
+    try {
+      return await promise;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Remover registros mais antigos que a retenção configurada
+   * @returns {number} - Quantidade de registros removidos
+   */
+  prune() {
+    const limit = Date.now() - RETENTION_MS;
+    return this.store.deleteWhere((entry) => entry.processedAt < limit);
+  }
+
+  /**
+   * Obter estatísticas
+   * @returns {Object} - Estatísticas da deduplicação
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      size: this.store.size(),
+      inFlight: this.inFlight.size,
+      retentionHours: RETENTION_MS / (60 * 60 * 1000),
+    };
+  }
+}
+
+// Instância singleton da deduplicação
+const webhookDedup = new WebhookDedup();
+
+module.exports = { webhookDedup, WebhookDedup };